@@ -1,4 +1,6 @@
 import * as THREE from 'three';
+import { getPenetrationMultiplier } from '../config/surfaceMaterials.js';
+import { NavigationGrid } from './navigationGrid.js';
 
 const _box = new THREE.Box3();
 const _center = new THREE.Vector3();
@@ -15,6 +17,10 @@ const _eyeDirection = new THREE.Vector3();
 const _endPoint = new THREE.Vector3();
 const _rayDir = new THREE.Vector3();
 const _invDir = new THREE.Vector3();
+const _sweepIgnore = new Set();
+const _blockerOffset = new THREE.Vector3();
+const _coverThreat = new THREE.Vector3();
+const _coverTest = new THREE.Vector3();
 
 function cacheColliderBounds(object) {
     if (object.userData && object.userData.collisionBounds) {
@@ -58,14 +64,21 @@ function intersectAABB(origin, direction, bounds, maxDistance) {
     let tymax = ((direction.y >= 0 ? bounds.maxY : bounds.minY) - origin.y) * _invDir.y;
 
     if (tmin > tymax || tymin > tmax) return null;
-    if (tymin > tmin) tmin = tymin;
+    let axis = 0; // Axis of the entry face (0 = x, 1 = y, 2 = z)
+    if (tymin > tmin) {
+        tmin = tymin;
+        axis = 1;
+    }
     if (tymax < tmax) tmax = tymax;
 
     let tzmin = ((direction.z >= 0 ? bounds.minZ : bounds.maxZ) - origin.z) * _invDir.z;
     let tzmax = ((direction.z >= 0 ? bounds.maxZ : bounds.minZ) - origin.z) * _invDir.z;
 
     if (tmin > tzmax || tzmin > tmax) return null;
-    if (tzmin > tmin) tmin = tzmin;
+    if (tzmin > tmin) {
+        tmin = tzmin;
+        axis = 2;
+    }
     if (tzmax < tmax) tmax = tzmax;
 
     if (tmax < 0 || tmin > maxDistance) return null;
@@ -75,6 +88,8 @@ function intersectAABB(origin, direction, bounds, maxDistance) {
     _endPoint.copy(direction).multiplyScalar(distance).add(origin);
     return {
         distance,
+        exitDistance: tmax,
+        axis,
         point: _endPoint.clone(),
         object: null
     };
@@ -192,6 +207,9 @@ export class CollisionSystem {
         this.spatialGrid = new SpatialGrid(200);
         this.lineOfSightInterval = 1;
         this._lineOfSightFrame = 0;
+        this.sightBlockers = []; // Temporary spheres that block vision but not movement or bullets (smoke)
+        this.coverClaims = new Map(); // Soldier -> cover position it is using (findCoverPoints skips these)
+        this.navigationGrid = null; // Soldier pathfinding - built once the battlefield is registered (buildNavigationGrid)
     }
 
     setLineOfSightInterval(interval = 1) {
@@ -210,6 +228,7 @@ export class CollisionSystem {
         cacheColliderBounds(object);
         this.colliders.push(object);
         this.spatialGrid.addObject(object);
+        this.navigationGrid?.addObstacle(object);
     }
 
     removeCollider(object) {
@@ -217,7 +236,75 @@ export class CollisionSystem {
         if (index > -1) {
             this.colliders.splice(index, 1);
             this.spatialGrid.removeObject(object);
+            this.navigationGrid?.removeObstacle(object);
+        }
+    }
+
+    /**
+     * Bake the navigation grid from the colliders registered so far
+     * Colliders added or removed afterwards (props that come and go) update it as they change
+     * @param {Object} options - NavigationGrid options (cellSize, agentRadius, maxSearchNodes...)
+     */
+    buildNavigationGrid(options) {
+        this.navigationGrid = new NavigationGrid(options);
+        this.navigationGrid.bake(this.colliders);
+        return this.navigationGrid;
+    }
+
+    /**
+     * Register a sphere that blocks line-of-sight (e.g. a smoke cloud)
+     * The returned blocker can be resized by changing its radius and must be removed when done
+     * @returns {{ center: THREE.Vector3, radius: number }}
+     */
+    addSightBlocker(center, radius) {
+        const blocker = { center: center.clone(), radius };
+        this.sightBlockers.push(blocker);
+        return blocker;
+    }
+
+    removeSightBlocker(blocker) {
+        const index = this.sightBlockers.indexOf(blocker);
+        if (index > -1) {
+            this.sightBlockers.splice(index, 1);
+        }
+    }
+
+    /**
+     * True if a segment passes through (or starts/ends inside) any sight blocker
+     * direction must be normalized
+     */
+    isSightBlocked(origin, direction, maxDistance) {
+        for (const blocker of this.sightBlockers) {
+            _blockerOffset.subVectors(origin, blocker.center);
+            const radiusSq = blocker.radius * blocker.radius;
+            // Closest approach of the segment to the sphere centre
+            const t = Math.max(0, Math.min(maxDistance, -_blockerOffset.dot(direction)));
+            _blockerOffset.addScaledVector(direction, t);
+            if (_blockerOffset.lengthSq() <= radiusSq) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    /**
+     * Sight-blocker test between two soldiers, using the same eye points as checkLineOfSight
+     * Cheap enough to run on frames where the full line-of-sight check is throttled
+     */
+    isSightBlockedBetween(fromPosition, toPosition, eyeHeight = 1.0) {
+        if (this.sightBlockers.length === 0) {
+            return false;
+        }
+        _eyePosition.copy(fromPosition);
+        _eyePosition.y += eyeHeight;
+        _targetEyePosition.copy(toPosition);
+        _targetEyePosition.y += 0.9;
+        _eyeDirection.subVectors(_targetEyePosition, _eyePosition);
+        const distance = _eyeDirection.length();
+        if (distance < 0.1) {
+            return false;
         }
+        return this.isSightBlocked(_eyePosition, _eyeDirection.divideScalar(distance), distance);
     }
 
     checkCollision(currentPos, newPos, radius, height) {
@@ -462,7 +549,7 @@ export class CollisionSystem {
         return desiredPosition.clone();
     }
 
-    raycast(origin, direction, maxDistance = 1000) {
+    raycast(origin, direction, maxDistance = 1000, ignoreObjects = null) {
         _direction.copy(direction).normalize();
         _endPoint.copy(_direction).multiplyScalar(maxDistance).add(origin);
 
@@ -485,6 +572,9 @@ export class CollisionSystem {
             if (collider.userData && collider.userData.isGround) {
                 continue;
             }
+            if (ignoreObjects && ignoreObjects.has(collider)) {
+                continue;
+            }
 
             const bounds = collider.userData.collisionBounds;
             if (!bounds) continue;
@@ -501,11 +591,36 @@ export class CollisionSystem {
         return closestHit;
     }
 
+    /**
+     * Sweep a small moving body (e.g. a grenade) against world colliders
+     * Foliage is ignored so thrown objects pass through leaves
+     * Returns the raycast hit plus the outward normal of the face that was struck, or null
+     */
+    sweepBody(origin, direction, maxDistance) {
+        _sweepIgnore.clear();
+        for (let attempt = 0; attempt < 4; attempt++) {
+            const hit = this.raycast(origin, direction, maxDistance, _sweepIgnore);
+            if (!hit) {
+                return null;
+            }
+            if (hit.object.userData.surfaceMaterial === 'foliage') {
+                _sweepIgnore.add(hit.object);
+                continue;
+            }
+            hit.normal = new THREE.Vector3();
+            hit.normal.setComponent(hit.axis, direction.getComponent(hit.axis) >= 0 ? -1 : 1);
+            return hit;
+        }
+        return null;
+    }
+
     /**
      * Check bullet collision with world objects
+     * penetrable/damageMultiplier come from the collider's surface material and its
+     * thickness along the path (userData.penetrationThickness overrides the measured AABB span)
      */
-    checkBulletCollision(bulletPosition, bulletDirection, maxDistance = 100.0) {
-        const hit = this.raycast(bulletPosition, bulletDirection, maxDistance);
+    checkBulletCollision(bulletPosition, bulletDirection, maxDistance = 100.0, ignoreObjects = null) {
+        const hit = this.raycast(bulletPosition, bulletDirection, maxDistance, ignoreObjects);
         if (hit && hit.distance <= maxDistance) {
             const rootObject = hit.object;
             
@@ -515,21 +630,169 @@ export class CollisionSystem {
                 }
             }
             
+            const thickness = rootObject.userData.penetrationThickness ?? Math.max(0, hit.exitDistance - hit.distance);
+            const damageMultiplier = getPenetrationMultiplier(rootObject.userData.surfaceMaterial, thickness);
+            
             return {
                 hit: true,
                 point: hit.point,
                 object: rootObject,
-                distance: hit.distance
+                distance: hit.distance,
+                material: rootObject.userData.surfaceMaterial || null,
+                penetrable: damageMultiplier > 0,
+                damageMultiplier
             };
         }
         return { hit: false };
     }
 
+    /**
+     * Trace a round through world objects, passing through penetrable props
+     * Penetrated colliders are added to penetratedObjects (if given) so later segments skip them
+     * Returns { stopped, distance, point, object, damageMultiplier, penetrations: [{ object, distance, damageMultiplier }] }
+     */
+    traceBullet(origin, direction, maxDistance = 100.0, penetratedObjects = null, maxPenetrations = 3) {
+        const ignore = penetratedObjects || new Set();
+        const result = { stopped: false, distance: maxDistance, point: null, object: null, damageMultiplier: 1, penetrations: [] };
+        
+        while (true) {
+            const collision = this.checkBulletCollision(origin, direction, maxDistance, ignore);
+            if (!collision.hit) {
+                return result;
+            }
+            
+            if (!collision.penetrable || ignore.size >= maxPenetrations) {
+                result.stopped = true;
+                result.distance = collision.distance;
+                result.point = collision.point;
+                result.object = collision.object;
+                return result;
+            }
+            
+            ignore.add(collision.object);
+            result.damageMultiplier *= collision.damageMultiplier;
+            result.penetrations.push({
+                object: collision.object,
+                distance: collision.distance,
+                damageMultiplier: collision.damageMultiplier
+            });
+        }
+    }
+
+    /**
+     * Cover spots behind world colliders, on the side of each obstacle facing away from a threat
+     * Any solid collider tall enough to hide a crouching soldier counts (walls, houses, vehicles,
+     * crates) - foliage doesn't. Each far face gives a spot where the line from the threat through
+     * the obstacle comes out, plus one near each end of a long face. peekPosition is a step past
+     * the nearer edge of the face, where the soldier can lean out to shoot.
+     * @param {THREE.Vector3} position - Search center (world coordinates)
+     * @param {number} searchRadius - Only obstacles this close are considered
+     * @param {THREE.Vector3} threatPosition - Who to hide from (world coordinates)
+     * @param {Object} options - { owner, maxResults, minHeight, standOff, hideHeight }
+     * @returns {Array<{ position: THREE.Vector3, peekPosition: THREE.Vector3, object: THREE.Object3D }>}
+     *   Spots hidden from the threat and not claimed by another soldier, nearest first
+     */
+    findCoverPoints(position, searchRadius, threatPosition, { owner = null, maxResults = 3, minHeight = 0.9, standOff = 0.7, hideHeight = 0.7 } = {}) {
+        _coverThreat.set(threatPosition.x, 0, threatPosition.z);
+        const nearbyColliders = this.spatialGrid.getObjectsInArea(
+            position.x - searchRadius,
+            position.x + searchRadius,
+            position.z - searchRadius,
+            position.z + searchRadius
+        );
+
+        const candidates = [];
+        for (const collider of nearbyColliders) {
+            const userData = collider.userData;
+            if (!userData || userData.isGround || userData.surfaceMaterial === 'foliage' || userData.team) {
+                continue;
+            }
+            const bounds = userData.collisionBounds;
+            if (!bounds || bounds.minY > 0.5 || bounds.maxY < minHeight) {
+                continue;
+            }
+            const dx = bounds.centerX - _coverThreat.x;
+            const dz = bounds.centerZ - _coverThreat.z;
+            const length = Math.hypot(dx, dz);
+            if (length < 0.1) continue;
+            const dirX = dx / length;
+            const dirZ = dz / length;
+            const halfX = bounds.sizeX / 2;
+            const halfZ = bounds.sizeZ / 2;
+
+            // Face the threat's line leaves through - the spots run along it, standOff out from the face
+            const exitsX = halfX * Math.abs(dirZ) < halfZ * Math.abs(dirX);
+            const alongMin = exitsX ? bounds.minZ : bounds.minX;
+            const alongMax = exitsX ? bounds.maxZ : bounds.maxX;
+            const across = exitsX
+                ? bounds.centerX + Math.sign(dirX) * (halfX + standOff)
+                : bounds.centerZ + Math.sign(dirZ) * (halfZ + standOff);
+            const t = exitsX ? halfX / Math.abs(dirX) : halfZ / Math.abs(dirZ);
+            const exitAlong = exitsX ? bounds.centerZ + dirZ * t : bounds.centerX + dirX * t;
+
+            const inset = 0.7;
+            const alongSpots = [Math.min(alongMax - inset, Math.max(alongMin + inset, exitAlong))];
+            if (alongMax - alongMin > 3) {
+                alongSpots.push(alongMin + inset, alongMax - inset);
+            }
+            for (const along of alongSpots) {
+                const peekAlong = along - alongMin < alongMax - along ? alongMin - standOff : alongMax + standOff;
+                const spot = exitsX ? new THREE.Vector3(across, 0, along) : new THREE.Vector3(along, 0, across);
+                const distance = spot.distanceTo(position);
+                if (distance > searchRadius) continue;
+                candidates.push({
+                    position: spot,
+                    peekPosition: exitsX ? new THREE.Vector3(across, 0, peekAlong) : new THREE.Vector3(peekAlong, 0, across),
+                    object: collider,
+                    distance
+                });
+            }
+        }
+        candidates.sort((a, b) => a.distance - b.distance);
+
+        // Validate nearest first - line-of-sight tests are the expensive part
+        const results = [];
+        for (const candidate of candidates) {
+            if (results.length >= maxResults) break;
+            if (this.isCoverClaimed(candidate.position, owner)) continue;
+            _coverTest.copy(candidate.position);
+            _coverTest.y = 0.8; // isPositionClear takes the body centre
+            if (!this.isPositionClear(_coverTest, 0.4, 1.6)) continue;
+            if (this.checkLineOfSight(candidate.position, _coverThreat, hideHeight)) continue;
+            results.push(candidate);
+        }
+        return results;
+    }
+
+    /**
+     * True if another soldier already uses a cover spot this close
+     * @param {THREE.Vector3} position - Cover spot
+     * @param {Object} owner - Soldier asking (its own claim doesn't count)
+     */
+    isCoverClaimed(position, owner = null, radius = 1.2) {
+        const radiusSq = radius * radius;
+        for (const [claimant, claimed] of this.coverClaims) {
+            if (claimant !== owner && claimed.distanceToSquared(position) < radiusSq) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    claimCover(owner, position) {
+        this.coverClaims.set(owner, position);
+    }
+
+    releaseCover(owner) {
+        this.coverClaims.delete(owner);
+    }
+
     /**
      * Check line-of-sight from one position to another
      * Returns true if there's a clear line-of-sight (no world objects blocking)
      * Returns false if vision is blocked by world objects
      * Note: Enemies and allies don't block vision - only world objects (trees, buildings, walls, etc.)
+     * and sight blockers such as smoke clouds
      */
     checkLineOfSight(fromPosition, toPosition, eyeHeight = 1.0) {
         _direction.subVectors(toPosition, fromPosition);
@@ -548,6 +811,10 @@ export class CollisionSystem {
         _eyeDirection.subVectors(_targetEyePosition, _eyePosition).normalize();
         const maxDistance = distance * 0.98;
 
+        if (this.sightBlockers.length > 0 && this.isSightBlocked(_eyePosition, _eyeDirection, maxDistance)) {
+            return false;
+        }
+
         const hit = this.raycast(_eyePosition, _eyeDirection, maxDistance);
         if (!hit) {
             return true;
@@ -0,0 +1,277 @@
+import * as THREE from 'three';
+
+/**
+ * Navigation Grid
+ * Blocked ground cells baked from collider AABBs - CollisionSystem keeps it in step as colliders
+ * are added and removed. Only blocked cells are stored, so the grid covers the whole battlefield.
+ * findPath runs A* over the cells around the soldier and smooths the result into straight legs.
+ * Positions are world coordinates on the ground (y = 0).
+ */
+
+const KEY_OFFSET = 32768; // Cell indices are shifted into 0..65535 so both fit in one number
+const KEY_SPAN = 65536;
+const NEIGHBOURS = [[1, 0], [-1, 0], [0, 1], [0, -1], [1, 1], [1, -1], [-1, 1], [-1, -1]];
+
+function cellKey(ix, iz) {
+    return (ix + KEY_OFFSET) * KEY_SPAN + (iz + KEY_OFFSET);
+}
+
+// Octile distance - the exact cost of an unobstructed 8-way walk
+function heuristic(ix, iz, goalX, goalZ) {
+    const dx = Math.abs(ix - goalX);
+    const dz = Math.abs(iz - goalZ);
+    return Math.max(dx, dz) + (Math.SQRT2 - 1) * Math.min(dx, dz);
+}
+
+// Binary min-heap of cell keys ordered by f score
+class OpenList {
+    constructor() {
+        this.keys = [];
+        this.scores = [];
+    }
+
+    get size() {
+        return this.keys.length;
+    }
+
+    push(key, score) {
+        const keys = this.keys;
+        const scores = this.scores;
+        let i = keys.length;
+        keys.push(key);
+        scores.push(score);
+        while (i > 0) {
+            const parent = (i - 1) >> 1;
+            if (scores[parent] <= score) break;
+            keys[i] = keys[parent];
+            scores[i] = scores[parent];
+            i = parent;
+        }
+        keys[i] = key;
+        scores[i] = score;
+    }
+
+    pop() {
+        const keys = this.keys;
+        const scores = this.scores;
+        const top = keys[0];
+        const lastKey = keys.pop();
+        const lastScore = scores.pop();
+        const length = keys.length;
+        if (length > 0) {
+            let i = 0;
+            while (true) {
+                let child = 2 * i + 1;
+                if (child >= length) break;
+                if (child + 1 < length && scores[child + 1] < scores[child]) child++;
+                if (scores[child] >= lastScore) break;
+                keys[i] = keys[child];
+                scores[i] = scores[child];
+                i = child;
+            }
+            keys[i] = lastKey;
+            scores[i] = lastScore;
+        }
+        return top;
+    }
+}
+
+export class NavigationGrid {
+    constructor({ cellSize = 1.0, agentRadius = 0.5, agentHeight = 1.6, stepHeight = 0.6, maxSearchNodes = 2000 } = {}) {
+        this.cellSize = cellSize;
+        this.agentRadius = agentRadius; // Obstacles are grown by this so paths keep soldiers off walls
+        this.agentHeight = agentHeight; // Colliders starting above this are walked under
+        this.stepHeight = stepHeight; // Colliders no taller than this are stepped over (see checkSphereCollider)
+        this.maxSearchNodes = maxSearchNodes; // Cells A* may expand per query
+        this.blocked = new Map(); // Cell key -> number of obstacles covering the cell
+    }
+
+    // Same rule CollisionSystem.checkCollision applies to a soldier's body
+    blocksMovement(object) {
+        const bounds = object.userData?.collisionBounds;
+        if (!bounds || object.userData.isGround) return false;
+        return bounds.maxY > this.stepHeight && bounds.minY < this.agentHeight;
+    }
+
+    bake(colliders) {
+        this.blocked.clear();
+        for (const collider of colliders) {
+            this.addObstacle(collider);
+        }
+    }
+
+    addObstacle(object) {
+        if (object.userData?._navCells) {
+            this.removeObstacle(object);
+        }
+        if (!this.blocksMovement(object)) return;
+
+        // Cells whose centres lie within agentRadius of the box (at least the cell under its centre)
+        const bounds = object.userData.collisionBounds;
+        const size = this.cellSize;
+        const radius = this.agentRadius;
+        let minX = Math.ceil((bounds.minX - radius) / size - 0.5);
+        let maxX = Math.floor((bounds.maxX + radius) / size - 0.5);
+        let minZ = Math.ceil((bounds.minZ - radius) / size - 0.5);
+        let maxZ = Math.floor((bounds.maxZ + radius) / size - 0.5);
+        if (minX > maxX) minX = maxX = this.toCell(bounds.centerX);
+        if (minZ > maxZ) minZ = maxZ = this.toCell(bounds.centerZ);
+
+        const cells = [];
+        for (let ix = minX; ix <= maxX; ix++) {
+            for (let iz = minZ; iz <= maxZ; iz++) {
+                const key = cellKey(ix, iz);
+                this.blocked.set(key, (this.blocked.get(key) || 0) + 1);
+                cells.push(key);
+            }
+        }
+        object.userData._navCells = cells;
+    }
+
+    removeObstacle(object) {
+        const cells = object.userData?._navCells;
+        if (!cells) return;
+
+        for (const key of cells) {
+            const count = (this.blocked.get(key) || 0) - 1;
+            if (count > 0) {
+                this.blocked.set(key, count);
+            } else {
+                this.blocked.delete(key);
+            }
+        }
+        delete object.userData._navCells;
+    }
+
+    toCell(value) {
+        return Math.floor(value / this.cellSize);
+    }
+
+    isWalkable(x, z) {
+        return !this.blocked.has(cellKey(this.toCell(x), this.toCell(z)));
+    }
+
+    /**
+     * True if a soldier can walk the straight line between two ground points
+     * The cells the ends are in don't count - soldiers pressed against a wall, cover spots and
+     * gun seats all sit inside the margin obstacles are grown by
+     */
+    isSegmentWalkable(from, to) {
+        const startKey = cellKey(this.toCell(from.x), this.toCell(from.z));
+        const endKey = cellKey(this.toCell(to.x), this.toCell(to.z));
+        const dx = to.x - from.x;
+        const dz = to.z - from.z;
+        const steps = Math.ceil(Math.hypot(dx, dz) / (this.cellSize * 0.25));
+
+        for (let i = 1; i < steps; i++) {
+            const t = i / steps;
+            const key = cellKey(this.toCell(from.x + dx * t), this.toCell(from.z + dz * t));
+            if (key !== startKey && key !== endKey && this.blocked.has(key)) {
+                return false;
+            }
+        }
+        return true;
+    }
+
+    /**
+     * A* path between two ground points, smoothed into straight walkable legs
+     * The search stops after maxSearchNodes cells - a goal further away (or walled in) gets a
+     * partial path to the explored cell closest to it, and the soldier replans from there.
+     * @param {THREE.Vector3} start
+     * @param {THREE.Vector3} goal
+     * @returns {THREE.Vector3[]|null} Waypoints after the start, ending at the goal (or where the
+     *   partial path stops); null if no step towards the goal can be made
+     */
+    findPath(start, goal) {
+        const startX = this.toCell(start.x);
+        const startZ = this.toCell(start.z);
+        const goalX = this.toCell(goal.x);
+        const goalZ = this.toCell(goal.z);
+        const startKey = cellKey(startX, startZ);
+        const goalKey = cellKey(goalX, goalZ);
+        if (startKey === goalKey) {
+            return [new THREE.Vector3(goal.x, 0, goal.z)];
+        }
+
+        const open = new OpenList();
+        const gScores = new Map([[startKey, 0]]);
+        const cameFrom = new Map();
+        const closed = new Set();
+        let bestKey = startKey;
+        let bestDistance = heuristic(startX, startZ, goalX, goalZ);
+        let reached = false;
+
+        open.push(startKey, bestDistance);
+        while (open.size > 0 && closed.size < this.maxSearchNodes) {
+            const key = open.pop();
+            if (closed.has(key)) continue; // Stale entry - the cell was reached more cheaply since
+            if (key === goalKey) {
+                reached = true;
+                break;
+            }
+            closed.add(key);
+
+            const ix = Math.floor(key / KEY_SPAN) - KEY_OFFSET;
+            const iz = (key % KEY_SPAN) - KEY_OFFSET;
+            const distance = heuristic(ix, iz, goalX, goalZ);
+            if (distance < bestDistance) {
+                bestDistance = distance;
+                bestKey = key;
+            }
+
+            const g = gScores.get(key);
+            for (const [dx, dz] of NEIGHBOURS) {
+                const nx = ix + dx;
+                const nz = iz + dz;
+                const neighbourKey = cellKey(nx, nz);
+                if (closed.has(neighbourKey)) continue;
+                if (neighbourKey !== goalKey && this.blocked.has(neighbourKey)) continue;
+                // No cutting a corner past a blocked cell
+                if (dx !== 0 && dz !== 0 &&
+                    (this.blocked.has(cellKey(nx, iz)) || this.blocked.has(cellKey(ix, nz)))) continue;
+
+                const neighbourG = g + (dx !== 0 && dz !== 0 ? Math.SQRT2 : 1);
+                if (neighbourG >= (gScores.get(neighbourKey) ?? Infinity)) continue;
+                gScores.set(neighbourKey, neighbourG);
+                cameFrom.set(neighbourKey, key);
+                open.push(neighbourKey, neighbourG + heuristic(nx, nz, goalX, goalZ));
+            }
+        }
+
+        const endKey = reached ? goalKey : bestKey;
+        if (endKey === startKey) return null;
+
+        const points = [];
+        for (let key = endKey; key !== undefined; key = cameFrom.get(key)) {
+            points.push(new THREE.Vector3(
+                (Math.floor(key / KEY_SPAN) - KEY_OFFSET + 0.5) * this.cellSize,
+                0,
+                ((key % KEY_SPAN) - KEY_OFFSET + 0.5) * this.cellSize
+            ));
+        }
+        points.reverse();
+        points[0].set(start.x, 0, start.z);
+        if (reached) {
+            points[points.length - 1].set(goal.x, 0, goal.z);
+        }
+        return this.smoothPath(points);
+    }
+
+    // Drop cell centres a straight walk can skip (string pulling) - returns the points after the first
+    smoothPath(points) {
+        const result = [];
+        let anchor = 0;
+        for (let i = 2; i < points.length; i++) {
+            if (!this.isSegmentWalkable(points[anchor], points[i])) {
+                anchor = i - 1;
+                result.push(points[anchor]);
+            }
+        }
+        result.push(points[points.length - 1]);
+        return result;
+    }
+
+    clear() {
+        this.blocked.clear();
+    }
+}
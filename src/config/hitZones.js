@@ -0,0 +1,60 @@
+/**
+ * Hit Zone Configuration
+ * Soldier model parts are tagged with userData.hitZone; weapons scale damage
+ * by the zone that was hit (definitions can override individual zones)
+ */
+export const HIT_ZONES = {
+    head: 'head',
+    helmet: 'helmet',
+    torso: 'torso',
+    arm: 'arm',
+    leg: 'leg'
+};
+
+export const DEFAULT_HIT_ZONE_MULTIPLIERS = {
+    head: 2.0,
+    helmet: 1.5, // Helmet absorbs part of a headshot
+    torso: 1.0,
+    arm: 0.75,
+    leg: 0.7
+};
+
+/**
+ * Resolve the hit zone for an intersected object
+ * Walks up the parent chain until a tagged part (or the soldier root) is found
+ * @param {THREE.Object3D} object - Object returned by a raycast hit
+ * @returns {string} Hit zone name (defaults to torso for untagged parts such as the carried rifle)
+ */
+export function getHitZone(object) {
+    let current = object;
+    while (current) {
+        if (current.userData?.hitZone) {
+            return current.userData.hitZone;
+        }
+        if (current.userData?.isEnemy !== undefined || current.userData?.team) {
+            break; // Reached soldier root
+        }
+        current = current.parent;
+    }
+    return HIT_ZONES.torso;
+}
+
+/**
+ * Get damage multiplier for a hit zone
+ * @param {string} zone - Hit zone name
+ * @param {Object} multipliers - Optional per-weapon overrides
+ * @returns {number} Damage multiplier
+ */
+export function getHitZoneMultiplier(zone, multipliers = null) {
+    const table = multipliers || DEFAULT_HIT_ZONE_MULTIPLIERS;
+    return table[zone] ?? DEFAULT_HIT_ZONE_MULTIPLIERS[zone] ?? 1;
+}
+
+/**
+ * Whether a zone counts as a headshot (for the hit marker)
+ * @param {string} zone - Hit zone name
+ * @returns {boolean}
+ */
+export function isHeadshotZone(zone) {
+    return zone === HIT_ZONES.head || zone === HIT_ZONES.helmet;
+}
@@ -0,0 +1,50 @@
+/**
+ * Surface Material Configuration
+ * World props carry userData.surfaceMaterial (and optionally userData.penetrationThickness).
+ * A round passes through a prop when the solid thickness along its path is within
+ * the material's maxPenetration, losing damage on the way through.
+ */
+export const SURFACE_MATERIALS = {
+    wood: {
+        maxPenetration: 0.6, // Units of solid material a round can pass through
+        damageMultiplier: 0.6 // Damage kept after passing through
+    },
+    metal: {
+        maxPenetration: 0.15,
+        damageMultiplier: 0.45
+    },
+    concrete: {
+        maxPenetration: 0, // Always stops rounds
+        damageMultiplier: 0
+    },
+    foliage: {
+        maxPenetration: 12,
+        damageMultiplier: 0.9
+    }
+};
+
+// Untagged colliders behave like concrete (hard stop)
+export const DEFAULT_SURFACE_MATERIAL = 'concrete';
+
+/**
+ * Get material properties by name
+ * @param {string} name - wood, metal, concrete or foliage
+ * @returns {Object} Material properties
+ */
+export function getSurfaceMaterial(name) {
+    return SURFACE_MATERIALS[name] || SURFACE_MATERIALS[DEFAULT_SURFACE_MATERIAL];
+}
+
+/**
+ * Damage multiplier for a round passing through a prop
+ * @param {string} materialName - Surface material name
+ * @param {number} thickness - Solid thickness along the round's path
+ * @returns {number} Damage multiplier, 0 if the round is stopped
+ */
+export function getPenetrationMultiplier(materialName, thickness) {
+    const material = getSurfaceMaterial(materialName);
+    if (thickness > material.maxPenetration) {
+        return 0;
+    }
+    return material.damageMultiplier;
+}
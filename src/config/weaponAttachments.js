@@ -0,0 +1,153 @@
+/**
+ * Weapon Attachment Registry
+ * Attachments picked on the customize screen for each primary/secondary weapon.
+ * A weapon takes an attachment only if its definition has a mount for the slot
+ * (attachmentMounts in config/weaponDefinitions.js).
+ * set: definition fields replaced outright
+ * scale: definition fields multiplied - 'recoil' covers recoilAmount, recoilRotation and recoilPattern
+ * add: definition fields added to
+ * muzzleLength: how far a muzzle device moves the muzzle (and the flash and bullets) forward
+ */
+import { DEFAULT_HEARING_RADIUS } from './weaponDefinitions.js';
+import {
+    buildReflexSightModel, buildTelescopicSightModel, buildSuppressorModel,
+    buildCompensatorModel, buildExtendedMagazineModel, buildVerticalGripModel
+} from '../weapons/weaponModels.js';
+
+export const ATTACHMENT_SLOTS = ['optic', 'muzzle', 'magazine', 'grip'];
+
+export const ATTACHMENT_SLOT_LABELS = {
+    optic: 'Optic',
+    muzzle: 'Muzzle',
+    magazine: 'Magazine',
+    grip: 'Grip'
+};
+
+export const WEAPON_ATTACHMENTS = {
+    reflexSight: {
+        name: 'Reflex Sight',
+        slot: 'optic',
+        description: 'Wider view while aiming',
+        set: { aimFOV: 32 },
+        buildModel: buildReflexSightModel
+    },
+    telescopicSight: {
+        name: '2.5x Scope',
+        slot: 'optic',
+        description: 'Closer zoom while aiming',
+        set: { aimFOV: 14 },
+        buildModel: buildTelescopicSightModel
+    },
+    suppressor: {
+        name: 'Suppressor',
+        slot: 'muzzle',
+        description: 'No muzzle flash, heard from much closer',
+        set: { muzzleFlash: false },
+        scale: { hearingRadius: 0.3 },
+        muzzleLength: 0.25,
+        buildModel: buildSuppressorModel
+    },
+    compensator: {
+        name: 'Compensator',
+        slot: 'muzzle',
+        description: 'Less recoil, louder report',
+        scale: { recoil: 0.8, hearingRadius: 1.2 },
+        muzzleLength: 0.08,
+        buildModel: buildCompensatorModel
+    },
+    extendedMag: {
+        name: 'Extended Mag',
+        slot: 'magazine',
+        description: 'Half again the rounds, slower reload',
+        scale: { maxAmmo: 1.5 },
+        add: { reloadTime: 0.4 },
+        buildModel: buildExtendedMagazineModel
+    },
+    verticalGrip: {
+        name: 'Vertical Grip',
+        slot: 'grip',
+        description: 'Steadier under sustained fire',
+        scale: { recoil: 0.75 },
+        buildModel: buildVerticalGripModel
+    }
+};
+
+/**
+ * Attachments a weapon can take in a slot
+ * @param {Object} definition - Weapon definition
+ * @param {string} slot - One of ATTACHMENT_SLOTS
+ * @returns {string[]} Attachment ids in registry order (empty if the weapon has no mount there)
+ */
+export function getAttachmentsForSlot(definition, slot) {
+    if (!definition?.attachmentMounts?.[slot]) return [];
+    return Object.keys(WEAPON_ATTACHMENTS).filter(id => WEAPON_ATTACHMENTS[id].slot === slot);
+}
+
+function scaleField(result, field, factor) {
+    if (field === 'recoil') {
+        result.recoilAmount *= factor;
+        result.recoilRotation *= factor;
+        if (result.recoilPattern) {
+            result.recoilPattern = result.recoilPattern.map(([pitch, yaw]) => [pitch * factor, yaw * factor]);
+        }
+    } else if (field === 'maxAmmo') {
+        result.maxAmmo = Math.round(result.maxAmmo * factor);
+    } else {
+        result[field] *= factor;
+    }
+}
+
+/**
+ * Definition of a weapon with attachments fitted
+ * @param {Object} definition - Weapon definition from the registry
+ * @param {Object} selection - { slot: attachmentId } - unknown ids and unmounted slots are ignored
+ * @returns {Object} A new definition (the registry entry is left untouched), or the original with nothing fitted
+ */
+export function applyAttachments(definition, selection) {
+    if (!definition || !selection) return definition;
+
+    const fitted = ATTACHMENT_SLOTS
+        .map(slot => selection[slot])
+        .filter(id => {
+            const attachment = WEAPON_ATTACHMENTS[id];
+            return attachment && definition.attachmentMounts?.[attachment.slot];
+        });
+    if (fitted.length === 0) return definition;
+
+    const result = {
+        ...definition,
+        hearingRadius: definition.hearingRadius ?? DEFAULT_HEARING_RADIUS,
+        muzzlePosition: [...definition.muzzlePosition],
+        attachments: fitted
+    };
+    for (const id of fitted) {
+        const attachment = WEAPON_ATTACHMENTS[id];
+        Object.assign(result, attachment.set);
+        for (const [field, factor] of Object.entries(attachment.scale || {})) {
+            scaleField(result, field, factor);
+        }
+        for (const [field, amount] of Object.entries(attachment.add || {})) {
+            result[field] += amount;
+        }
+        if (attachment.muzzleLength) {
+            result.muzzlePosition[2] -= attachment.muzzleLength;
+        }
+    }
+
+    // Attachment geometry goes onto the weapon's own model at its mount points
+    const buildBaseModel = definition.buildModel;
+    result.buildModel = () => {
+        const group = buildBaseModel();
+        for (const id of fitted) {
+            const attachment = WEAPON_ATTACHMENTS[id];
+            const mount = definition.attachmentMounts[attachment.slot];
+            const part = attachment.buildModel();
+            part.position.fromArray(mount.position);
+            if (mount.rotation) part.rotation.fromArray(mount.rotation);
+            group.add(part);
+        }
+        return group;
+    };
+
+    return result;
+}
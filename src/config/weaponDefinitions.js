@@ -0,0 +1,322 @@
+/**
+ * Weapon Definition Registry
+ * Single source of truth for firearm stats - read by the customize screen
+ * and by WeaponManager when equipping the player's loadout
+ * fireModes: first entry is the default; 'semi', 'burst' and 'auto' are supported
+ * recoilPattern: [pitch, yaw] camera kick in radians for each consecutive shot
+ * hitZoneMultipliers: optional overrides of DEFAULT_HIT_ZONE_MULTIPLIERS (config/hitZones.js)
+ * ballistics: optional { gravity, drag } - omitted means a straight, constant-speed round
+ * damageFalloff: optional { start, end, minMultiplier } - full damage until start, linear down to end
+ * boltTime: optional seconds to cycle a bolt action between shots
+ * pellets/pelletSpread: optional pellets per shot and their cone (radians) - damage is per pellet (ShotgunWeapon)
+ * shellReloadTime: optional seconds per shell for shell-by-shell reloading (replaces reloadTime)
+ * scope: optional { fov, spread, sway, holdBreathTime, breathRecoveryTime } - scoped rifles (SniperWeapon)
+ * heat: optional { perShot, coolRate, recoverAt } - mounted guns overheat instead of running dry (MountedGunWeapon);
+ *   heat goes 0-1, cools coolRate per second, and an overheated gun fires again once it is down to recoverAt
+ * aimFOV: optional camera FOV while aiming - omitted uses the player's default aim zoom
+ * muzzleFlash: optional false to fire without a visible flash
+ * hearingRadius: optional distance enemies hear the shot from (DEFAULT_HEARING_RADIUS)
+ * attachmentMounts: optional { slot: { position, rotation } } in model space - slots the weapon
+ *   takes attachments in (config/weaponAttachments.js); rotation is an optional [x, y, z] Euler
+ * Mounted weapons (category 'mounted') belong to emplacements and never show up in the loadout
+ */
+import { WEAPON_ICONS } from './weaponIcons.js';
+import { buildMP40Model, buildStenModel, buildKar98kModel, buildM1897Model, buildMG42Model, buildPistolModel, buildLugerModel } from '../weapons/weaponModels.js';
+
+export const WEAPON_DEFINITIONS = {
+    // Primary weapons (long guns)
+    MP40: {
+        name: 'MP40',
+        category: 'primary',
+        icon: WEAPON_ICONS.longGun,
+        damage: 30,
+        fireRate: 600, // rounds per minute
+        maxAmmo: 32,
+        reserveAmmo: 288,
+        reloadTime: 2.5,
+        range: 200,
+        spread: 0.02,
+        bulletSpeed: 100, // units per second
+        recoilAmount: 0.18,
+        recoilRotation: 0.1,
+        swayIntensity: 0.02,
+        bulletSoundUrl: 'sounds/rifle-shoot.mp3',
+        recoilPattern: [
+            [0.010, 0.000], [0.010, 0.002], [0.009, 0.003], [0.008, 0.001],
+            [0.007, -0.002], [0.006, -0.004], [0.006, -0.002], [0.005, 0.002],
+            [0.005, 0.004], [0.005, 0.002], [0.005, -0.002], [0.005, -0.004]
+        ],
+        bloomPerShot: 0.003,
+        maxBloom: 0.035,
+        ballistics: { gravity: 2.0, drag: 0.05 }, // Gameplay-scaled drop (units/s²) and drag (1/s)
+        damageFalloff: { start: 60, end: 160, minMultiplier: 0.6 },
+        basePosition: [0.3, -0.3, -0.6],
+        muzzlePosition: [0.3, -0.2, -1.3],
+        fireModes: ['auto', 'burst', 'semi'],
+        attachmentMounts: {
+            optic: { position: [0.3, -0.1, -0.7] },
+            muzzle: { position: [0.3, -0.2, -1.3] },
+            magazine: { position: [0.3, -0.55, -0.85] },
+            grip: { position: [0.3, -0.28, -1.05] }
+        },
+        buildModel: buildMP40Model
+    },
+    Sten: {
+        name: 'Sten',
+        category: 'primary',
+        icon: WEAPON_ICONS.longGun,
+        damage: 28,
+        fireRate: 550,
+        maxAmmo: 32,
+        reserveAmmo: 256,
+        reloadTime: 2.8,
+        range: 180,
+        spread: 0.03,
+        bulletSpeed: 95,
+        recoilAmount: 0.2,
+        recoilRotation: 0.11,
+        swayIntensity: 0.022,
+        bulletSoundUrl: 'sounds/rifle-shoot.mp3',
+        recoilPattern: [
+            [0.011, 0.001], [0.010, 0.003], [0.010, 0.004], [0.009, 0.003],
+            [0.008, 0.000], [0.007, -0.003], [0.007, -0.005], [0.006, -0.002],
+            [0.006, 0.003], [0.006, 0.005], [0.006, 0.002], [0.006, -0.003]
+        ],
+        bloomPerShot: 0.004,
+        maxBloom: 0.045,
+        hitZoneMultipliers: { head: 1.8, helmet: 1.4 },
+        ballistics: { gravity: 2.2, drag: 0.06 },
+        damageFalloff: { start: 50, end: 150, minMultiplier: 0.55 },
+        basePosition: [0.3, -0.3, -0.6],
+        muzzlePosition: [0.3, -0.2, -1.43],
+        fireModes: ['auto', 'semi'],
+        attachmentMounts: {
+            optic: { position: [0.3, -0.13, -0.75] },
+            muzzle: { position: [0.3, -0.2, -1.43] },
+            magazine: { position: [-0.05, -0.2, -0.85], rotation: [0, 0, -Math.PI / 2] }, // Side magazine
+            grip: { position: [0.3, -0.24, -1.2] }
+        },
+        buildModel: buildStenModel
+    },
+    Kar98k: {
+        name: 'Kar98k',
+        category: 'primary',
+        icon: WEAPON_ICONS.sniper,
+        damage: 95,
+        fireRate: 60, // The bolt cycle (boltTime) is what really limits follow-up shots
+        maxAmmo: 5,
+        reserveAmmo: 40,
+        reloadTime: 3.5,
+        range: 500,
+        spread: 0.06, // Unscoped hip fire is inaccurate
+        bulletSpeed: 250,
+        recoilAmount: 0.35,
+        recoilRotation: 0.2,
+        swayIntensity: 0.025,
+        bulletSoundUrl: 'sounds/rifle-shoot.mp3',
+        recoilPattern: [[0.045, 0.004], [0.045, -0.004]],
+        bloomPerShot: 0,
+        maxBloom: 0,
+        hitZoneMultipliers: { head: 2.5, helmet: 1.8 },
+        ballistics: { gravity: 1.2, drag: 0.01 },
+        damageFalloff: { start: 150, end: 400, minMultiplier: 0.8 },
+        basePosition: [0.3, -0.3, -0.6],
+        muzzlePosition: [0.3, -0.2, -1.7],
+        fireModes: ['semi'],
+        boltTime: 1.2,
+        scope: { fov: 8, spread: 0.001, sway: 0.02, holdBreathTime: 4.0, breathRecoveryTime: 3.0 },
+        attachmentMounts: {
+            muzzle: { position: [0.3, -0.2, -1.7] }
+        },
+        buildModel: buildKar98kModel
+    },
+    M1897: {
+        name: 'M1897',
+        category: 'primary',
+        icon: WEAPON_ICONS.shotgun,
+        damage: 14, // per pellet
+        fireRate: 70, // pump action
+        maxAmmo: 6,
+        reserveAmmo: 36,
+        reloadTime: 3.3, // full tube - shells load one at a time (shellReloadTime)
+        range: 45,
+        spread: 0.01,
+        bulletSpeed: 120,
+        recoilAmount: 0.4,
+        recoilRotation: 0.22,
+        swayIntensity: 0.02,
+        bulletSoundUrl: 'sounds/rifle-shoot.mp3',
+        recoilPattern: [[0.05, 0.006], [0.05, -0.006]],
+        bloomPerShot: 0,
+        maxBloom: 0,
+        ballistics: { gravity: 3.0, drag: 0.3 },
+        damageFalloff: { start: 8, end: 30, minMultiplier: 0.25 },
+        basePosition: [0.3, -0.3, -0.6],
+        muzzlePosition: [0.3, -0.18, -1.5],
+        fireModes: ['semi'],
+        pellets: 8,
+        pelletSpread: 0.12,
+        shellReloadTime: 0.55,
+        attachmentMounts: {
+            muzzle: { position: [0.3, -0.18, -1.5] }
+        },
+        buildModel: buildM1897Model
+    },
+
+    // Secondary weapons (pistols)
+    Pistol: {
+        name: 'Pistol',
+        category: 'secondary',
+        icon: WEAPON_ICONS.pistol,
+        damage: 20,
+        fireRate: 300,
+        maxAmmo: 12,
+        reserveAmmo: 60,
+        reloadTime: 1.5,
+        range: 100,
+        spread: 0.05,
+        bulletSpeed: 60,
+        recoilAmount: 0.22,
+        recoilRotation: 0.12,
+        swayIntensity: 0.012,
+        bulletSoundUrl: 'sounds/pistol-shoot.mp3',
+        recoilPattern: [[0.018, 0.002], [0.016, -0.003], [0.016, 0.003], [0.015, -0.002]],
+        bloomPerShot: 0.01,
+        maxBloom: 0.04,
+        hitZoneMultipliers: { head: 2.2 },
+        ballistics: { gravity: 4.0, drag: 0.12 },
+        damageFalloff: { start: 20, end: 80, minMultiplier: 0.4 },
+        basePosition: [0.25, -0.25, -0.5],
+        muzzlePosition: [0.25, -0.15, -0.7],
+        fireModes: ['semi'],
+        attachmentMounts: {
+            muzzle: { position: [0.25, -0.15, -0.7] },
+            magazine: { position: [0.25, -0.35, -0.4] }
+        },
+        buildModel: buildPistolModel
+    },
+    Luger: {
+        name: 'Luger',
+        category: 'secondary',
+        icon: WEAPON_ICONS.pistol,
+        damage: 25,
+        fireRate: 350,
+        maxAmmo: 8,
+        reserveAmmo: 48,
+        reloadTime: 1.8,
+        range: 120,
+        spread: 0.04,
+        bulletSpeed: 70,
+        recoilAmount: 0.24,
+        recoilRotation: 0.13,
+        swayIntensity: 0.012,
+        bulletSoundUrl: 'sounds/pistol-shoot.mp3',
+        recoilPattern: [[0.020, -0.002], [0.018, 0.003], [0.018, -0.003], [0.017, 0.002]],
+        bloomPerShot: 0.012,
+        maxBloom: 0.045,
+        hitZoneMultipliers: { head: 2.5, helmet: 1.6 },
+        ballistics: { gravity: 3.5, drag: 0.1 },
+        damageFalloff: { start: 25, end: 100, minMultiplier: 0.45 },
+        basePosition: [0.25, -0.25, -0.5],
+        muzzlePosition: [0.25, -0.14, -0.8],
+        fireModes: ['semi'],
+        attachmentMounts: {
+            muzzle: { position: [0.25, -0.14, -0.8] },
+            magazine: { position: [0.25, -0.354, -0.326], rotation: [-0.35, 0, 0] } // Raked grip
+        },
+        buildModel: buildLugerModel
+    },
+
+    // Mounted weapons (machine-gun nests)
+    MG42: {
+        name: 'MG42',
+        category: 'mounted',
+        icon: WEAPON_ICONS.mounted,
+        damage: 32,
+        fireRate: 1200,
+        maxAmmo: Infinity, // Belt-fed from the emplacement - limited by heat instead
+        reserveAmmo: 0,
+        reloadTime: 0,
+        range: 300,
+        spread: 0.015,
+        bulletSpeed: 160,
+        recoilAmount: 0.05,
+        recoilRotation: 0.04,
+        swayIntensity: 0,
+        bulletSoundUrl: 'sounds/rifle-shoot.mp3',
+        recoilPattern: [[0.004, 0.001], [0.004, -0.001], [0.003, 0.002], [0.003, -0.002]],
+        bloomPerShot: 0.001,
+        maxBloom: 0.02,
+        ballistics: { gravity: 1.5, drag: 0.02 },
+        damageFalloff: { start: 120, end: 280, minMultiplier: 0.6 },
+        basePosition: [0, -0.05, -0.35],
+        muzzlePosition: [0, -0.31, -1.57],
+        fireModes: ['auto'],
+        heat: { perShot: 0.025, coolRate: 0.3, recoverAt: 0.35 }, // ~5s of sustained fire
+        buildModel: buildMG42Model
+    }
+};
+
+// Distance enemies hear a shot from when a weapon doesn't set hearingRadius
+export const DEFAULT_HEARING_RADIUS = 100;
+
+// Fallback weapon per category when a saved selection no longer exists
+export const DEFAULT_WEAPONS = {
+    primary: 'MP40',
+    secondary: 'Pistol'
+};
+
+/**
+ * Get the definition for a weapon
+ * @param {string} weaponName - Name of the weapon (MP40, Sten, Pistol, Luger)
+ * @param {string} category - Optional 'primary' or 'secondary' fallback if the name is unknown
+ * @returns {Object|null} Weapon definition
+ */
+export function getWeaponDefinition(weaponName, category = null) {
+    const definition = WEAPON_DEFINITIONS[weaponName];
+    if (definition && (!category || definition.category === category)) {
+        return definition;
+    }
+    return category ? WEAPON_DEFINITIONS[DEFAULT_WEAPONS[category]] : null;
+}
+
+/**
+ * Damage multiplier for a round that has travelled a given distance
+ * @param {number} distance - Distance travelled in units
+ * @param {Object} falloff - { start, end, minMultiplier } or null for no falloff
+ * @returns {number} Multiplier between minMultiplier and 1
+ */
+export function getDamageFalloffMultiplier(distance, falloff) {
+    if (!falloff || distance <= falloff.start) return 1;
+    if (distance >= falloff.end) return falloff.minMultiplier;
+    const t = (distance - falloff.start) / (falloff.end - falloff.start);
+    return 1 - t * (1 - falloff.minMultiplier);
+}
+
+/**
+ * Get all weapon definitions in a category
+ * @param {string} category - 'primary' or 'secondary'
+ * @returns {Object[]} Weapon definitions in registry order
+ */
+export function getWeaponDefinitionsByCategory(category) {
+    return Object.values(WEAPON_DEFINITIONS).filter(definition => definition.category === category);
+}
+
+// Upper spread (radians) for 'Low' and 'Medium' - sidearms are rated against other sidearms
+const SPREAD_LABEL_THRESHOLDS = {
+    primary: { low: 0.02, medium: 0.035 },
+    secondary: { low: 0.05, medium: 0.07 }
+};
+
+/**
+ * Describe a spread value for the customize stats panel
+ * @param {number} spread - Spread in radians
+ * @param {string} category - 'primary' or 'secondary'
+ * @returns {string} 'Low', 'Medium' or 'High'
+ */
+export function getSpreadLabel(spread, category = 'primary') {
+    const thresholds = SPREAD_LABEL_THRESHOLDS[category] || SPREAD_LABEL_THRESHOLDS.primary;
+    if (spread <= thresholds.low) return 'Low';
+    if (spread <= thresholds.medium) return 'Medium';
+    return 'High';
+}
@@ -6,6 +6,9 @@ export const WEAPON_ICONS = {
     // Primary weapons
     primary: 'ᡕᠵデᡁ᠊╾━',
     longGun: 'ᡕᠵデᡁ᠊╾━',
+    sniper: '︻デ═一',
+    shotgun: '▄︻┻═┳一',
+    mounted: '▄︻̷̿┻̿═━一',
     
     // Secondary weapons
     secondary: ' ̸̳̔̎​̎̎ ̿̿̅̅/ ̔̅̅ ̿̿ ̿̿ ̿ ̿̿ ̿̿̅̅ ̿̿',
@@ -15,8 +18,12 @@ export const WEAPON_ICONS = {
     gadget: '▬ι𓆃',
     knife: '▬ι𓆃',
     grenade: '💣',
+    smoke: '💨',
     medkit: '🏥',
-    binoculars: '🔭'
+    binoculars: '🔭',
+    mine: '💥',
+    tripwire: '🪤',
+    radio: '📻'
 };
 
 /**
@@ -30,6 +37,9 @@ export function getWeaponIcon(weaponName) {
         'MP40': WEAPON_ICONS.longGun,
         'Sten': WEAPON_ICONS.longGun,
         'Rifle': WEAPON_ICONS.longGun,
+        'Kar98k': WEAPON_ICONS.sniper,
+        'M1897': WEAPON_ICONS.shotgun,
+        'MG42': WEAPON_ICONS.mounted,
         
         // Secondary weapons (pistols)
         'Pistol': WEAPON_ICONS.pistol,
@@ -37,8 +47,12 @@ export function getWeaponIcon(weaponName) {
         
         // Gadgets
         'Grenade': WEAPON_ICONS.grenade,
+        'Smoke': WEAPON_ICONS.smoke,
         'Medkit': WEAPON_ICONS.medkit,
         'Binoculars': WEAPON_ICONS.binoculars,
+        'Mine': WEAPON_ICONS.mine,
+        'Tripwire': WEAPON_ICONS.tripwire,
+        'Radio': WEAPON_ICONS.radio,
         'Knife': WEAPON_ICONS.knife
     };
     
@@ -30,6 +30,10 @@ export class AudioManager {
         
         // Generated audio buffers cache
         this.generatedSounds = {};
+        
+        // Tinnitus (close explosions) - sound effects are routed through a low-pass filter while it lasts
+        this.muffleFilter = null;
+        this.muffleUntil = 0;
     }
 
     // Initialize audio context (must be called after user interaction)
@@ -421,6 +425,15 @@ export class AudioManager {
         const audio = new Audio();
         audio.src = url; // Browser uses cache, no network request
         audio.volume = volume * this.sfxVolume;
+        
+        // Muffle while the ears are still ringing
+        if (this.audioContext && Date.now() / 1000 < this.muffleUntil) {
+            try {
+                this.audioContext.createMediaElementSource(audio).connect(this.getMuffleFilter());
+            } catch (error) {
+                // Element can't be routed - play it unfiltered
+            }
+        }
 
         // CRITICAL: Never change src! Audio is already loaded with this URL
         // Just reset and play - this avoids ALL network requests
@@ -441,6 +454,74 @@ export class AudioManager {
         });
     }
 
+    // Low-pass filter shared by all muffled sound effects
+    getMuffleFilter() {
+        if (!this.muffleFilter) {
+            this.muffleFilter = this.audioContext.createBiquadFilter();
+            this.muffleFilter.type = 'lowpass';
+            this.muffleFilter.frequency.value = 20000;
+            this.muffleFilter.connect(this.audioContext.destination);
+        }
+        return this.muffleFilter;
+    }
+
+    // Ear ringing after a close explosion - a high whine plus muffled sound effects
+    playTinnitus(intensity = 1.0, duration = 3.0) {
+        if (!this.initialized) {
+            this.init();
+        }
+        if (!this.audioContext) return;
+        
+        const ctx = this.audioContext;
+        const now = ctx.currentTime;
+        const level = Math.max(0, Math.min(1, intensity));
+        
+        // Ringing tone fading out
+        const oscillator = ctx.createOscillator();
+        const gainNode = ctx.createGain();
+        oscillator.type = 'sine';
+        oscillator.frequency.value = 4200;
+        gainNode.gain.setValueAtTime(Math.max(0.0001, 0.08 * level * this.sfxVolume), now);
+        gainNode.gain.exponentialRampToValueAtTime(0.0001, now + duration);
+        oscillator.connect(gainNode);
+        gainNode.connect(ctx.destination);
+        oscillator.start(now);
+        oscillator.stop(now + duration);
+        
+        // Cutoff drops with intensity and opens back up over the duration
+        const filter = this.getMuffleFilter();
+        filter.frequency.cancelScheduledValues(now);
+        filter.frequency.setValueAtTime(300 + (1 - level) * 2000, now);
+        filter.frequency.exponentialRampToValueAtTime(20000, now + duration);
+        this.muffleUntil = Math.max(this.muffleUntil, Date.now() / 1000 + duration);
+    }
+
+    // Incoming shell - a falling whistle that ends as the shell lands
+    playShellWhistle(intensity = 1.0, duration = 1.5) {
+        if (!this.initialized) {
+            this.init();
+        }
+        if (!this.audioContext) return;
+
+        const ctx = this.audioContext;
+        const now = ctx.currentTime;
+        const level = Math.max(0, Math.min(1, intensity));
+
+        // Pitch drops as the shell comes down, getting louder until impact
+        const oscillator = ctx.createOscillator();
+        const gainNode = ctx.createGain();
+        oscillator.type = 'sine';
+        oscillator.frequency.setValueAtTime(1900, now);
+        oscillator.frequency.exponentialRampToValueAtTime(550, now + duration);
+        gainNode.gain.setValueAtTime(0.0001, now);
+        gainNode.gain.exponentialRampToValueAtTime(Math.max(0.0001, 0.12 * level * this.sfxVolume), now + duration);
+        oscillator.connect(gainNode);
+        // Muffled with the rest of the sound effects after a close blast
+        gainNode.connect(this.getMuffleFilter());
+        oscillator.start(now);
+        oscillator.stop(now + duration);
+    }
+
     // Play bullet shoot sound (optimized)
     playBulletSound(url, volume = 0.5) {
         // Use rate limiting and lower volume for bullet sounds
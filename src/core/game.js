@@ -4,6 +4,8 @@ import { PerformanceManager } from './performanceManager.js';
 import { PlayerController } from '../player/playerController.js';
 import { WeaponManager } from '../weapons/weaponManager.js';
 import { Battlefield } from '../world/battlefield.js';
+import { PickupManager } from '../world/pickupManager.js';
+import { EmplacementManager } from '../world/emplacementManager.js';
 import { CollisionSystem } from '../collision/collisionSystem.js';
 import { TeamManager } from '../enemies/teamManager.js';
 import { UIManager } from '../ui/uiManager.js';
@@ -22,6 +24,8 @@ export class Game {
         this.collisionSystem = null;
         this.teamManager = null;
         this.uiManager = null;
+        this.pickupManager = null;
+        this.emplacementManager = null;
         this.audioManager = audioManager;
         this.animationFrameId = null;
         this.isRunning = false;
@@ -111,6 +115,8 @@ export class Game {
                 this.collisionSystem.addCollider(obj);
             }
         }
+        // Soldiers path around houses, walls and the rest of what was just registered
+        this.collisionSystem.buildNavigationGrid();
 
         this.performanceManager = new PerformanceManager(this.engine, this.settings);
         this.performanceManager.init();
@@ -131,9 +137,18 @@ export class Game {
         
         // Set selected weapons BEFORE init so they're applied during initialization
         if (selectedWeapons) {
+            if (selectedWeapons.primary) {
+                this.weaponManager.selectedPrimary = selectedWeapons.primary;
+            }
+            if (selectedWeapons.secondary) {
+                this.weaponManager.selectedSecondary = selectedWeapons.secondary;
+            }
             if (selectedWeapons.gadget) {
                 this.weaponManager.selectedGadget = selectedWeapons.gadget;
             }
+            if (selectedWeapons.attachments) {
+                this.weaponManager.selectedAttachments = selectedWeapons.attachments;
+            }
         }
         
         if (loadingManager) {
@@ -152,6 +167,9 @@ export class Game {
         // Set player reference in weapon manager for bullet collision detection
         this.weaponManager.player = this.player;
         this.weaponManager.bulletManager.player = this.player;
+        this.weaponManager.explosionService.player = this.player;
+        this.weaponManager.mineField.player = this.player;
+        this.weaponManager.artilleryService.player = this.player;
         
         // Update team manager with bullet manager for soldier shooting
         this.teamManager.bulletManager = this.weaponManager.bulletManager;
@@ -163,6 +181,21 @@ export class Game {
             ally.bulletManager = this.weaponManager.bulletManager;
         });
         
+        // Machine-gun nests - created before the pickup manager so the nest gets the interact key first
+        this.emplacementManager = new EmplacementManager(this.battlefield.machineGunNests);
+        this.emplacementManager.player = this.player;
+        this.emplacementManager.weaponManager = this.weaponManager;
+        this.emplacementManager.teamManager = this.teamManager;
+
+        // Ammo/health drops and resupply crates
+        this.pickupManager = new PickupManager(this.worldGroup);
+        this.pickupManager.player = this.player;
+        this.pickupManager.weaponManager = this.weaponManager;
+        this.battlefield.resupplyPositions.forEach(position => {
+            this.pickupManager.addResupplyStation(position);
+        });
+        this.teamManager.pickupManager = this.pickupManager;
+
         // Ensure selected gadget is applied after init (in case weapon type is gadget)
         if (selectedWeapons && selectedWeapons.gadget) {
             this.weaponManager.setSelectedGadget(selectedWeapons.gadget);
@@ -186,6 +219,8 @@ export class Game {
         
         // Pass UI manager reference to team manager for deployment notifications
         this.teamManager.uiManager = this.uiManager;
+        this.uiManager.pickupManager = this.pickupManager;
+        this.uiManager.emplacementManager = this.emplacementManager;
 
         this.orientationLock = new OrientationLock();
         this.orientationLock.init();
@@ -295,6 +330,8 @@ export class Game {
             ? this.player.getColliderMesh()
             : null;
         this.teamManager.update(deltaTime, playerPosition, playerColliderMesh);
+        this.pickupManager.update(deltaTime);
+        this.emplacementManager.update(deltaTime);
 
         const gameEndResult = this.teamManager.checkGameEnd();
         if (gameEndResult.ended) {
@@ -469,6 +506,17 @@ export class Game {
             
             this.teamManager.uiManager = null;
             this.teamManager.bulletManager = null;
+            this.teamManager.pickupManager = null;
+        }
+
+        if (this.pickupManager) {
+            this.pickupManager.dispose();
+            this.pickupManager = null;
+        }
+
+        if (this.emplacementManager) {
+            this.emplacementManager.dispose();
+            this.emplacementManager = null;
         }
         
         // Dispose weapon manager
@@ -477,8 +525,22 @@ export class Game {
             if (this.weaponManager.bulletManager) {
                 this.weaponManager.bulletManager.clear();
             }
+            // Clear laid mines and incoming barrages
+            this.weaponManager.mineField.clear();
+            this.weaponManager.artilleryService.clear();
+            // Dispose firearms - they hold camera meshes, and the sniper its hold-breath key listeners
+            for (const weapon of [this.weaponManager.primaryWeapon, this.weaponManager.secondaryWeapon, this.weaponManager.mountedWeapon]) {
+                weapon?.dispose();
+            }
+            this.weaponManager.primaryWeapon = null;
+            this.weaponManager.secondaryWeapon = null;
+            this.weaponManager.mountedWeapon = null;
+            this.weaponManager.currentWeapon = null;
             // Clear weapon references
             this.weaponManager.player = null;
+            this.weaponManager.explosionService.player = null;
+            this.weaponManager.mineField.player = null;
+            this.weaponManager.artilleryService.player = null;
         }
         
         // Dispose battlefield
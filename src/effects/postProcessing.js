@@ -6,6 +6,7 @@ export class PostProcessingManager {
         this._lastYaw = 0;
         this._lastPitch = 0;
         this._motionBlur = 0;
+        this._suppression = 0; // Player suppression the screen currently shows
 
         const container = document.getElementById('game-container');
         this.canvas = engine?.renderer?.domElement || null;
@@ -17,6 +18,16 @@ export class PostProcessingManager {
         if (container) {
             container.appendChild(this.grainOverlay);
         }
+
+        // Darkened edges while the player is suppressed (opacity follows the suppression meter)
+        this.vignetteOverlay = document.createElement('div');
+        this.vignetteOverlay.id = 'post-suppression-vignette';
+        this.vignetteOverlay.className = 'post-suppression-vignette';
+        this.vignetteOverlay.setAttribute('aria-hidden', 'true');
+        this.vignetteOverlay.style.opacity = '0';
+        if (container) {
+            container.appendChild(this.vignetteOverlay);
+        }
     }
 
     setPlayer(player) {
@@ -49,6 +60,11 @@ export class PostProcessingManager {
             parts.push(`blur(${blurPx}px)`);
         }
 
+        // Suppression drains the colour out of the picture
+        if (this._suppression > 0.01) {
+            parts.push(`saturate(${(1 - this._suppression * 0.75).toFixed(2)})`);
+        }
+
         this.canvas.style.filter = parts.length > 0 ? parts.join(' ') : 'none';
     }
 
@@ -77,7 +93,20 @@ export class PostProcessingManager {
         }
     }
 
+    _updateSuppression() {
+        const suppression = this.player?.suppression ?? 0;
+        if (suppression === this._suppression) return false;
+        // Tiny changes wait (the filter restyles the canvas), but it always lands back on zero
+        if (suppression > 0 && Math.abs(suppression - this._suppression) < 0.005) return false;
+        this._suppression = suppression;
+        if (this.vignetteOverlay) {
+            this.vignetteOverlay.style.opacity = suppression.toFixed(2);
+        }
+        return true;
+    }
+
     update() {
+        const suppressionChanged = this._updateSuppression();
         if (!this.player?.getYawObject) {
             this._motionBlur *= 0.85;
             this._applyCanvasFilters();
@@ -97,7 +126,7 @@ export class PostProcessingManager {
             this._motionBlur *= 0.82;
         }
 
-        if (this.settings.motionBlur || this.settings.bloom) {
+        if (this.settings.motionBlur || this.settings.bloom || suppressionChanged) {
             this._applyCanvasFilters();
         }
     }
@@ -106,10 +135,14 @@ export class PostProcessingManager {
         if (this.grainOverlay?.parentNode) {
             this.grainOverlay.parentNode.removeChild(this.grainOverlay);
         }
+        if (this.vignetteOverlay?.parentNode) {
+            this.vignetteOverlay.parentNode.removeChild(this.vignetteOverlay);
+        }
         if (this.canvas) {
             this.canvas.style.filter = 'none';
         }
         this.grainOverlay = null;
+        this.vignetteOverlay = null;
         this.canvas = null;
     }
 }
@@ -0,0 +1,140 @@
+import * as THREE from 'three';
+
+let smokeTexture = null;
+
+function getSmokeTexture() {
+    // Soft round puff shared by every smoke cloud
+    if (smokeTexture) return smokeTexture;
+
+    const canvas = document.createElement('canvas');
+    canvas.width = 64;
+    canvas.height = 64;
+    const ctx = canvas.getContext('2d');
+    const gradient = ctx.createRadialGradient(32, 32, 0, 32, 32, 32);
+    gradient.addColorStop(0, 'rgba(255, 255, 255, 1)');
+    gradient.addColorStop(0.5, 'rgba(255, 255, 255, 0.6)');
+    gradient.addColorStop(1, 'rgba(255, 255, 255, 0)');
+    ctx.fillStyle = gradient;
+    ctx.fillRect(0, 0, 64, 64);
+
+    smokeTexture = new THREE.CanvasTexture(canvas);
+    return smokeTexture;
+}
+
+/**
+ * Smoke Cloud
+ * Billowing particle cloud (world coordinates) that registers a sight blocker with the
+ * collision system while it lasts, so soldiers can't see through it.
+ */
+export class SmokeCloud {
+    constructor(position, scene, collisionSystem = null, duration = 20.0, radius = 5.0) {
+        this.position = position.clone();
+        this.position.y = 0;
+        this.scene = scene;
+        this.collisionSystem = collisionSystem;
+        this.duration = duration;
+        this.radius = radius;
+        this.age = 0;
+        this.isActive = true;
+
+        this.expandTime = 2.5; // seconds to billow out to full size
+        this.fadeTime = 3.0; // seconds of thinning out at the end (no longer blocks sight)
+        this.particleCount = 70;
+        this.particleSystem = null;
+        this.offsets = []; // Final offset of each puff from the cloud centre
+        this.drift = []; // Slow rising drift per puff
+
+        this.createParticles();
+        this.sightBlocker = this.collisionSystem?.addSightBlocker
+            ? this.collisionSystem.addSightBlocker(this.getBlockerCenter(), 0)
+            : null;
+    }
+
+    getBlockerCenter() {
+        // Cloud hugs the ground - centre the blocking sphere at chest height
+        return new THREE.Vector3(this.position.x, this.radius * 0.4, this.position.z);
+    }
+
+    createParticles() {
+        const geometry = new THREE.BufferGeometry();
+        const positions = new Float32Array(this.particleCount * 3);
+
+        for (let i = 0; i < this.particleCount; i++) {
+            // Random point in a flattened hemisphere
+            const angle = Math.random() * Math.PI * 2;
+            const distance = Math.sqrt(Math.random()) * this.radius;
+            this.offsets.push(new THREE.Vector3(
+                Math.cos(angle) * distance,
+                Math.random() * this.radius * 0.9,
+                Math.sin(angle) * distance
+            ));
+            this.drift.push(0.05 + Math.random() * 0.15);
+        }
+
+        geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+
+        const material = new THREE.PointsMaterial({
+            size: 3.5,
+            map: getSmokeTexture(),
+            color: 0xb8b8b0,
+            transparent: true,
+            opacity: 0,
+            depthWrite: false
+        });
+
+        this.particleSystem = new THREE.Points(geometry, material);
+        this.particleSystem.position.copy(this.position);
+        this.particleSystem.frustumCulled = false;
+        this.scene.add(this.particleSystem);
+        this.updateParticles();
+    }
+
+    updateParticles() {
+        const expand = Math.min(1, 0.15 + this.age / this.expandTime);
+        const positions = this.particleSystem.geometry.attributes.position.array;
+        for (let i = 0; i < this.particleCount; i++) {
+            const offset = this.offsets[i];
+            const i3 = i * 3;
+            positions[i3] = offset.x * expand;
+            positions[i3 + 1] = offset.y * expand + this.drift[i] * this.age;
+            positions[i3 + 2] = offset.z * expand;
+        }
+        this.particleSystem.geometry.attributes.position.needsUpdate = true;
+
+        const fadeStart = this.duration - this.fadeTime;
+        const fade = this.age > fadeStart ? 1 - (this.age - fadeStart) / this.fadeTime : 1;
+        this.particleSystem.material.opacity = 0.85 * Math.min(1, this.age / 0.5) * Math.max(0, fade);
+
+        // Sight blocking follows the visible size and stops once the cloud thins out
+        if (this.sightBlocker) {
+            this.sightBlocker.radius = this.age < fadeStart ? this.radius * expand : 0;
+        }
+    }
+
+    update(deltaTime) {
+        if (!this.isActive) return;
+
+        this.age += deltaTime;
+        if (this.age >= this.duration) {
+            this.dispose();
+            return;
+        }
+        this.updateParticles();
+    }
+
+    dispose() {
+        this.isActive = false;
+        if (this.sightBlocker) {
+            this.collisionSystem.removeSightBlocker(this.sightBlocker);
+            this.sightBlocker = null;
+        }
+        if (this.particleSystem) {
+            if (this.particleSystem.parent) {
+                this.particleSystem.parent.remove(this.particleSystem);
+            }
+            this.particleSystem.geometry.dispose();
+            this.particleSystem.material.dispose();
+            this.particleSystem = null;
+        }
+    }
+}
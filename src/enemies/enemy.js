@@ -1,5 +1,38 @@
 import * as THREE from 'three';
 import { createSoldierModel, updateWalkAnimation } from './soldierModel.js';
+import { getWeaponDefinition, getWeaponDefinitionsByCategory } from '../config/weaponDefinitions.js';
+import { SoldierBrain } from './soldierBrain.js';
+
+// Soldiers use registry weapons tuned down for bots: the reference rifle deals the wave's base
+// damage, and they fire a small fraction of the weapon's cyclic rate (MP40: 30 rpm)
+const SOLDIER_REFERENCE_WEAPON = 'MP40';
+const SOLDIER_FIRE_RATE_SCALE = 0.05;
+const SOLDIER_RANGE_SCALE = 0.75; // MP40: 150 units
+const SOLDIER_SIDEARM_CHANCE = 0.2; // Red soldiers carrying only a pistol
+const SUPPRESSIVE_FIRE_INTERVAL_SCALE = 1.5; // Suppressive fire is slower than aimed fire...
+const SUPPRESSIVE_FIRE_SPREAD_SCALE = 3.0; // ...and sprayed wider
+const SUPPRESSED_SPREAD_SCALE = 2.0; // Extra spread when fully suppressed (three times as wide)
+
+// Path following (see NavigationGrid)
+const PATH_CHECK_INTERVAL = 0.25; // Seconds between checks whether the path needs replanning
+const PATH_REPLAN_DISTANCE = 1.5; // Replan once the target has moved this far from the path's goal
+const PATH_MAX_AGE = 2.0; // Seconds before a path is replanned anyway (obstacles may have changed)
+const WAYPOINT_REACHED_DISTANCE = 0.5;
+
+const _aimPoint = new THREE.Vector3();
+const _move = new THREE.Vector3();
+const _newPosition = new THREE.Vector3();
+const _toPlayer = new THREE.Vector3();
+const _strafe = new THREE.Vector3();
+const _strafeTarget = new THREE.Vector3();
+const _threat = new THREE.Vector3();
+
+function pickSoldierWeapon(team) {
+    const category = team === 'red' && Math.random() < SOLDIER_SIDEARM_CHANCE ? 'secondary' : 'primary';
+    // Bots fire single rounds without a scope - sniper rifles and shotguns are player-only
+    const options = getWeaponDefinitionsByCategory(category).filter(definition => !definition.scope && !definition.pellets);
+    return options[Math.floor(Math.random() * options.length)];
+}
 
 export class Enemy {
     constructor(position, team, collisionSystem = null, bulletManager = null, scene = null, waveNumber = 0, baseDamage = 15, damagePerWave = 3) {
@@ -18,13 +51,13 @@ export class Enemy {
             this.speed = baseSpeed * 0.9;
             
             // Wave-based damage scaling
-            this.shootDamage = baseDamage + (waveNumber * damagePerWave);
+            this.baseShotDamage = baseDamage + (waveNumber * damagePerWave);
         } else {
             // Allies (blue team) keep base stats
             this.health = baseHealth;
             this.maxHealth = baseHealth;
             this.speed = baseSpeed;
-            this.shootDamage = baseDamage; // Allies don't scale with waves
+            this.baseShotDamage = baseDamage; // Allies don't scale with waves
         }
         
         this.mesh = null;
@@ -40,6 +73,8 @@ export class Enemy {
         this.isAlly = false;
         this.maxDistanceFromPlayer = 300; // Maximum distance from player for allies
         this.nearbyEnemies = []; // List of nearby enemy meshes for allies to engage
+        this.spottedTargetPriority = 0.5; // Spotted targets rank as if this much closer
+        this.spottedTimer = 0; // Seconds this soldier stays spotted by the player (red only)
         this.lastTargetChangeTime = 0; // For slow movement around player
         this.targetChangeInterval = 3.0; // Change target every 3 seconds (slow movement)
         
@@ -74,21 +109,150 @@ export class Enemy {
         this.currentRotationY = 0; // Current Y rotation
         this.rotationSpeed = 3.0;
         
-        // Shooting properties
-        this.shootRange = 150; // Maximum shooting range
-        // shootDamage is set above based on team and wave
-        this.fireRate = 30; // rounds per minute (slower shooting - 2 seconds per shot)
+        // Shooting properties - stats come from the carried weapon (see equipWeapon)
+        this.weaponDefinition = null;
+        this.shootRange = 0;
+        this.shootDamage = 0;
+        this.fireRate = 0; // rounds per minute
+        this.fireInterval = 0;
+        this.bulletSpeed = 0;
+        this.ballistics = null;
+        this.damageFalloff = null;
         this.lastShotTime = 0;
-        this.fireInterval = 60 / this.fireRate; // Time between shots in seconds (2 seconds per shot)
-        this.bulletSpeed = 100; // Same as primary weapon
+        // Ammo carried - dropped with the weapon on death
+        this.magazineAmmo = 0;
+        this.reserveAmmo = 0;
+        this.reloadTimer = 0;
+        this.equipWeapon(pickSoldierWeapon(team));
+        // Machine-gun nest this soldier crews (walks to the seat first, see updateMountedGun)
+        this.mountedGun = null;
+        this.carriedWeapon = null; // Own weapon and ammo, put away while seated on the gun
+        this.mountTimer = 0; // Seconds spent walking to the seat
+        this.mountIdleTime = 0; // Seconds seated without a target in the gun's arc
+        this.mountTimeout = 15.0;
+        this.mountIdleLimit = 12.0;
         this.currentTarget = null; // Current target to shoot at
         this.targets = []; // List of potential targets (enemies for allies, player/allies for enemies)
         this.entityId = 0;
         this.timeOnCurrentTarget = 0;
         this.reactionDelay = 0.7 + Math.random() * 0.9;
+        // Hearing - a shot within the shooter's hearing radius puts the soldier on alert
+        this.alertTimer = 0;
+        this.alertDuration = 8.0; // Seconds an alert lasts
+        this.alertReactionScale = 0.4; // Alert soldiers react this much faster to a target
+        this.heardPosition = new THREE.Vector3();
         this._trackedTargetMesh = null;
         this._strafeDirection = Math.random() < 0.5 ? 1 : -1;
         this._strafeTimer = 0;
+
+        // AI layer - the profile follows isAlly/isInGroup, which TeamManager sets after construction
+        this.distanceToPlayer = Infinity;
+        this.squadRole = null; // Part in the squad's plan (SquadController) - null while the squad advances
+        this.visibleEnemy = null; // Nearest enemy an ally can see
+
+        // Cover - soldiers under fire get behind walls, houses, vehicles and crates
+        this.underFireTimer = 0;
+        this.underFireDuration = 6.0; // Seconds a hit keeps the soldier in cover
+        this.coverPoint = null; // { position, peekPosition } from CollisionSystem.findCoverPoints
+        this.coverSearchRadius = 25;
+        this.coverSearchCooldown = 0; // Cover searches are throttled
+        this.coverCheckTimer = 0; // Seconds until the next flank check
+        this.coverFlanked = false; // The threat can see the cover spot
+        this.isCrouched = false;
+        this.peekInterval = 2.0 + Math.random() * 1.5; // Seconds hidden between peeks
+        this.peekDuration = 1.5 + Math.random(); // Seconds leaning out to shoot
+
+        // Suppression - near misses (BulletManager.checkNearMisses) build it up and it drains over time
+        this.suppression = 0; // 0..1
+        this.suppressionRecovery = 0.15; // Per second
+        this.suppressedThreshold = 0.3; // From here the soldier counts as under fire and heads for cover
+
+        // Pathfinding - null while the straight line to the movement target is clear
+        this.path = null; // { goal, waypoints, index, age }
+        this.pathCheckTimer = Math.random() * PATH_CHECK_INTERVAL; // Staggered so soldiers don't all plan on one frame
+        this.brain = new SoldierBrain(this, 'hunter');
+    }
+
+    /**
+     * Carry a weapon from the registry (config/weaponDefinitions.js)
+     * @param {Object} definition - Weapon definition
+     */
+    equipWeapon(definition) {
+        const reference = getWeaponDefinition(SOLDIER_REFERENCE_WEAPON);
+        this.weaponDefinition = definition;
+        this.shootRange = definition.range * SOLDIER_RANGE_SCALE;
+        this.shootDamage = Math.round(this.baseShotDamage * definition.damage / reference.damage);
+        this.fireRate = definition.fireRate * SOLDIER_FIRE_RATE_SCALE;
+        this.fireInterval = 60 / this.fireRate; // Time between shots in seconds
+        this.bulletSpeed = definition.bulletSpeed;
+        this.ballistics = definition.ballistics || null;
+        this.damageFalloff = definition.damageFalloff || null;
+        this.magazineAmmo = definition.maxAmmo;
+        this.reserveAmmo = definition.reserveAmmo;
+        this.reloadTimer = 0;
+    }
+
+    /**
+     * Weapon left behind on death
+     * @returns {{ definition: Object, currentAmmo: number, reserveAmmo: number }|null} Null if out of ammo
+     */
+    getDroppedWeapon() {
+        if (!this.weaponDefinition || this.magazineAmmo + this.reserveAmmo <= 0) {
+            return null;
+        }
+        return {
+            definition: this.weaponDefinition,
+            currentAmmo: this.magazineAmmo,
+            reserveAmmo: this.reserveAmmo
+        };
+    }
+
+    /**
+     * Head for a machine-gun nest and crew it
+     * @param {MachineGunNest} nest - Must be free
+     */
+    mountGun(nest) {
+        this.mountedGun = nest;
+        nest.occupant = this;
+        this.mountTimer = 0;
+        this.mountIdleTime = 0;
+    }
+
+    // Swap the carried weapon for the nest's gun once at the seat
+    takeGunSeat() {
+        this.carriedWeapon = {
+            definition: this.weaponDefinition,
+            magazineAmmo: this.magazineAmmo,
+            reserveAmmo: this.reserveAmmo
+        };
+        this.equipWeapon(this.mountedGun.definition);
+    }
+
+    // Leave the nest (no target, gave up walking there, or died) and pick the own weapon back up
+    dismountGun() {
+        if (!this.mountedGun) return;
+
+        if (this.carriedWeapon) {
+            this.equipWeapon(this.carriedWeapon.definition);
+            this.magazineAmmo = this.carriedWeapon.magazineAmmo;
+            this.reserveAmmo = this.carriedWeapon.reserveAmmo;
+            this.carriedWeapon = null;
+        }
+        if (this.mountedGun.occupant === this) {
+            this.mountedGun.release();
+        }
+        this.mountedGun = null;
+    }
+
+    updateReload(deltaTime) {
+        if (this.reloadTimer <= 0) return;
+        this.reloadTimer -= deltaTime;
+        if (this.reloadTimer <= 0) {
+            const rounds = Math.min(this.weaponDefinition.maxAmmo - this.magazineAmmo, this.reserveAmmo);
+            this.magazineAmmo += rounds;
+            this.reserveAmmo -= rounds;
+            this.reloadTimer = 0;
+        }
     }
 
     init() {
@@ -123,6 +287,7 @@ export class Enemy {
         group.userData.team = this.team;
         
         this.mesh = group;
+        group.userData.aiState = this.brain.state;
         this.updateHealthBar();
         
         // Initialize forward direction randomly for allies (will be updated when ally starts moving)
@@ -169,25 +334,21 @@ export class Enemy {
         
         const engagementRange = 200; // Maximum range to engage enemies
         let nearestEnemy = null;
-        let nearestDistance = engagementRange;
+        let nearestDistance = Infinity; // Priority-weighted distance of the best candidate
         
         for (const enemyMesh of this.nearbyEnemies) {
             if (!enemyMesh || !enemyMesh.position) continue;
             
             // Get the world position of the enemy
-            const enemyWorldPos = new THREE.Vector3();
-            if (enemyMesh.getWorldPosition) {
-                enemyMesh.getWorldPosition(enemyWorldPos);
-            } else if (enemyMesh.position) {
-                enemyWorldPos.copy(enemyMesh.position);
-            } else {
-                continue;
-            }
+            const enemyWorldPos = this.getTargetWorldPosition(enemyMesh, new THREE.Vector3());
             
             const distance = this.position.distanceTo(enemyWorldPos);
-            if (distance < nearestDistance) {
+            const priorityDistance = this.getTargetPriorityDistance(enemyMesh, distance);
+            if (distance < engagementRange && priorityDistance < nearestDistance) {
                 if (this.collisionSystem && this.collisionSystem.checkLineOfSight) {
-                    let hasLineOfSight = this._lastLineOfSight;
+                    // Smoke is cheap to test, so it still blocks on throttled frames
+                    let hasLineOfSight = this._lastLineOfSight &&
+                        !this.collisionSystem.isSightBlockedBetween?.(this.position, enemyWorldPos, 1.0);
                     if (this.collisionSystem.shouldCheckLineOfSight(this.entityId)) {
                         hasLineOfSight = this.collisionSystem.checkLineOfSight(
                             this.position,
@@ -202,7 +363,7 @@ export class Enemy {
                     }
                 }
                 
-                nearestDistance = distance;
+                nearestDistance = priorityDistance;
                 nearestEnemy = enemyMesh;
             }
         }
@@ -210,159 +371,6 @@ export class Enemy {
         return nearestEnemy;
     }
 
-    updateAllyBehavior(deltaTime) {
-        if (!this.playerPosition) return;
-        
-        const distanceToPlayer = this.position.distanceTo(this.playerPosition);
-        
-        // Check if ally is too far from player - bring them back
-        if (distanceToPlayer > this.maxDistanceFromPlayer) {
-            // Move back towards player
-            const directionToPlayer = new THREE.Vector3()
-                .subVectors(this.playerPosition, this.position)
-                .normalize();
-            
-            const targetPos = this.position.clone().add(
-                directionToPlayer.multiplyScalar(this.maxDistanceFromPlayer * 0.8)
-            );
-            targetPos.y = 0;
-            this.targetPosition = targetPos;
-            
-            // Reset forward direction to point toward player
-            this.forwardDirection.copy(directionToPlayer);
-        } else {
-            // Check for nearby enemies to engage (with line-of-sight check)
-            const nearestEnemy = this.findNearestEnemy();
-            
-            if (nearestEnemy) {
-                // Get the world position of the enemy
-                const enemyPos = new THREE.Vector3();
-                if (nearestEnemy.getWorldPosition) {
-                    nearestEnemy.getWorldPosition(enemyPos);
-                } else if (nearestEnemy.position) {
-                    enemyPos.copy(nearestEnemy.position);
-                } else {
-                    // Can't get position, continue scanning
-                    this.updateForwardMovementAndScanning(deltaTime);
-                    return;
-                }
-                
-                // Enemy found with clear line-of-sight! Engage enemy - move towards it but keep within max distance from player
-                const directionToEnemy = new THREE.Vector3()
-                    .subVectors(enemyPos, this.position)
-                    .normalize();
-                
-                // Update forward direction to point toward enemy
-                this.forwardDirection.copy(directionToEnemy);
-                
-                // Move towards enemy but ensure we don't go too far from player
-                const moveDistance = 30; // Move closer to enemy
-                const potentialPos = this.position.clone().add(
-                    directionToEnemy.multiplyScalar(moveDistance)
-                );
-                
-                // Check if this position is still within max distance from player
-                const distanceFromPlayerAtNewPos = potentialPos.distanceTo(this.playerPosition);
-                if (distanceFromPlayerAtNewPos <= this.maxDistanceFromPlayer) {
-                    this.targetPosition = potentialPos;
-                    this.targetPosition.y = 0;
-                } else {
-                    // Too far, move forward but stay within range
-                    const directionToPlayer = new THREE.Vector3()
-                        .subVectors(this.playerPosition, this.position)
-                        .normalize();
-                    const safeForward = directionToPlayer.clone().multiplyScalar(this.maxDistanceFromPlayer * 0.7);
-                    this.targetPosition = this.playerPosition.clone().add(safeForward);
-                    this.targetPosition.y = 0;
-                }
-            } else {
-                // No visible enemies - move forward while scanning to find enemies
-                this.updateForwardMovementAndScanning(deltaTime);
-            }
-        }
-        
-        // Move towards target
-        if (this.targetPosition) {
-            const direction = new THREE.Vector3()
-                .subVectors(this.targetPosition, this.position)
-                .normalize();
-
-            const moveDistance = this.speed * deltaTime;
-            const distanceToTarget = this.position.distanceTo(this.targetPosition);
-
-            if (distanceToTarget > 1) {
-                // Mark as moving for animation
-                this.isMoving = true;
-                
-                // Only move horizontally (X and Z), keep Y at 0
-                const horizontalMove = direction.clone();
-                horizontalMove.y = 0;
-                horizontalMove.normalize();
-                
-                const newPosition = this.position.clone();
-                newPosition.x += horizontalMove.x * moveDistance;
-                newPosition.z += horizontalMove.z * moveDistance;
-                newPosition.y = 0; // Always keep on ground
-                
-                // Check collision before moving
-                if (this.collisionSystem) {
-                    const collisionResult = this.collisionSystem.checkCollision(
-                        this.position,
-                        newPosition,
-                        0.5, // radius
-                        1.6  // height
-                    );
-                    this.position.copy(collisionResult.position);
-                } else {
-                    this.position.copy(newPosition);
-                }
-                
-                this.mesh.position.copy(this.position);
-                this.mesh.position.y = 0; // Ensure mesh is on ground
-                
-                // Rotate to face movement direction (unless shooting at target)
-                // Use smooth interpolation to prevent jitter
-                if (!this.currentTarget && horizontalMove.length() > 0) {
-                    const angle = Math.atan2(horizontalMove.x, horizontalMove.z);
-                    this.targetRotationY = angle;
-                }
-            } else {
-                // Reached target, mark as not moving
-                this.isMoving = false;
-            }
-        }
-
-        // Ensure position Y is always 0 (on ground)
-        this.position.y = 0;
-        if (this.mesh) {
-            this.mesh.position.y = 0;
-        }
-
-        // Update shooting (this will handle facing target and aiming rifle)
-        this.updateShooting(deltaTime);
-
-        // Update rotation smoothly
-        this.updateRotation(deltaTime);
-
-        // Update walk animation if moving
-        if (this.soldierData && this.isMoving) {
-            this.animationTime += deltaTime;
-            updateWalkAnimation(this.soldierData, this.animationTime, 8);
-        } else if (this.soldierData && !this.isMoving) {
-            // Reset to idle pose when not moving
-            if (this.soldierData.leftLeg) this.soldierData.leftLeg.rotation.x = 0;
-            if (this.soldierData.rightLeg) this.soldierData.rightLeg.rotation.x = 0;
-            if (this.soldierData.leftArm) this.soldierData.leftArm.rotation.x = 0;
-            if (this.soldierData.rightArm) this.soldierData.rightArm.rotation.x = 0;
-            if (this.soldierData.group) this.soldierData.group.position.y = 0;
-        }
-
-        // Update health bar to face camera (simplified)
-        if (this.healthBar) {
-            this.healthBar.lookAt(this.healthBar.position.clone().add(new THREE.Vector3(0, 0, -1)));
-        }
-    }
-    
     updateForwardMovementAndScanning(deltaTime) {
         // Update scanning behavior - look left and right while moving forward
         this.lastScanChange += deltaTime;
@@ -464,37 +472,33 @@ export class Enemy {
         if (!this.targets || this.targets.length === 0) return null;
         
         let nearestTarget = null;
-        let nearestDistance = this.shootRange;
+        let nearestDistance = Infinity; // Priority-weighted distance of the best candidate
         
         for (const targetMesh of this.targets) {
             if (!targetMesh) continue;
             
             // Get the world position of the target
-            const targetWorldPos = new THREE.Vector3();
-            if (targetMesh.getWorldPosition) {
-                targetMesh.getWorldPosition(targetWorldPos);
-            } else if (targetMesh.position) {
-                targetWorldPos.copy(targetMesh.position);
-            } else {
-                continue;
-            }
+            const targetWorldPos = this.getTargetWorldPosition(targetMesh, new THREE.Vector3());
             
             const distance = this.position.distanceTo(targetWorldPos);
-            if (distance < nearestDistance && distance > 0) {
+            const priorityDistance = this.getTargetPriorityDistance(targetMesh, distance);
+            // A crewed gun only covers its traverse arc
+            const outOfArc = this.carriedWeapon && !this.mountedGun.isInArc(targetWorldPos);
+            if (distance < this.shootRange && priorityDistance < nearestDistance && distance > 0 && !outOfArc) {
                 if (this.collisionSystem?.checkLineOfSight) {
                     const mustCheck = distance < 50
                         || !this.collisionSystem.shouldCheckLineOfSight
                         || this.collisionSystem.shouldCheckLineOfSight(this.entityId);
-                    if (mustCheck && !this.collisionSystem.checkLineOfSight(
-                        this.position,
-                        targetWorldPos,
-                        1.0
-                    )) {
+                    const blocked = mustCheck
+                        ? !this.collisionSystem.checkLineOfSight(this.position, targetWorldPos, 1.0)
+                        // Smoke is cheap to test, so it still blocks on throttled frames
+                        : this.collisionSystem.isSightBlockedBetween?.(this.position, targetWorldPos, 1.0);
+                    if (blocked) {
                         continue;
                     }
                 }
                 
-                nearestDistance = distance;
+                nearestDistance = priorityDistance;
                 nearestTarget = {
                     mesh: targetMesh,
                     position: targetWorldPos.clone()
@@ -505,6 +509,26 @@ export class Enemy {
         return nearestTarget;
     }
 
+    getTargetWorldPosition(targetMesh, out) {
+        // Soldier meshes live in the world group, so their position is already in world coordinates.
+        // The player collider sits at the scene origin (the world moves around the player) - use
+        // the tracked player position instead.
+        if (targetMesh.userData?.isPlayer && this.playerPosition) {
+            return out.set(this.playerPosition.x, 0, this.playerPosition.z);
+        }
+        if (targetMesh.parent === this.scene) {
+            return out.copy(targetMesh.position);
+        }
+        return targetMesh.getWorldPosition(out);
+    }
+
+    getTargetPriorityDistance(targetMesh, distance) {
+        // Allies focus targets the player has spotted with binoculars
+        return this.isAlly && targetMesh.userData?.spotted
+            ? distance * this.spottedTargetPriority
+            : distance;
+    }
+
     _getSpreadForDistance(distance) {
         if (distance < 6) return 0.14 + (6 - distance) * 0.03;
         if (distance < 20) return 0.09;
@@ -512,7 +536,7 @@ export class Enemy {
         return 0.1;
     }
 
-    shoot(targetPosition, distanceToTarget = 50) {
+    shoot(targetPosition, distanceToTarget = 50, spreadScale = 1) {
         if (!this.bulletManager || !this.mesh || this.health <= 0) return;
         
         const adjustedTarget = new THREE.Vector3(
@@ -524,18 +548,25 @@ export class Enemy {
         const bulletStart = this.position.clone();
         bulletStart.y += 1.0;
         
+        // Hold over the target to compensate for bullet drop (flight time from distance / speed)
+        if (this.ballistics?.gravity) {
+            const flightTime = distanceToTarget / this.bulletSpeed;
+            adjustedTarget.y += 0.5 * this.ballistics.gravity * flightTime * flightTime;
+        }
+        
         const direction = new THREE.Vector3()
             .subVectors(adjustedTarget, bulletStart)
             .normalize();
         
-        const spread = this._getSpreadForDistance(distanceToTarget);
+        const spread = this._getSpreadForDistance(distanceToTarget) * spreadScale *
+            (1 + this.suppression * SUPPRESSED_SPREAD_SCALE);
         direction.x += (Math.random() - 0.5) * spread;
         direction.y += (Math.random() - 0.5) * spread * 0.25;
         direction.z += (Math.random() - 0.5) * spread;
         direction.normalize();
         
         // Create bullet (without trail for enemies/teammates; positions are world coords)
-        this.bulletManager.createBullet(
+        const bullet = this.bulletManager.createBullet(
             bulletStart,
             direction,
             this.bulletSpeed,
@@ -544,6 +575,18 @@ export class Enemy {
             false,
             true
         );
+        bullet.setBallistics(this.ballistics, this.damageFalloff);
+        bullet.team = this.team;
+
+        if (this.carriedWeapon) {
+            this.mountedGun.addHeat();
+        }
+
+        // Empty magazine - reload from the reserve
+        this.magazineAmmo--;
+        if (this.magazineAmmo <= 0 && this.reserveAmmo > 0) {
+            this.reloadTimer = this.weaponDefinition.reloadTime;
+        }
     }
 
     updateShooting(deltaTime) {
@@ -551,6 +594,10 @@ export class Enemy {
         
         // Update shot timer
         this.lastShotTime += deltaTime;
+        this.updateReload(deltaTime);
+        if (this.alertTimer > 0) {
+            this.alertTimer = Math.max(0, this.alertTimer - deltaTime);
+        }
         
         // Find target to shoot at
         const target = this.findShootingTarget();
@@ -635,7 +682,12 @@ export class Enemy {
                 ? this.fireInterval * 1.35
                 : this.fireInterval;
 
-            if (this.lastShotTime >= shotInterval && this.timeOnCurrentTarget >= this.reactionDelay) {
+            const canShoot = this.magazineAmmo > 0 && this.reloadTimer <= 0
+                && (!this.carriedWeapon || this.mountedGun.canFire());
+            const reactionDelay = this.alertTimer > 0
+                ? this.reactionDelay * this.alertReactionScale
+                : this.reactionDelay;
+            if (canShoot && this.lastShotTime >= shotInterval && this.timeOnCurrentTarget >= reactionDelay) {
                 this.shoot(adjustedTargetPos, distanceToTarget);
                 this.lastShotTime = 0;
                 this.currentTarget = target;
@@ -650,187 +702,301 @@ export class Enemy {
                 this.soldierData.rifle.rotation.set(0, 0, -0.1);
             }
             this.currentTarget = null;
+            // Alerted by a shot - face where it came from (a crewed gun stays on its arc)
+            if (this.alertTimer > 0 && !this.carriedWeapon) {
+                this.targetRotationY = Math.atan2(
+                    this.heardPosition.x - this.position.x,
+                    this.heardPosition.z - this.position.z
+                );
+            }
         }
     }
 
-    updateGroupBehavior(deltaTime) {
-        if (!this.group || !this.playerPosition) return;
-        
-        const groupCenter = this.group.center;
-        const distanceToPlayer = groupCenter.distanceTo(this.playerPosition);
-        const engagementRange = 50; // When group gets within 50 units, enemies can break formation
-        
-        // Calculate formation offset (position relative to group center)
-        if (!this.formationOffset || this.formationOffset.length() === 0) {
-            // Initialize formation offset based on group index
-            const angle = (Math.PI * 2 / this.group.enemies.length) * this.groupIndex;
-            const radius = 5 + Math.random() * 5; // 5-10 units from center
-            this.formationOffset = new THREE.Vector3(
-                Math.cos(angle) * radius,
-                0,
-                Math.sin(angle) * radius
+    /**
+     * Suppressive fire at a point (the player's position) without a clear view of it - slower and
+     * wider than aimed fire, which takes over once updateShooting has the target in sight
+     * @param {THREE.Vector3} point - Ground position to fire at
+     */
+    fireSuppressive(point) {
+        if (!point || this.currentTarget || this.carriedWeapon || this.health <= 0) return;
+
+        const distance = this.position.distanceTo(point);
+        if (distance > this.shootRange) return;
+        this.targetRotationY = Math.atan2(point.x - this.position.x, point.z - this.position.z);
+
+        const canShoot = this.magazineAmmo > 0 && this.reloadTimer <= 0;
+        if (canShoot && this.lastShotTime >= this.fireInterval * SUPPRESSIVE_FIRE_INTERVAL_SCALE) {
+            this.shoot(point, distance, SUPPRESSIVE_FIRE_SPREAD_SCALE);
+            this.lastShotTime = 0;
+        }
+    }
+
+    // What the AI transitions look at this frame (see BEHAVIOUR_PROFILES in soldierBrain.js)
+    perceive(deltaTime) {
+        this.suppression = Math.max(0, this.suppression - this.suppressionRecovery * deltaTime);
+        this.underFireTimer = Math.max(0, this.underFireTimer - deltaTime);
+        this.coverSearchCooldown = Math.max(0, this.coverSearchCooldown - deltaTime);
+        this.coverCheckTimer -= deltaTime;
+        if (!this.coverPoint) {
+            this.coverFlanked = false;
+        } else if (this.coverCheckTimer <= 0) {
+            // Flanked once the threat can see a crouched soldier on the spot
+            this.coverCheckTimer = 0.5;
+            const threat = this.getThreatPosition(_threat);
+            this.coverFlanked = !!threat && !!this.collisionSystem &&
+                this.collisionSystem.checkLineOfSight(this.coverPoint.position, threat, 0.7);
+        }
+
+        this.distanceToPlayer = this.playerPosition ? this.position.distanceTo(this.playerPosition) : Infinity;
+        this.visibleEnemy = this.isAlly && !this.mountedGun && this.distanceToPlayer <= this.maxDistanceFromPlayer
+            ? this.findNearestEnemy()
+            : null;
+    }
+
+    getBehaviourProfile() {
+        if (this.isAlly && this.playerPosition) return 'escort';
+        if (this.isInGroup && this.group && this.playerPosition) return 'squad';
+        return 'hunter';
+    }
+
+    // Place in the squad formation, spread around the group center by squad index
+    initFormationOffset() {
+        if (this.formationOffset.length() > 0) return;
+        const angle = (Math.PI * 2 / this.group.enemies.length) * this.groupIndex;
+        const radius = 5 + Math.random() * 5; // 5-10 units from center
+        this.formationOffset.set(Math.cos(angle) * radius, 0, Math.sin(angle) * radius);
+    }
+
+    /**
+     * Walk towards a point on the ground - around obstacles along a navigation path when the
+     * straight line is blocked, sliding along colliders either way
+     * @param {THREE.Vector3} target - Destination (world coordinates)
+     * @param {number} deltaTime
+     * @param {number} arriveDistance - Stop this close to the target
+     * @returns {boolean} False once arrived (the soldier stands still)
+     */
+    moveTowards(target, deltaTime, arriveDistance = 1) {
+        _move.subVectors(target, this.position);
+        _move.y = 0;
+        if (_move.length() <= arriveDistance) {
+            this.isMoving = false;
+            return false;
+        }
+        const waypoint = this.getPathWaypoint(target, deltaTime);
+        if (waypoint !== target) {
+            _move.subVectors(waypoint, this.position);
+            _move.y = 0;
+        }
+        _move.normalize();
+        this.isMoving = true;
+
+        _newPosition.copy(this.position).addScaledVector(_move, this.speed * deltaTime);
+        _newPosition.y = 0; // Always keep on ground
+        if (this.collisionSystem) {
+            const collisionResult = this.collisionSystem.checkCollision(
+                this.position,
+                _newPosition,
+                0.5, // radius
+                1.6  // height
             );
+            this.position.copy(collisionResult.position);
+        } else {
+            this.position.copy(_newPosition);
         }
-        
-        // Track if group is moving
-        this.isMoving = distanceToPlayer > engagementRange;
-        
-        // Move group center toward player (only update once per group)
-        if (distanceToPlayer > engagementRange && this.groupIndex === 0) {
-            // Only the first enemy in group updates the center to avoid multiple updates
-            // Gradually move toward player with look-around behavior
-            this.lookAroundTimer += deltaTime;
-            
-            // Initialize direction vectors if needed
-            if (this.currentDirection.length() === 0) {
-                const initialDir = new THREE.Vector3()
-                    .subVectors(this.playerPosition, groupCenter)
-                    .normalize();
-                this.currentDirection.copy(initialDir);
-                this.desiredDirection.copy(initialDir);
-            }
-            
-            if (this.lookAroundTimer >= this.lookAroundInterval) {
-                // Time to "look around" - calculate new desired direction
-                const directionToPlayer = new THREE.Vector3()
-                    .subVectors(this.playerPosition, groupCenter)
-                    .normalize();
-                
-                // Add some randomness to make it look more natural
-                const randomAngle = (Math.random() - 0.5) * 0.3; // ±15 degrees
-                const cos = Math.cos(randomAngle);
-                const sin = Math.sin(randomAngle);
-                const rotatedX = directionToPlayer.x * cos - directionToPlayer.z * sin;
-                const rotatedZ = directionToPlayer.x * sin + directionToPlayer.z * cos;
-                
-                this.desiredDirection.set(rotatedX, 0, rotatedZ).normalize();
-                this.lookAroundTimer = 0;
-                this.lookAroundInterval = 2.0 + Math.random() * 2.0; // Next look around in 2-4 seconds
+        this.position.y = 0;
+        this.mesh.position.copy(this.position);
+
+        // Face the movement direction unless a target has the soldier's attention
+        if (!this.currentTarget) {
+            this.targetRotationY = Math.atan2(_move.x, _move.z);
+        }
+        return true;
+    }
+
+    // Point to walk at on the way to target - the target itself while the straight line is clear
+    getPathWaypoint(target, deltaTime) {
+        const navigation = this.collisionSystem?.navigationGrid;
+        if (!navigation) return target;
+
+        this.pathCheckTimer -= deltaTime;
+        if (this.pathCheckTimer <= 0) {
+            this.pathCheckTimer = PATH_CHECK_INTERVAL;
+            const path = this.path;
+            if (!path || path.age > PATH_MAX_AGE ||
+                path.goal.distanceToSquared(target) > PATH_REPLAN_DISTANCE * PATH_REPLAN_DISTANCE) {
+                const waypoints = navigation.isSegmentWalkable(this.position, target)
+                    ? null
+                    : navigation.findPath(this.position, target);
+                this.path = waypoints ? { goal: target.clone(), waypoints, index: 0, age: 0 } : null;
             }
-            
-            // Smoothly rotate current direction toward desired direction
-            this.currentDirection.lerp(this.desiredDirection, this.directionChangeSpeed * deltaTime).normalize();
-            
-            // Update group center position using current direction
-            const moveDistance = this.speed * deltaTime;
-            groupCenter.x += this.currentDirection.x * moveDistance;
-            groupCenter.z += this.currentDirection.z * moveDistance;
-            groupCenter.y = 0;
         }
-        
-        // Calculate desired position (group center + formation offset)
-        const desiredPosition = new THREE.Vector3(
-            groupCenter.x + this.formationOffset.x,
-            0,
-            groupCenter.z + this.formationOffset.z
-        );
-        
-        // When close to player, strafe and keep distance instead of standing still
-        if (distanceToPlayer < engagementRange) {
-            this._strafeTimer += deltaTime;
-            if (this._strafeTimer > 2.5) {
-                this._strafeDirection *= -1;
-                this._strafeTimer = 0;
+
+        const path = this.path;
+        if (!path) return target;
+        path.age += deltaTime;
+        while (path.index < path.waypoints.length) {
+            const waypoint = path.waypoints[path.index];
+            if (Math.hypot(waypoint.x - this.position.x, waypoint.z - this.position.z) > WAYPOINT_REACHED_DISTANCE) {
+                return waypoint;
             }
+            path.index++;
+        }
+        // End of the path (a partial one stops short of the goal) - replan on the next frame
+        this.path = null;
+        this.pathCheckTimer = 0;
+        return target;
+    }
+
+    /**
+     * Approach direction towards the player - re-aimed every few seconds with some jitter
+     * so soldiers look around instead of walking a straight line
+     * @param {number} deltaTime
+     * @param {THREE.Vector3} from - Point the direction is taken from (soldier or squad center)
+     * @param {number} jitter - Spread of the random turn in radians
+     * @returns {THREE.Vector3} Current (normalized) direction
+     */
+    steerTowardsPlayer(deltaTime, from, jitter) {
+        this.lookAroundTimer += deltaTime;
+        if (this.lookAroundTimer >= this.lookAroundInterval) {
+            _toPlayer.subVectors(this.playerPosition, from);
+            _toPlayer.y = 0;
+            _toPlayer.normalize();
 
-            const toPlayer = new THREE.Vector3()
-                .subVectors(this.playerPosition, this.position);
-            toPlayer.y = 0;
-            toPlayer.normalize();
-
-            const strafe = new THREE.Vector3(-toPlayer.z, 0, toPlayer.x)
-                .multiplyScalar(this._strafeDirection);
-            const spacing = distanceToPlayer < 12
-                ? toPlayer.clone().multiplyScalar(-4)
-                : toPlayer.clone().multiplyScalar(0.15);
-
-            desiredPosition.copy(this.position)
-                .add(strafe.multiplyScalar(3.5))
-                .add(spacing);
-            desiredPosition.y = 0;
+            const randomAngle = (Math.random() - 0.5) * jitter;
+            const cos = Math.cos(randomAngle);
+            const sin = Math.sin(randomAngle);
+            this.desiredDirection.set(
+                _toPlayer.x * cos - _toPlayer.z * sin,
+                0,
+                _toPlayer.x * sin + _toPlayer.z * cos
+            ).normalize();
+            this.lookAroundTimer = 0;
+            this.lookAroundInterval = 2.0 + Math.random() * 2.0; // Next look around in 2-4 seconds
         }
-        
-        // Move toward desired position
-        const direction = new THREE.Vector3()
-            .subVectors(desiredPosition, this.position)
-            .normalize();
-        
-        const moveDistance = this.speed * deltaTime; // Normal speed movement
-        const distanceToTarget = this.position.distanceTo(desiredPosition);
-        
-        if (distanceToTarget > 0.5) {
-            // Mark as moving for animation
-            this.isMoving = true;
-            
-            // Only move horizontally (X and Z), keep Y at 0
-            const horizontalMove = direction.clone();
-            horizontalMove.y = 0;
-            horizontalMove.normalize();
-            
-            const newPosition = this.position.clone();
-            newPosition.x += horizontalMove.x * moveDistance;
-            newPosition.z += horizontalMove.z * moveDistance;
-            newPosition.y = 0; // Always keep on ground
-            
-            // Check collision before moving
-            if (this.collisionSystem) {
-                const collisionResult = this.collisionSystem.checkCollision(
-                    this.position,
-                    newPosition,
-                    0.5, // radius
-                    1.6  // height
-                );
-                this.position.copy(collisionResult.position);
-            } else {
-                this.position.copy(newPosition);
-            }
-            
-            this.mesh.position.copy(this.position);
-            this.mesh.position.y = 0; // Ensure mesh is on ground
-            
-            // Rotate to face movement direction
-            // Use smooth interpolation to prevent jitter
-            if (horizontalMove.length() > 0) {
-                const angle = Math.atan2(horizontalMove.x, horizontalMove.z);
-                this.targetRotationY = angle;
-            }
-        } else {
-            // Reached target, stop moving
-            this.isMoving = false;
+
+        // Smoothly rotate current direction toward desired direction
+        this.currentDirection.lerp(this.desiredDirection, this.directionChangeSpeed * deltaTime).normalize();
+        return this.currentDirection;
+    }
+
+    /**
+     * Point to side-step to while fighting the player - the side flips every few seconds
+     * @param {number} deltaTime
+     * @param {number} strafeDistance - How far to the side
+     * @param {number} approach - Distance towards (positive) or away from (negative) the player
+     * @returns {THREE.Vector3} Shared vector - use before the next call
+     */
+    getStrafePosition(deltaTime, strafeDistance, approach) {
+        this._strafeTimer += deltaTime;
+        if (this._strafeTimer > 2.5) {
+            this._strafeDirection *= -1;
+            this._strafeTimer = 0;
         }
-        
-        // Ensure position Y is always 0 (on ground)
-        this.position.y = 0;
-        this.mesh.position.y = 0;
-        
-        // Update walk animation if moving
-        if (this.soldierData && this.isMoving) {
-            this.animationTime += deltaTime;
-            updateWalkAnimation(this.soldierData, this.animationTime, 8);
-        } else if (this.soldierData && !this.isMoving) {
-            // Reset to idle pose when not moving
-            if (this.soldierData.leftLeg) this.soldierData.leftLeg.rotation.x = 0;
-            if (this.soldierData.rightLeg) this.soldierData.rightLeg.rotation.x = 0;
-            if (this.soldierData.leftArm) this.soldierData.leftArm.rotation.x = 0;
-            if (this.soldierData.rightArm) this.soldierData.rightArm.rotation.x = 0;
-            if (this.soldierData.group) this.soldierData.group.position.y = 0;
+
+        _toPlayer.subVectors(this.playerPosition, this.position);
+        _toPlayer.y = 0;
+        _toPlayer.normalize();
+        _strafe.set(-_toPlayer.z, 0, _toPlayer.x);
+
+        return _strafeTarget.copy(this.position)
+            .addScaledVector(_strafe, strafeDistance * this._strafeDirection)
+            .addScaledVector(_toPlayer, approach);
+    }
+
+    // A round went past - pinned down enough and it counts as being shot at (cover, see soldierBrain.js)
+    addSuppression(amount) {
+        if (this.health <= 0) return;
+        this.suppression = Math.min(1, this.suppression + amount);
+        if (this.suppression >= this.suppressedThreshold) {
+            this.underFireTimer = Math.max(this.underFireTimer, this.underFireDuration * this.suppression);
         }
-        
-        // Update shooting
-        this.updateShooting(deltaTime);
-        
-        // Update rotation smoothly
-        this.updateRotation(deltaTime);
-        
-        // Update health bar to face camera
-        if (this.healthBar) {
-            this.healthBar.lookAt(this.healthBar.position.clone().add(new THREE.Vector3(0, 0, -1)));
+    }
+
+    isUnderFire() {
+        return this.underFireTimer > 0;
+    }
+
+    // Ground position of whoever the soldier is fighting - its target, the last shot it heard, or the player
+    getThreatPosition(out) {
+        if (this.currentTarget) {
+            out.copy(this.currentTarget.position);
+        } else if (this.alertTimer > 0) {
+            out.copy(this.heardPosition);
+        } else if (this.playerPosition) {
+            out.copy(this.playerPosition);
+        } else {
+            return null;
         }
+        out.y = 0;
+        return out;
+    }
+
+    /**
+     * Claim the nearest cover spot hidden from the current threat
+     * @returns {boolean} True if the soldier has a cover spot
+     */
+    seekCover() {
+        if (this.coverPoint) return true;
+        if (!this.collisionSystem?.findCoverPoints || this.coverSearchCooldown > 0) return false;
+        this.coverSearchCooldown = 1.5;
+
+        const threat = this.getThreatPosition(_threat);
+        if (!threat) return false;
+        const spots = this.collisionSystem.findCoverPoints(this.position, this.coverSearchRadius, threat, {
+            owner: this,
+            maxResults: 1
+        });
+        if (spots.length === 0) return false;
+
+        this.coverPoint = spots[0];
+        this.collisionSystem.claimCover(this, this.coverPoint.position);
+        this.coverFlanked = false;
+        this.coverCheckTimer = 0.5;
+        return true;
+    }
+
+    // The threat moved round the obstacle - swap to another spot (or none if nothing else hides us)
+    relocateCover() {
+        this.releaseCover();
+        this.coverSearchCooldown = 0;
+        return this.seekCover();
+    }
+
+    releaseCover() {
+        if (!this.coverPoint) return;
+        this.coverPoint = null;
+        this.coverFlanked = false;
+        this.collisionSystem?.releaseCover(this);
+    }
+
+    isAtCover() {
+        if (!this.coverPoint) return false;
+        const spot = this.coverPoint.position;
+        return Math.hypot(spot.x - this.position.x, spot.z - this.position.z) < 0.6;
+    }
+
+    // A shot was heard - look towards it and react faster for a while
+    hearGunshot(position) {
+        if (this.health <= 0) return;
+        this.alertTimer = this.alertDuration;
+        this.heardPosition.copy(position);
     }
 
     takeDamage(amount) {
         this.health = Math.max(0, this.health - amount);
         this.updateHealthBar();
+        this.underFireTimer = this.underFireDuration;
+        // Free the nest (and cover spot) for the next soldier - the own weapon comes back out to be dropped
+        if (this.health <= 0) {
+            this.dismountGun();
+            this.releaseCover();
+        }
+    }
+
+    heal(amount) {
+        if (this.health <= 0) return;
+        this.health = Math.min(this.maxHealth, this.health + amount);
+        this.updateHealthBar();
     }
 
     updateHealthBar() {
@@ -876,156 +1042,31 @@ export class Enemy {
     update(deltaTime) {
         if (!this.mesh || this.health <= 0) return;
 
-        // Ally-specific behavior
-        if (this.isAlly && this.playerPosition) {
-            this.updateAllyBehavior(deltaTime);
-            return;
-        }
-
-        // Group behavior - enemies in groups move together slowly toward player
-        if (this.isInGroup && this.group && this.playerPosition) {
-            this.updateGroupBehavior(deltaTime);
-            return;
-        }
+        // The AI layer (soldierBrain.js) picks a state for this frame and moves the soldier
+        this.perceive(deltaTime);
+        this.brain.setProfile(this.getBehaviourProfile());
+        this.brain.update(deltaTime);
 
-        // Enemy AI: Hunt player if position is known, otherwise random movement
-        let targetPos = this.targetPosition;
-        
-        if (this.huntMode && this.playerPosition) {
-            const distanceToPlayer = this.position.distanceTo(this.playerPosition);
-            
-            if (distanceToPlayer <= 20 && distanceToPlayer > 3) {
-                this._strafeTimer += deltaTime;
-                if (this._strafeTimer > 2.5) {
-                    this._strafeDirection *= -1;
-                    this._strafeTimer = 0;
-                }
+        // Ensure position Y is always 0 (on ground)
+        this.position.y = 0;
+        this.mesh.position.copy(this.position);
 
-                const toPlayer = new THREE.Vector3()
-                    .subVectors(this.playerPosition, this.position);
-                toPlayer.y = 0;
-                toPlayer.normalize();
-
-                const strafe = new THREE.Vector3(-toPlayer.z, 0, toPlayer.x)
-                    .multiplyScalar(this._strafeDirection);
-                const advance = toPlayer.clone().multiplyScalar(0.25);
-
-                targetPos = this.position.clone()
-                    .add(strafe.multiplyScalar(4))
-                    .add(advance.multiplyScalar(2.5));
-                targetPos.y = 0;
-            } else if (distanceToPlayer <= 3) {
-                const awayFromPlayer = new THREE.Vector3()
-                    .subVectors(this.position, this.playerPosition);
-                awayFromPlayer.y = 0;
-                awayFromPlayer.normalize();
-                targetPos = this.position.clone().add(awayFromPlayer.multiplyScalar(6));
-                targetPos.y = 0;
-            } else if (distanceToPlayer > 2) {
-                // Initialize direction vectors if needed
-                if (this.currentDirection.length() === 0 || this.desiredDirection.length() === 0) {
-                    const initialDir = new THREE.Vector3()
-                        .subVectors(this.playerPosition, this.position)
-                        .normalize();
-                    this.currentDirection.copy(initialDir);
-                    this.desiredDirection.copy(initialDir);
-                }
-                
-                // Look around periodically before moving forward
-                this.lookAroundTimer += deltaTime;
-                
-                if (this.lookAroundTimer >= this.lookAroundInterval) {
-                    // Time to "look around" - calculate new desired direction toward player
-                    const directionToPlayer = new THREE.Vector3()
-                        .subVectors(this.playerPosition, this.position)
-                        .normalize();
-                    
-                    // Add some randomness to make it look more natural (not straight line)
-                    const randomAngle = (Math.random() - 0.5) * 0.4; // ±20 degrees
-                    const cos = Math.cos(randomAngle);
-                    const sin = Math.sin(randomAngle);
-                    const rotatedX = directionToPlayer.x * cos - directionToPlayer.z * sin;
-                    const rotatedZ = directionToPlayer.x * sin + directionToPlayer.z * cos;
-                    
-                    this.desiredDirection.set(rotatedX, 0, rotatedZ).normalize();
-                    this.lookAroundTimer = 0;
-                    this.lookAroundInterval = 2.0 + Math.random() * 2.0; // Next look around in 2-4 seconds
-                }
-                
-                // Smoothly rotate current direction toward desired direction
-                this.currentDirection.lerp(this.desiredDirection, this.directionChangeSpeed * deltaTime).normalize();
-                
-                // Use current direction for movement (gradual approach, not straight line)
-                targetPos = this.position.clone().add(this.currentDirection.clone().multiplyScalar(10));
-                targetPos.y = 0;
-            }
-        } else if (!targetPos) {
-            // No target, set random one
-            this.setRandomTarget();
-            targetPos = this.targetPosition;
-        }
+        this.updateLimbAnimation(deltaTime);
 
-        // Move towards target
-        if (targetPos) {
-            const direction = new THREE.Vector3()
-                .subVectors(targetPos, this.position)
-                .normalize();
+        // Update shooting (this will handle facing target and aiming rifle)
+        this.updateShooting(deltaTime);
+        this.brain.lateUpdate(deltaTime);
 
-            const moveDistance = this.speed * deltaTime; // Normal speed
-            const distanceToTarget = this.position.distanceTo(targetPos);
+        // Update rotation smoothly
+        this.updateRotation(deltaTime);
 
-            if (distanceToTarget > 1) {
-                // Mark as moving for animation
-                this.isMoving = true;
-                
-                // Only move horizontally (X and Z), keep Y at 0
-                const horizontalMove = direction.clone();
-                horizontalMove.y = 0;
-                horizontalMove.normalize();
-                
-                const newPosition = this.position.clone();
-                newPosition.x += horizontalMove.x * moveDistance;
-                newPosition.z += horizontalMove.z * moveDistance;
-                newPosition.y = 0; // Always keep on ground
-                
-                // Check collision before moving
-                if (this.collisionSystem) {
-                    const collisionResult = this.collisionSystem.checkCollision(
-                        this.position,
-                        newPosition,
-                        0.5, // radius
-                        1.6  // height
-                    );
-                    this.position.copy(collisionResult.position);
-                } else {
-                    this.position.copy(newPosition);
-                }
-                
-            // Always ensure Y is 0
-            this.position.y = 0;
-            this.mesh.position.copy(this.position);
-            this.mesh.position.y = 0; // Force Y to 0 (ground level)
-            
-            // Rotate to face movement direction (unless shooting at target)
-            // Use direct rotation.y instead of lookAt for smoother rotation
-            if (!this.currentTarget && horizontalMove.length() > 0) {
-                const angle = Math.atan2(horizontalMove.x, horizontalMove.z);
-                this.mesh.rotation.y = angle;
-            }
-        } else {
-            // Reached target, stop moving
-            this.isMoving = false;
-            // Set new one
-            if (!this.huntMode || !this.playerPosition) {
-                this.setRandomTarget();
-            }
-        }
+        // Update health bar to face camera (simplified)
+        if (this.healthBar) {
+            this.healthBar.lookAt(this.healthBar.position.clone().add(new THREE.Vector3(0, 0, -1)));
         }
+    }
 
-        // Ensure position Y is always 0 (on ground)
-        this.position.y = 0;
-        this.mesh.position.y = 0;
-
+    updateLimbAnimation(deltaTime) {
         // Update walk animation if moving
         if (this.soldierData && this.isMoving) {
             this.animationTime += deltaTime;
@@ -1038,16 +1079,48 @@ export class Enemy {
             if (this.soldierData.rightArm) this.soldierData.rightArm.rotation.x = 0;
             if (this.soldierData.group) this.soldierData.group.position.y = 0;
         }
+        // Crouching behind cover squashes the model down (feet stay on the ground)
+        if (this.soldierData?.group) {
+            this.soldierData.group.scale.y = this.isCrouched ? 0.65 : 1;
+        }
+    }
 
-        // Update shooting
-        this.updateShooting(deltaTime);
+    updateMountedGun(deltaTime) {
+        const nest = this.mountedGun;
 
-        // Update rotation smoothly
-        this.updateRotation(deltaTime);
+        if (!this.carriedWeapon) {
+            // Walk to the seat behind the gun, giving up if something is in the way
+            this.mountTimer += deltaTime;
+            if (this.mountTimer > this.mountTimeout) {
+                this.dismountGun();
+                return;
+            }
 
-        // Update health bar to face camera (simplified)
-        if (this.healthBar) {
-            this.healthBar.lookAt(this.healthBar.position.clone().add(new THREE.Vector3(0, 0, -1)));
+            if (this.moveTowards(nest.seatPosition, deltaTime, 0.3)) return;
+            this.takeGunSeat();
+        }
+        this.position.copy(nest.seatPosition);
+        this.position.y = 0;
+        this.isMoving = false;
+        this.mesh.position.copy(this.position);
+    }
+
+    // Once seated, aim the nest's gun at what updateShooting picked out
+    updateGunAim(deltaTime) {
+        const nest = this.mountedGun;
+        if (nest && this.carriedWeapon) {
+            // Traverse the gun onto the target; leave once nothing has shown up in the arc for a while
+            if (this.currentTarget) {
+                this.mountIdleTime = 0;
+                nest.aimAt(_aimPoint.set(this.currentTarget.position.x, 0.9, this.currentTarget.position.z));
+            } else {
+                this.mountIdleTime += deltaTime;
+                this.targetRotationY = nest.yaw;
+                nest.aim(0, 0);
+                if (this.mountIdleTime > this.mountIdleLimit) {
+                    this.dismountGun();
+                }
+            }
         }
     }
 
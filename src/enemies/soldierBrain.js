@@ -0,0 +1,433 @@
+import * as THREE from 'three';
+
+/**
+ * Soldier AI
+ * Finite-state machine that decides what an Enemy (either team) does each frame.
+ * States are plain objects in SOLDIER_STATES - { enter, update, lateUpdate, exit }, each called
+ * with (soldier, deltaTime, brain). update only moves the soldier; shooting, facing and animation
+ * stay with Enemy, and lateUpdate runs once shooting has picked a target.
+ * Which state follows which is data in BEHAVIOUR_PROFILES: from any state the profile's `any`
+ * transitions are tried first, then the current state's, and the first whose `when` holds wins.
+ * New behaviour = registerSoldierState() plus transitions in a profile.
+ */
+
+const _direction = new THREE.Vector3();
+const _target = new THREE.Vector3();
+
+const SUPPRESS_DISTANCE = 35; // Suppress team closes to this distance from the player and holds
+const MAX_TRANSITIONS_PER_FRAME = 4; // Lets a chain (retreat -> engage -> advance -> patrol) settle in one frame
+const HISTORY_LENGTH = 10;
+
+export const SOLDIER_STATES = {
+    // Wander between random points (hunters that don't know where the player is)
+    patrol: {
+        update(soldier, deltaTime) {
+            if (!soldier.targetPosition) {
+                soldier.setRandomTarget();
+            }
+            if (!soldier.moveTowards(soldier.targetPosition, deltaTime)) {
+                soldier.setRandomTarget();
+            }
+        }
+    },
+
+    // Close in on the player, looking around on the way rather than walking a straight line
+    advance: {
+        update(soldier, deltaTime) {
+            const direction = soldier.steerTowardsPlayer(deltaTime, soldier.position, 0.4);
+            _target.copy(soldier.position).addScaledVector(direction, 10);
+            soldier.moveTowards(_target, deltaTime);
+        }
+    },
+
+    // Move in formation around the squad's shared center - the squad leader moves the center
+    squadAdvance: {
+        enter(soldier) {
+            soldier.initFormationOffset();
+        },
+        update(soldier, deltaTime) {
+            const center = soldier.group.center;
+            if (soldier.group.enemies[0] === soldier) {
+                const direction = soldier.steerTowardsPlayer(deltaTime, center, 0.3);
+                center.x += direction.x * soldier.speed * deltaTime;
+                center.z += direction.z * soldier.speed * deltaTime;
+                center.y = 0;
+            }
+            _target.set(center.x + soldier.formationOffset.x, 0, center.z + soldier.formationOffset.z);
+            soldier.moveTowards(_target, deltaTime, 0.5);
+        }
+    },
+
+    // Fight at close range - side-step back and forth while holding a distance to the player
+    engage: {
+        update(soldier, deltaTime, brain) {
+            const { strafeDistance, approach, closeDistance, closeApproach } = brain.profile.engage;
+            const distance = soldier.distanceToPlayer;
+            const strafeTarget = soldier.getStrafePosition(
+                deltaTime,
+                strafeDistance,
+                distance < closeDistance ? closeApproach : approach
+            );
+            soldier.moveTowards(strafeTarget, deltaTime, brain.profile.engage.arriveDistance);
+        }
+    },
+
+    // Suppress team - hold a firing position and keep the player pinned, shooting through cover
+    // at their position while the flank team moves (see SquadController)
+    suppress: {
+        update(soldier, deltaTime) {
+            soldier.moveTowards(soldier.playerPosition, deltaTime, SUPPRESS_DISTANCE);
+        },
+        lateUpdate(soldier) {
+            soldier.fireSuppressive(soldier.playerPosition);
+        }
+    },
+
+    // Flank team - work round to the player's side along a navigation path
+    flank: {
+        update(soldier, deltaTime) {
+            soldier.moveTowards(soldier.group.getFlankPosition(soldier, _target), deltaTime, 1);
+        }
+    },
+
+    // Back away from a player who got too close
+    retreat: {
+        update(soldier, deltaTime) {
+            _direction.subVectors(soldier.position, soldier.playerPosition);
+            _direction.y = 0;
+            _direction.normalize();
+            _target.copy(soldier.position).addScaledVector(_direction, 6);
+            soldier.moveTowards(_target, deltaTime);
+        }
+    },
+
+    // Stand and reload (the magazine refills in Enemy.updateReload)
+    reload: {
+        enter(soldier) {
+            soldier.isMoving = false;
+        },
+        update(soldier) {
+            soldier.isMoving = false;
+        }
+    },
+
+    // Ally without a visible enemy - push forward away from the player, scanning left and right
+    scout: {
+        update(soldier, deltaTime) {
+            soldier.updateForwardMovementAndScanning(deltaTime);
+            soldier.moveTowards(soldier.targetPosition, deltaTime);
+        }
+    },
+
+    // Ally closing on the nearest visible enemy without straying too far from the player
+    pursue: {
+        update(soldier, deltaTime) {
+            const enemyPosition = soldier.getTargetWorldPosition(soldier.visibleEnemy, _target);
+            _direction.subVectors(enemyPosition, soldier.position).normalize();
+            soldier.forwardDirection.copy(_direction);
+
+            const potential = soldier.position.clone().addScaledVector(_direction, 30);
+            if (potential.distanceTo(soldier.playerPosition) <= soldier.maxDistanceFromPlayer) {
+                soldier.targetPosition = potential;
+            } else {
+                _direction.subVectors(soldier.playerPosition, soldier.position).normalize();
+                soldier.targetPosition = soldier.playerPosition.clone()
+                    .addScaledVector(_direction, soldier.maxDistanceFromPlayer * 0.7);
+            }
+            soldier.targetPosition.y = 0;
+            soldier.moveTowards(soldier.targetPosition, deltaTime);
+        }
+    },
+
+    // Ally that strayed past maxDistanceFromPlayer heads back
+    regroup: {
+        update(soldier, deltaTime) {
+            _direction.subVectors(soldier.playerPosition, soldier.position).normalize();
+            soldier.forwardDirection.copy(_direction);
+            soldier.targetPosition = soldier.position.clone()
+                .addScaledVector(_direction, soldier.maxDistanceFromPlayer * 0.8);
+            soldier.targetPosition.y = 0;
+            soldier.moveTowards(soldier.targetPosition, deltaTime);
+        }
+    },
+
+    // Walk to a machine-gun nest's seat and crew the gun (see Enemy.updateMountedGun)
+    crewGun: {
+        update(soldier, deltaTime) {
+            soldier.updateMountedGun(deltaTime);
+        },
+        lateUpdate(soldier, deltaTime) {
+            soldier.updateGunAim(deltaTime);
+        }
+    },
+
+    // Run to the claimed cover spot (Enemy.seekCover) - picks another one if the threat flanks it on the way.
+    // States marked usesCover keep the claim; entering any other state releases it.
+    takeCover: {
+        usesCover: true,
+        enter(soldier) {
+            if (soldier.coverFlanked) soldier.relocateCover();
+        },
+        update(soldier, deltaTime) {
+            if (soldier.coverFlanked) soldier.relocateCover();
+            if (soldier.coverPoint) {
+                soldier.moveTowards(soldier.coverPoint.position, deltaTime, 0.4);
+            }
+        }
+    },
+
+    // Crouch behind the obstacle - reloading happens here too
+    inCover: {
+        usesCover: true,
+        enter(soldier) {
+            soldier.isCrouched = true;
+        },
+        update(soldier, deltaTime) {
+            soldier.moveTowards(soldier.coverPoint.position, deltaTime, 0.3);
+        },
+        exit(soldier) {
+            soldier.isCrouched = false;
+        }
+    },
+
+    // Step out past the edge of the cover to shoot, then duck back
+    peek: {
+        usesCover: true,
+        update(soldier, deltaTime) {
+            soldier.moveTowards(soldier.coverPoint.peekPosition, deltaTime, 0.3);
+        }
+    }
+};
+
+const crewTransition = { to: 'crewGun', when: soldier => !!soldier.mountedGun, reason: 'manning a gun' };
+// Manning a gun takes priority - transitions out of it wait until the soldier has left the nest
+// Soldiers in cover reload where they are
+const reloadTransition = {
+    to: 'reload',
+    when: soldier => soldier.reloadTimer > 0 && !soldier.mountedGun && !soldier.coverPoint,
+    reason: 'magazine empty'
+};
+const coverTransition = {
+    to: 'takeCover',
+    when: soldier => soldier.isUnderFire() && !soldier.coverPoint && !soldier.mountedGun && soldier.seekCover(),
+    reason: 'under fire'
+};
+
+// Cover states are the same for every profile - `resume` is where the soldier goes once it leaves cover
+function coverTransitions(resume) {
+    return {
+        takeCover: [
+            { to: resume, when: soldier => !soldier.coverPoint, reason: 'no cover in reach' },
+            { to: 'inCover', when: soldier => soldier.isAtCover(), reason: 'reached cover' },
+            { to: resume, when: (soldier, brain) => brain.stateTime > 10, reason: 'could not reach cover' }
+        ],
+        inCover: [
+            { to: 'takeCover', when: soldier => soldier.coverFlanked, reason: 'cover flanked' },
+            { to: resume, when: soldier => !soldier.isUnderFire(), reason: 'fire died down' },
+            {
+                to: 'peek',
+                when: (soldier, brain) => brain.stateTime > soldier.peekInterval && soldier.reloadTimer <= 0,
+                reason: 'peeking out to shoot'
+            }
+        ],
+        peek: [
+            { to: 'takeCover', when: soldier => soldier.coverFlanked, reason: 'cover flanked' },
+            {
+                to: 'inCover',
+                when: (soldier, brain) => brain.stateTime > soldier.peekDuration || soldier.reloadTimer > 0,
+                reason: 'ducking back'
+            }
+        ]
+    };
+}
+
+// Squad members follow the part SquadController gives them - the same list works from each role's state
+const squadRoleTransitions = [
+    { to: 'squadAdvance', when: soldier => !soldier.squadRole, reason: 'squad regrouping' },
+    { to: 'suppress', when: soldier => soldier.squadRole === 'suppress', reason: 'covering the flank team' },
+    { to: 'flank', when: soldier => soldier.squadRole === 'flank', reason: 'flanking the player' },
+    { to: 'engage', when: soldier => soldier.squadRole === 'assault', reason: 'squad assaulting' }
+];
+
+export const BEHAVIOUR_PROFILES = {
+    // Red soldier on its own - hunts the player
+    hunter: {
+        initial: 'advance',
+        engage: { strafeDistance: 4, approach: 0.625, closeDistance: 0, closeApproach: 0, arriveDistance: 1 },
+        transitions: {
+            any: [crewTransition, coverTransition, reloadTransition],
+            ...coverTransitions('advance'),
+            patrol: [
+                { to: 'advance', when: soldier => soldier.huntMode && !!soldier.playerPosition, reason: 'player located' }
+            ],
+            advance: [
+                { to: 'patrol', when: soldier => !soldier.huntMode || !soldier.playerPosition, reason: 'lost the player' },
+                { to: 'retreat', when: soldier => soldier.distanceToPlayer <= 3, reason: 'player too close' },
+                { to: 'engage', when: soldier => soldier.distanceToPlayer <= 20, reason: 'in close range' }
+            ],
+            engage: [
+                { to: 'retreat', when: soldier => soldier.distanceToPlayer <= 3, reason: 'player too close' },
+                { to: 'advance', when: soldier => soldier.distanceToPlayer > 20, reason: 'player out of close range' }
+            ],
+            retreat: [
+                { to: 'engage', when: soldier => soldier.distanceToPlayer > 3, reason: 'distance regained' }
+            ],
+            reload: [
+                { to: 'advance', when: soldier => soldier.reloadTimer <= 0, reason: 'reloaded' }
+            ],
+            crewGun: [
+                { to: 'advance', when: soldier => !soldier.mountedGun, reason: 'left the gun' }
+            ]
+        }
+    },
+
+    // Red soldier in a wave squad - moves with the squad, then plays its fire team's part
+    squad: {
+        initial: 'squadAdvance',
+        engage: { strafeDistance: 3.5, approach: 0.15, closeDistance: 12, closeApproach: -4, arriveDistance: 0.5 },
+        transitions: {
+            any: [crewTransition, coverTransition, reloadTransition],
+            ...coverTransitions('squadAdvance'),
+            squadAdvance: squadRoleTransitions,
+            suppress: squadRoleTransitions,
+            flank: squadRoleTransitions,
+            engage: squadRoleTransitions,
+            reload: [
+                { to: 'squadAdvance', when: soldier => soldier.reloadTimer <= 0, reason: 'reloaded' }
+            ],
+            crewGun: [
+                { to: 'squadAdvance', when: soldier => !soldier.mountedGun, reason: 'left the gun' }
+            ]
+        }
+    },
+
+    // Blue teammate - scouts ahead of the player and goes after enemies it can see
+    escort: {
+        initial: 'scout',
+        transitions: {
+            any: [
+                crewTransition,
+                {
+                    to: 'regroup',
+                    when: soldier => soldier.distanceToPlayer > soldier.maxDistanceFromPlayer && !soldier.mountedGun,
+                    reason: 'too far from the player'
+                },
+                coverTransition,
+                reloadTransition
+            ],
+            ...coverTransitions('scout'),
+            scout: [
+                { to: 'pursue', when: soldier => !!soldier.visibleEnemy, reason: 'enemy in sight' }
+            ],
+            pursue: [
+                { to: 'scout', when: soldier => !soldier.visibleEnemy, reason: 'lost sight of the enemy' }
+            ],
+            regroup: [
+                { to: 'scout', when: soldier => soldier.distanceToPlayer <= soldier.maxDistanceFromPlayer, reason: 'back near the player' }
+            ],
+            reload: [
+                { to: 'scout', when: soldier => soldier.reloadTimer <= 0, reason: 'reloaded' }
+            ],
+            crewGun: [
+                { to: 'scout', when: soldier => !soldier.mountedGun, reason: 'left the gun' }
+            ]
+        }
+    }
+};
+
+/**
+ * Add (or replace) a state other profiles can transition to
+ * @param {string} name - State name used in BEHAVIOUR_PROFILES transitions
+ * @param {Object} state - { enter, update, lateUpdate, exit } hooks, each (soldier, deltaTime, brain),
+ *   and usesCover if the state keeps the soldier's cover claim
+ */
+export function registerSoldierState(name, state) {
+    SOLDIER_STATES[name] = state;
+}
+
+export class SoldierBrain {
+    constructor(soldier, profileName) {
+        this.soldier = soldier;
+        this.profileName = null;
+        this.profile = null;
+        this.state = null; // Name of the current state
+        this.stateTime = 0; // Seconds spent in the current state
+        this.lastReason = null; // Why the current state was entered
+        this.history = []; // Most recent transitions, oldest first: { from, to, reason, time }
+        this.time = 0;
+        this.setProfile(profileName);
+    }
+
+    // Switch behaviour profile (a soldier joining or losing a squad) and restart from its initial state
+    setProfile(profileName) {
+        if (this.profileName === profileName) return;
+        this.profileName = profileName;
+        this.profile = BEHAVIOUR_PROFILES[profileName];
+        this.changeState(this.profile.initial, `profile ${profileName}`);
+    }
+
+    changeState(name, reason) {
+        if (!SOLDIER_STATES[name]) {
+            console.warn(`SoldierBrain: unknown state "${name}"`);
+            return;
+        }
+        const from = this.state;
+        if (from) {
+            SOLDIER_STATES[from].exit?.(this.soldier, 0, this);
+        }
+        if (!SOLDIER_STATES[name].usesCover) {
+            this.soldier.releaseCover?.();
+        }
+        this.state = name;
+        this.stateTime = 0;
+        this.lastReason = reason;
+        this.history.push({ from, to: name, reason, time: this.time });
+        if (this.history.length > HISTORY_LENGTH) {
+            this.history.shift();
+        }
+        if (this.soldier.mesh) {
+            this.soldier.mesh.userData.aiState = name;
+        }
+        SOLDIER_STATES[name].enter?.(this.soldier, 0, this);
+    }
+
+    // First transition out of the current state whose condition holds (null to stay)
+    findTransition() {
+        const transitions = this.profile.transitions;
+        for (const list of [transitions.any, transitions[this.state]]) {
+            if (!list) continue;
+            for (const transition of list) {
+                if (transition.to !== this.state && transition.when(this.soldier, this)) {
+                    return transition;
+                }
+            }
+        }
+        return null;
+    }
+
+    update(deltaTime) {
+        this.time += deltaTime;
+        for (let i = 0; i < MAX_TRANSITIONS_PER_FRAME; i++) {
+            const transition = this.findTransition();
+            if (!transition) break;
+            this.changeState(transition.to, transition.reason);
+        }
+        this.stateTime += deltaTime;
+        SOLDIER_STATES[this.state].update(this.soldier, deltaTime, this);
+    }
+
+    lateUpdate(deltaTime) {
+        SOLDIER_STATES[this.state].lateUpdate?.(this.soldier, deltaTime, this);
+    }
+
+    // Snapshot for debugging and the console
+    getDebugInfo() {
+        return {
+            profile: this.profileName,
+            state: this.state,
+            stateTime: this.stateTime,
+            reason: this.lastReason,
+            history: [...this.history]
+        };
+    }
+}
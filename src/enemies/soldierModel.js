@@ -1,4 +1,5 @@
 import * as THREE from 'three';
+import { HIT_ZONES } from '../config/hitZones.js';
 
 /**
  * Creates a 3D soldier model with walk animation support
@@ -18,6 +19,7 @@ export function createSoldierModel(teamColor = 0x654321) {
     body.position.y = 1.0;
     body.castShadow = true;
     body.userData.isCoreBody = true;
+    body.userData.hitZone = HIT_ZONES.torso;
     soldierGroup.add(body);
 
     // Head
@@ -26,6 +28,7 @@ export function createSoldierModel(teamColor = 0x654321) {
     const head = new THREE.Mesh(headGeometry, headMaterial);
     head.position.y = 1.5;
     head.castShadow = true;
+    head.userData.hitZone = HIT_ZONES.head;
     soldierGroup.add(head);
 
     // Helmet
@@ -34,6 +37,7 @@ export function createSoldierModel(teamColor = 0x654321) {
     const helmet = new THREE.Mesh(helmetGeometry, helmetMaterial);
     helmet.position.y = 1.6;
     helmet.castShadow = true;
+    helmet.userData.hitZone = HIT_ZONES.helmet;
     soldierGroup.add(helmet);
 
     // Left arm
@@ -42,12 +46,14 @@ export function createSoldierModel(teamColor = 0x654321) {
     const leftArm = new THREE.Mesh(leftArmGeometry, armMaterial);
     leftArm.position.set(-0.3, 1.0, 0);
     leftArm.castShadow = true;
+    leftArm.userData.hitZone = HIT_ZONES.arm;
     soldierGroup.add(leftArm);
 
     // Right arm
     const rightArm = new THREE.Mesh(leftArmGeometry, armMaterial);
     rightArm.position.set(0.3, 1.0, 0);
     rightArm.castShadow = true;
+    rightArm.userData.hitZone = HIT_ZONES.arm;
     soldierGroup.add(rightArm);
 
     // Left leg
@@ -56,12 +62,14 @@ export function createSoldierModel(teamColor = 0x654321) {
     const leftLeg = new THREE.Mesh(leftLegGeometry, legMaterial);
     leftLeg.position.set(-0.15, 0.3, 0);
     leftLeg.castShadow = true;
+    leftLeg.userData.hitZone = HIT_ZONES.leg;
     soldierGroup.add(leftLeg);
 
     // Right leg
     const rightLeg = new THREE.Mesh(leftLegGeometry, legMaterial);
     rightLeg.position.set(0.15, 0.3, 0);
     rightLeg.castShadow = true;
+    rightLeg.userData.hitZone = HIT_ZONES.leg;
     soldierGroup.add(rightLeg);
 
     // Primary weapon (rifle) - similar to player's weapon
@@ -0,0 +1,165 @@
+import * as THREE from 'three';
+
+const _toPlayer = new THREE.Vector3();
+const _side = new THREE.Vector3();
+const _anchor = new THREE.Vector3();
+
+/**
+ * Squad Controller
+ * Coordinates a red wave squad (TeamManager.spawnEnemyWave). The squad moves as one around its
+ * center until it's within engageRange of the player, then splits into two fire teams: the
+ * suppress team holds back and keeps the player pinned while the flank team works its way to
+ * the player's side along a navigation path. Once the flankers are in position (or take too
+ * long) the whole squad assaults.
+ * Each member's part is in soldier.squadRole - the squad profile in soldierBrain.js maps roles to states.
+ */
+export class SquadController {
+    constructor(center) {
+        this.center = center.clone(); // Formation center - the leader moves it while the squad advances
+        this.enemies = []; // Members, leader first
+        this.targetPosition = null;
+
+        this.phase = 'advance'; // advance -> engage (suppress + flank) -> assault
+        this.phaseTime = 0;
+        this.engageRange = 50; // Squad this close to the player splits into fire teams
+        this.disengageRange = 65; // ...and regroups to advance once it's this far again
+        this.minFireTeamSize = 2; // Smaller squads assault straight away
+        this.suppressTeam = [];
+        this.flankTeam = [];
+
+        // Flank
+        this.flankDistance = 18; // How far to the player's side the flankers set up
+        this.flankSpacing = 2.5; // Gap between flankers along the line of fire
+        this.flankArriveDistance = 4;
+        this.flankTimeout = 25.0; // Seconds before the squad assaults whether the flankers made it or not
+        this.flankSide = 1; // Side of the line from the suppress team to the player (1 or -1)
+        this.flankPosition = new THREE.Vector3();
+        this.flankAxis = new THREE.Vector3(); // Line of fire from the suppress team to the player
+        this.flankUpdateInterval = 1.0; // The flank point follows the player this often
+        this._flankUpdateTimer = 0;
+    }
+
+    update(deltaTime, playerPosition) {
+        this.phaseTime += deltaTime;
+        const alive = this.enemies.filter(soldier => soldier.health > 0);
+        if (!playerPosition || alive.length === 0) return;
+
+        // While the teams are split up the center follows the squad instead of the other way round
+        if (this.phase !== 'advance') {
+            this.center.set(0, 0, 0);
+            for (const soldier of alive) {
+                this.center.add(soldier.position);
+            }
+            this.center.divideScalar(alive.length);
+            this.center.y = 0;
+        }
+
+        const distance = this.center.distanceTo(playerPosition);
+        if (this.phase === 'advance') {
+            if (distance < this.engageRange) {
+                this.startEngagement(alive, playerPosition);
+            }
+        } else if (distance > this.disengageRange) {
+            this.setPhase('advance');
+        } else if (this.phase === 'engage') {
+            this.updateFlank(deltaTime, playerPosition);
+        }
+
+        for (const soldier of this.enemies) {
+            soldier.squadRole = this.getRole(soldier);
+        }
+    }
+
+    setPhase(phase) {
+        this.phase = phase;
+        this.phaseTime = 0;
+        if (phase !== 'engage') {
+            this.suppressTeam = [];
+            this.flankTeam = [];
+        }
+    }
+
+    // Split into fire teams - the members already furthest out to one side flank on that side
+    startEngagement(alive, playerPosition) {
+        if (alive.length < this.minFireTeamSize * 2) {
+            this.setPhase('assault');
+            return;
+        }
+        this.setPhase('engage');
+
+        _toPlayer.subVectors(playerPosition, this.center);
+        _toPlayer.y = 0;
+        _toPlayer.normalize();
+        _side.set(-_toPlayer.z, 0, _toPlayer.x);
+        this.flankSide = Math.random() < 0.5 ? 1 : -1;
+
+        const leader = alive[0];
+        const lateral = soldier => (soldier.position.x - this.center.x) * _side.x + (soldier.position.z - this.center.z) * _side.z;
+        const candidates = alive.slice(1).sort((a, b) => (lateral(b) - lateral(a)) * this.flankSide);
+        this.flankTeam = candidates.slice(0, Math.floor(alive.length / 2));
+        this.suppressTeam = [leader, ...candidates.slice(this.flankTeam.length)];
+
+        this._flankUpdateTimer = 0;
+        this.updateFlank(0, playerPosition);
+    }
+
+    updateFlank(deltaTime, playerPosition) {
+        this.flankTeam = this.flankTeam.filter(soldier => soldier.health > 0);
+        this.suppressTeam = this.suppressTeam.filter(soldier => soldier.health > 0);
+        if (this.flankTeam.length === 0 || this.phaseTime > this.flankTimeout) {
+            this.setPhase('assault');
+            return;
+        }
+
+        this._flankUpdateTimer -= deltaTime;
+        if (this._flankUpdateTimer <= 0) {
+            this._flankUpdateTimer = this.flankUpdateInterval;
+            this.updateFlankPosition(playerPosition);
+        }
+
+        const inPosition = this.flankTeam.every(soldier => {
+            const dx = soldier.position.x - this.flankPosition.x;
+            const dz = soldier.position.z - this.flankPosition.z;
+            return Math.hypot(dx, dz) <= this.flankArriveDistance + this.flankSpacing * this.flankTeam.length / 2;
+        });
+        if (inPosition) {
+            this.setPhase('assault');
+        }
+    }
+
+    // Point off to the player's side, square to the line the suppress team fires along
+    updateFlankPosition(playerPosition) {
+        const team = this.suppressTeam.length > 0 ? this.suppressTeam : this.enemies;
+        _anchor.set(0, 0, 0);
+        for (const soldier of team) {
+            _anchor.add(soldier.position);
+        }
+        _anchor.divideScalar(team.length);
+
+        this.flankAxis.subVectors(playerPosition, _anchor);
+        this.flankAxis.y = 0;
+        this.flankAxis.normalize();
+        _side.set(-this.flankAxis.z, 0, this.flankAxis.x);
+        this.flankPosition.copy(playerPosition).addScaledVector(_side, this.flankDistance * this.flankSide);
+        this.flankPosition.y = 0;
+    }
+
+    /**
+     * Where a flanker should stand - flankers line up along the line of fire so they don't bunch
+     * @param {Enemy} soldier - Member of the flank team
+     * @param {THREE.Vector3} out
+     * @returns {THREE.Vector3} out
+     */
+    getFlankPosition(soldier, out) {
+        const index = Math.max(0, this.flankTeam.indexOf(soldier));
+        const offset = (index - (this.flankTeam.length - 1) / 2) * this.flankSpacing;
+        return out.copy(this.flankPosition).addScaledVector(this.flankAxis, offset);
+    }
+
+    // null while the squad advances, then 'suppress' / 'flank', then 'assault'
+    getRole(soldier) {
+        if (this.phase === 'advance') return null;
+        if (this.phase === 'assault') return 'assault';
+        return this.flankTeam.includes(soldier) ? 'flank' : 'suppress';
+    }
+}
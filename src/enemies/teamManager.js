@@ -1,7 +1,9 @@
 import * as THREE from 'three';
 import { Enemy } from './enemy.js';
+import { SquadController } from './squadController.js';
 import { BloodEffect } from '../effects/bloodEffect.js';
 import { DisposalQueue } from '../core/disposalQueue.js';
+import { isHeadshotZone } from '../config/hitZones.js';
 
 export class TeamManager {
     constructor(worldGroup, collisionSystem, bulletManager = null) {
@@ -10,6 +12,7 @@ export class TeamManager {
         this.collisionSystem = collisionSystem;
         this.bulletManager = bulletManager;
         this.uiManager = null; // Will be set by Game after UIManager is initialized
+        this.pickupManager = null; // Will be set by Game - dead soldiers drop ammo/health
         
         this.playerTeam = 'blue'; // Player is on blue team (allies)
         this.enemyTeam = 'red';   // Enemies are red
@@ -23,7 +26,7 @@ export class TeamManager {
         this.enemies = [];
         this.allies = [];
         this.bloodEffects = [];
-        this.enemyGroups = []; // Store enemy groups for group movement
+        this.enemyGroups = []; // SquadController per wave squad
         
         // Respawn system for allies
         this.deadAllies = []; // Track dead allies waiting to respawn with their death times
@@ -47,6 +50,9 @@ export class TeamManager {
 
         this.pendingRemovals = [];
         this.disposalQueue = new DisposalQueue(3);
+
+        // Spotting (binoculars) - spotted enemies show on the minimap and are preferred by allies
+        this.spotDuration = 6.0; // seconds an enemy stays spotted
     }
 
     createBloodEffect(position) {
@@ -63,6 +69,12 @@ export class TeamManager {
         if (enemy._pendingRemoval) return;
         enemy._pendingRemoval = true;
 
+        // Killed soldiers may leave ammo/health behind and drop their weapon (not despawned ones)
+        if (enemy.health <= 0) {
+            this.pickupManager?.spawnDrop(enemy.position);
+            this.pickupManager?.dropWeapon(enemy.getDroppedWeapon(), enemy.position);
+        }
+
         if (enemy.mesh) {
             enemy.mesh.visible = false;
             this.scene.remove(enemy.mesh);
@@ -75,6 +87,10 @@ export class TeamManager {
         if (ally._pendingRemoval) return;
         ally._pendingRemoval = true;
 
+        if (ally.health <= 0) {
+            this.pickupManager?.dropWeapon(ally.getDroppedWeapon(), ally.position);
+        }
+
         if (ally.mesh) {
             ally.mesh.visible = false;
             this.scene.remove(ally.mesh);
@@ -110,6 +126,7 @@ export class TeamManager {
                         enemy.group.enemies.splice(groupIndex, 1);
                     }
                 }
+                enemy.releaseCover();
                 this.disposalQueue.enqueue(() => enemy.dispose());
             }
         }
@@ -119,6 +136,7 @@ export class TeamManager {
             this.allies = this.allies.filter(a => !removeSet.has(a));
 
             for (const ally of alliesToRemove) {
+                ally.releaseCover();
                 this.disposalQueue.enqueue(() => ally.dispose());
             }
         }
@@ -178,12 +196,8 @@ export class TeamManager {
             );
         }
         
-        // Create group object
-        const group = {
-            center: groupCenter.clone(),
-            enemies: [],
-            targetPosition: null
-        };
+        // Squad controller coordinates the group (formation, fire teams)
+        const group = new SquadController(groupCenter);
         
         // Calculate damage for this wave
         const waveDamage = this.baseEnemyDamage + (this.waveNumber * this.damagePerWave);
@@ -255,6 +269,9 @@ export class TeamManager {
         // Clear existing allies before spawning new ones (for respawn scenario)
         // This ensures we don't exceed maxAllies
         this.allies.forEach(ally => {
+            // Living allies are dropped without dying - give their machine gun nest and cover spot back
+            ally.dismountGun();
+            ally.releaseCover();
             if (ally.mesh) {
                 this.scene.remove(ally.mesh);
                 this.disposalQueue.enqueue(() => ally.dispose());
@@ -351,6 +368,65 @@ export class TeamManager {
         }
     }
 
+    /**
+     * Mark a red soldier as spotted for spotDuration seconds
+     * @param {Enemy} enemy - Enemy instance to spot
+     * @returns {boolean} True if the enemy was spotted
+     */
+    spotEnemy(enemy) {
+        if (!enemy || enemy.health <= 0 || enemy.team !== this.enemyTeam || !enemy.mesh) {
+            return false;
+        }
+        enemy.spottedTimer = this.spotDuration;
+        enemy.mesh.userData.spotted = true;
+        return true;
+    }
+
+    getSpottedEnemies() {
+        return this.enemies.filter(e => e.health > 0 && e.spottedTimer > 0);
+    }
+
+    updateSpotting(deltaTime) {
+        for (const enemy of this.enemies) {
+            if (!(enemy.spottedTimer > 0)) continue;
+            enemy.spottedTimer = enemy.health > 0 ? enemy.spottedTimer - deltaTime : 0;
+            if (enemy.spottedTimer <= 0 && enemy.mesh) {
+                enemy.mesh.userData.spotted = false;
+            }
+        }
+    }
+
+    /**
+     * Let soldiers of the other team within earshot hear a shot
+     * @param {THREE.Vector3} position - Where the shot was fired (world coordinates)
+     * @param {number} radius - Hearing distance of the weapon
+     * @param {string} shooterTeam - Team of the shooter (the player's by default)
+     */
+    reportGunshot(position, radius, shooterTeam = this.playerTeam) {
+        const listeners = shooterTeam === this.playerTeam ? this.enemies : this.allies;
+        const radiusSq = radius * radius;
+        for (const soldier of listeners) {
+            if (soldier.health > 0 && soldier.position.distanceToSquared(position) <= radiusSq) {
+                soldier.hearGunshot(position);
+            }
+        }
+    }
+
+    /**
+     * AI state of every living soldier, for inspecting behaviour at runtime (console/debug overlay)
+     * @returns {Object[]} { team, entityId, profile, state, stateTime, reason, history }
+     */
+    getAIDebugInfo() {
+        return [...this.enemies, ...this.allies]
+            .filter(soldier => soldier.health > 0 && soldier.brain)
+            .map(soldier => ({
+                team: soldier.team,
+                entityId: soldier.entityId,
+                squadRole: soldier.squadRole,
+                ...soldier.brain.getDebugInfo()
+            }));
+    }
+
     getEnemies() {
         return this.enemies.map(e => e.mesh);
     }
@@ -359,7 +435,8 @@ export class TeamManager {
         return this.allies.map(a => a.mesh);
     }
 
-    damageEnemy(enemyMesh, damage, hitPosition = null) {
+    // damage is already scaled by the hit zone multiplier; hitZone/fromPlayer drive the hit marker
+    damageEnemy(enemyMesh, damage, hitPosition = null, hitZone = null, fromPlayer = false) {
         // Traverse up parent chain to find the root mesh
         let targetMesh = enemyMesh;
         while (targetMesh.parent && targetMesh.parent !== this.scene) {
@@ -391,6 +468,10 @@ export class TeamManager {
             const bloodPos = hitPosition || enemy.mesh.position.clone();
             this.createBloodEffect(bloodPos);
             
+            if (fromPlayer && this.uiManager && typeof this.uiManager.showHitMarker === 'function') {
+                this.uiManager.showHitMarker(isHeadshotZone(hitZone));
+            }
+            
             if (enemy.health <= 0) {
                 this.scheduleEnemyRemoval(enemy);
                 // Increment red score (total killed enemies)
@@ -558,6 +639,16 @@ export class TeamManager {
             }
         }
         
+        this.updateSpotting(deltaTime);
+
+        // Squads hand out fire-team roles before their soldiers act on them
+        this.enemyGroups = this.enemyGroups.filter(group => group.enemies.length > 0);
+        if (playerPosition) {
+            for (const group of this.enemyGroups) {
+                group.update(deltaTime, playerPosition);
+            }
+        }
+
         // Get target lists for shooting
         const enemyMeshes = this.enemies.filter(e => e.health > 0).map(e => e.mesh);
         const allyMeshes = this.allies.filter(a => a.health > 0).map(a => a.mesh);
@@ -644,6 +735,7 @@ export class TeamManager {
                 // Reset player health
                 if (player) {
                     player.health = player.maxHealth;
+                    player.suppression = 0;
                     player.worldPosition.set(0, 1.6, 0);
                     player.yawObject.position.set(0, 1.6, 0);
                     player.velocity.set(0, 0, 0);
@@ -28,8 +28,35 @@ export class PlayerController {
         // Aim/zoom settings
         this.defaultFOV = 75;
         this.aimFOV = 22;
+        this.zoomFOV = null; // Optical zoom that replaces aimFOV while set (binoculars, sniper scope)
+        this.weaponAimFOV = null; // Aim zoom of the weapon in hand (optic attachments), set by WeaponManager
         this.aimTransitionSpeed = 18.0;
         
+        // Weapon recoil - kicks are applied to the camera over a few frames, then recovered
+        this.pendingRecoil = { pitch: 0, yaw: 0 };
+        this.recoilOffset = { pitch: 0, yaw: 0 }; // Accumulated kick still to recover
+        this.recoilApplySpeed = 25.0;
+        this.recoilRecoverySpeed = 4.0;
+        this.recoilRecoveryDelay = 0.2; // Seconds after the last kick before recovering
+        this.timeSinceRecoil = 0;
+        
+        // Camera shake (explosions) - random camera offset that fades over shakeDuration
+        this.shakeIntensity = 0;
+        this.shakeDuration = 0;
+        this.shakeTime = 0;
+        this.shakeOffset = new THREE.Vector3();
+
+        // Suppression - near misses build it up (BulletManager.checkNearMisses); the screen loses colour
+        // and darkens at the edges (PostProcessingManager) and the aim wanders while it lasts
+        this.suppression = 0; // 0..1
+        this.suppressionRecovery = 0.25; // Per second
+        this.suppressionSway = 0.015; // Radians the aim wanders when fully suppressed
+        this.suppressionSwayTime = 0;
+        this.appliedSuppressionSway = { pitch: 0, yaw: 0 }; // Wander currently added to the view
+        
+        // Mounted gun (machine-gun nest) - movement is locked and the view limited to its traverse
+        this.mountedGun = null;
+        
         // Player health
         this.health = 100;
         this.maxHealth = 100;
@@ -260,7 +287,7 @@ export class PlayerController {
             if (e.code === 'Space') {
                 e.preventDefault();
                 e.stopPropagation();
-                if (this.canJump && !this.isCrouching) {
+                if (this.canJump && !this.isCrouching && !this.mountedGun) {
                     this.velocity.y = this.jumpSpeed;
                     this.canJump = false;
                 }
@@ -619,6 +646,140 @@ export class PlayerController {
         this.euler.x -= movementY * sensitivity;
         this.euler.x = Math.max(-Math.PI / 2, Math.min(Math.PI / 2, this.euler.x));
         this.yawObject.quaternion.setFromEuler(this.euler);
+        this.applyMountLimits();
+    }
+
+    /**
+     * Take position on a mounted gun
+     * @param {{ seatPosition: THREE.Vector3, yaw: number, yawArc: number, minPitch: number, maxPitch: number }} mount
+     *   World seat position, facing (soldier convention - 0 faces +Z) and traverse limits in radians
+     */
+    mount(mount) {
+        this.mountedGun = mount;
+        this.worldPosition.x = mount.seatPosition.x;
+        this.worldPosition.z = mount.seatPosition.z;
+        this.velocity.set(0, 0, 0);
+        this.isSprinting = false;
+
+        // Start looking straight down the barrel
+        this.euler.set(0, mount.yaw + Math.PI, 0);
+        this.yawObject.quaternion.setFromEuler(this.euler);
+    }
+
+    dismount() {
+        this.mountedGun = null;
+    }
+
+    // Keep the view inside the mounted gun's traverse arc
+    applyMountLimits() {
+        if (!this.mountedGun) return;
+
+        const { yaw, yawArc, minPitch, maxPitch } = this.mountedGun;
+        // The camera looks down -Z at yaw 0, the nest faces +Z
+        const center = yaw + Math.PI;
+        this.euler.setFromQuaternion(this.yawObject.quaternion);
+        const offset = THREE.MathUtils.euclideanModulo(this.euler.y - center + Math.PI, Math.PI * 2) - Math.PI;
+        this.euler.y = center + THREE.MathUtils.clamp(offset, -yawArc, yawArc);
+        this.euler.x = THREE.MathUtils.clamp(this.euler.x, minPitch, maxPitch);
+        this.yawObject.quaternion.setFromEuler(this.euler);
+    }
+
+    // Queue a camera kick from weapon recoil (radians; positive pitch = up, positive yaw = right)
+    addRecoil(pitch, yaw) {
+        this.pendingRecoil.pitch += pitch;
+        this.pendingRecoil.yaw += yaw;
+        this.timeSinceRecoil = 0;
+    }
+
+    // Turn the view by a small offset right away (radians; same signs as addRecoil) - scope sway
+    addLookOffset(pitch, yaw) {
+        this.euler.setFromQuaternion(this.yawObject.quaternion);
+        this.euler.x += pitch;
+        this.euler.y -= yaw;
+        this.euler.x = Math.max(-Math.PI / 2, Math.min(Math.PI / 2, this.euler.x));
+        this.yawObject.quaternion.setFromEuler(this.euler);
+    }
+
+    addCameraShake(intensity, duration) {
+        // Stronger shakes replace weaker ones that are still running
+        const remaining = this.shakeDuration > 0 ? this.shakeIntensity * (1 - this.shakeTime / this.shakeDuration) : 0;
+        if (intensity < remaining) return;
+        this.shakeIntensity = intensity;
+        this.shakeDuration = duration;
+        this.shakeTime = 0;
+    }
+
+    updateCameraShake(deltaTime) {
+        // Remove last frame's offset before applying a new one
+        this.camera.position.sub(this.shakeOffset);
+        this.shakeOffset.set(0, 0, 0);
+        if (this.shakeTime >= this.shakeDuration) return;
+        
+        this.shakeTime += deltaTime;
+        const strength = this.shakeIntensity * Math.max(0, 1 - this.shakeTime / this.shakeDuration);
+        this.shakeOffset.set(
+            (Math.random() - 0.5) * 2 * strength,
+            (Math.random() - 0.5) * 2 * strength,
+            (Math.random() - 0.5) * strength
+        );
+        this.camera.position.add(this.shakeOffset);
+    }
+
+    addSuppression(amount) {
+        if (this.isDead()) return;
+        this.suppression = Math.min(1, this.suppression + amount);
+    }
+
+    updateSuppression(deltaTime) {
+        this.suppression = Math.max(0, this.suppression - this.suppressionRecovery * deltaTime);
+
+        // Slow wander on top of the player's own aim - only the change since last frame is applied,
+        // so it fades back out to where the player was looking
+        this.suppressionSwayTime += deltaTime;
+        const intensity = this.suppression * this.suppressionSway;
+        const pitch = Math.sin(this.suppressionSwayTime * 2.3) * intensity;
+        const yaw = Math.sin(this.suppressionSwayTime * 1.7 + 1.0) * intensity;
+        const pitchStep = pitch - this.appliedSuppressionSway.pitch;
+        const yawStep = yaw - this.appliedSuppressionSway.yaw;
+        if (pitchStep === 0 && yawStep === 0) return;
+
+        this.addLookOffset(pitchStep, yawStep);
+        this.appliedSuppressionSway.pitch = pitch;
+        this.appliedSuppressionSway.yaw = yaw;
+    }
+
+    updateRecoil(deltaTime) {
+        this.timeSinceRecoil += deltaTime;
+        
+        let pitchStep = 0;
+        let yawStep = 0;
+        const hasPending = Math.abs(this.pendingRecoil.pitch) > 0.00001 || Math.abs(this.pendingRecoil.yaw) > 0.00001;
+        const hasOffset = Math.abs(this.recoilOffset.pitch) > 0.00001 || Math.abs(this.recoilOffset.yaw) > 0.00001;
+        
+        if (hasPending) {
+            // Apply queued kick smoothly
+            const t = Math.min(1, this.recoilApplySpeed * deltaTime);
+            pitchStep = this.pendingRecoil.pitch * t;
+            yawStep = this.pendingRecoil.yaw * t;
+            this.pendingRecoil.pitch -= pitchStep;
+            this.pendingRecoil.yaw -= yawStep;
+        } else if (hasOffset && this.timeSinceRecoil > this.recoilRecoveryDelay) {
+            // Drift back toward the original aim once firing stops
+            const t = Math.min(1, this.recoilRecoverySpeed * deltaTime);
+            pitchStep = -this.recoilOffset.pitch * t;
+            yawStep = -this.recoilOffset.yaw * t;
+        } else {
+            return;
+        }
+        
+        this.recoilOffset.pitch += pitchStep;
+        this.recoilOffset.yaw += yawStep;
+        
+        this.euler.setFromQuaternion(this.yawObject.quaternion);
+        this.euler.x += pitchStep;
+        this.euler.y -= yawStep;
+        this.euler.x = Math.max(-Math.PI / 2, Math.min(Math.PI / 2, this.euler.x));
+        this.yawObject.quaternion.setFromEuler(this.euler);
     }
 
     getMoveDirection() {
@@ -656,7 +817,7 @@ export class PlayerController {
         }
 
         // Update aim/zoom FOV smoothly
-        const targetFOV = (this.isAiming ? this.aimFOV : this.defaultFOV) * this.fisheyeMultiplier;
+        const targetFOV = (this.isAiming ? (this.zoomFOV ?? this.weaponAimFOV ?? this.aimFOV) : this.defaultFOV) * this.fisheyeMultiplier;
         this.currentFOV += (targetFOV - this.currentFOV) * this.aimTransitionSpeed * deltaTime;
         if (this.camera && this.camera.fov !== undefined) {
             this.camera.fov = this.currentFOV;
@@ -679,8 +840,13 @@ export class PlayerController {
             this.gyroRotation.y = 0;
         }
 
-        // Get movement direction
-        const moveDirection = this.getMoveDirection();
+        this.updateRecoil(deltaTime);
+        this.updateSuppression(deltaTime);
+        this.applyMountLimits();
+        this.updateCameraShake(deltaTime);
+
+        // Get movement direction (none while on a mounted gun)
+        const moveDirection = this.mountedGun ? this.direction.set(0, 0, 0) : this.getMoveDirection();
 
         this._forward.set(0, 0, -1);
         this._right.set(1, 0, 0);
@@ -787,6 +953,12 @@ export class PlayerController {
         return this.health;
     }
 
+    heal(amount) {
+        if (this.isDead()) return this.health;
+        this.health = Math.min(this.maxHealth, this.health + amount);
+        return this.health;
+    }
+
     isDead() {
         return this.health <= 0;
     }
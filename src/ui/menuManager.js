@@ -3,6 +3,8 @@ import { BattlefieldDeployBackground } from './battlefieldDeployBackground.js';
 import { PlayModeBackground } from './playModeBackground.js';
 import { AudioManager } from '../core/audioManager.js';
 import { WEAPON_ICONS, getWeaponIcon, getWeaponIconByType } from '../config/weaponIcons.js';
+import { WEAPON_DEFINITIONS, DEFAULT_HEARING_RADIUS, getWeaponDefinitionsByCategory, getSpreadLabel } from '../config/weaponDefinitions.js';
+import { ATTACHMENT_SLOTS, ATTACHMENT_SLOT_LABELS, WEAPON_ATTACHMENTS, getAttachmentsForSlot, applyAttachments } from '../config/weaponAttachments.js';
 import { showAlert } from './dialogManager.js';
 import { LoadingManager } from './loadingManager.js';
 import { t } from '../i18n/locale.js';
@@ -202,18 +204,16 @@ export class MenuManager {
         // Define available options for each category
         // Primary = long gun (rifle), Secondary = short gun (pistol)
         const categoryOptions = {
-            primary: [
-                { name: 'MP40', icon: WEAPON_ICONS.longGun },  // Long gun
-                { name: 'Sten', icon: WEAPON_ICONS.longGun }   // Long gun
-            ],
-            secondary: [
-                { name: 'Pistol', icon: WEAPON_ICONS.pistol }, // Short gun
-                { name: 'Luger', icon: WEAPON_ICONS.pistol }   // Short gun
-            ],
+            primary: getWeaponDefinitionsByCategory('primary').map(({ name, icon }) => ({ name, icon })),
+            secondary: getWeaponDefinitionsByCategory('secondary').map(({ name, icon }) => ({ name, icon })),
             gadget: [
                 { name: 'Grenade', icon: WEAPON_ICONS.grenade },
+                { name: 'Smoke', icon: WEAPON_ICONS.smoke },
                 { name: 'Medkit', icon: WEAPON_ICONS.medkit },
                 { name: 'Binoculars', icon: WEAPON_ICONS.binoculars },
+                { name: 'Mine', icon: WEAPON_ICONS.mine },
+                { name: 'Tripwire', icon: WEAPON_ICONS.tripwire },
+                { name: 'Radio', icon: WEAPON_ICONS.radio },
                 { name: 'Knife', icon: WEAPON_ICONS.knife }
             ]
         };
@@ -358,57 +358,8 @@ export class MenuManager {
         const detailView = document.getElementById('item-detail-view');
         if (!detailView) return;
 
-        // Weapon stats data
-        // Primary = long gun (rifle), Secondary = short gun (pistol)
+        // Gadget stats data - firearm stats come from the weapon registry
         const weaponStats = {
-            'MP40': {
-                name: 'MP40',
-                icon: WEAPON_ICONS.longGun,
-                stats: {
-                    'Damage': '30',
-                    'Fire Rate': '600 RPM',
-                    'Range': '200m',
-                    'Ammo': '32/288',
-                    'Reload': '2.5s',
-                    'Spread': 'Low'
-                }
-            },
-            'Sten': {
-                name: 'Sten',
-                icon: WEAPON_ICONS.longGun,
-                stats: {
-                    'Damage': '28',
-                    'Fire Rate': '550 RPM',
-                    'Range': '180m',
-                    'Ammo': '32/256',
-                    'Reload': '2.8s',
-                    'Spread': 'Medium'
-                }
-            },
-            'Pistol': {
-                name: 'Pistol',
-                icon: WEAPON_ICONS.pistol,
-                stats: {
-                    'Damage': '20',
-                    'Fire Rate': '300 RPM',
-                    'Range': '100m',
-                    'Ammo': '12/60',
-                    'Reload': '1.5s',
-                    'Spread': 'Low'
-                }
-            },
-            'Luger': {
-                name: 'Luger',
-                icon: WEAPON_ICONS.pistol,
-                stats: {
-                    'Damage': '25',
-                    'Fire Rate': '350 RPM',
-                    'Range': '120m',
-                    'Ammo': '8/48',
-                    'Reload': '1.8s',
-                    'Spread': 'Low'
-                }
-            },
             'Grenade': {
                 name: 'Grenade',
                 icon: WEAPON_ICONS.grenade,
@@ -421,6 +372,18 @@ export class MenuManager {
                     'Type': 'Explosive'
                 }
             },
+            'Smoke': {
+                name: 'Smoke',
+                icon: WEAPON_ICONS.smoke,
+                stats: {
+                    'Duration': '20s',
+                    'Cloud Radius': '5m',
+                    'Fuse Time': '2s',
+                    'Throw Range': '30m',
+                    'Ammo': '3',
+                    'Type': 'Tactical'
+                }
+            },
             'Medkit': {
                 name: 'Medkit',
                 icon: WEAPON_ICONS.medkit,
@@ -428,7 +391,7 @@ export class MenuManager {
                     'Heal Amount': '50 HP',
                     'Use Time': '3s',
                     'Cooldown': '60s',
-                    'Range': 'Self',
+                    'Range': 'Self / Ally',
                     'Type': 'Support',
                     'Capacity': '1'
                 }
@@ -437,14 +400,50 @@ export class MenuManager {
                 name: 'Binoculars',
                 icon: WEAPON_ICONS.binoculars,
                 stats: {
-                    'Zoom': '4x',
-                    'Range': '500m',
+                    'Zoom': '8x',
+                    'Range': '300m',
                     'Use Time': 'Instant',
-                    'Cooldown': 'None',
+                    'Spot Time': '6s',
                     'Type': 'Utility',
                     'Durability': 'Unlimited'
                 }
             },
+            'Mine': {
+                name: 'Mine',
+                icon: WEAPON_ICONS.mine,
+                stats: {
+                    'Damage': '180',
+                    'Blast Radius': '5m',
+                    'Arm Time': '2.5s',
+                    'Trigger': 'Pressure',
+                    'Ammo': '3',
+                    'Type': 'Explosive'
+                }
+            },
+            'Tripwire': {
+                name: 'Tripwire',
+                icon: WEAPON_ICONS.tripwire,
+                stats: {
+                    'Damage': '160',
+                    'Blast Radius': '5m',
+                    'Arm Time': '3s',
+                    'Wire Length': '3m',
+                    'Ammo': '2',
+                    'Type': 'Explosive'
+                }
+            },
+            'Radio': {
+                name: 'Radio',
+                icon: WEAPON_ICONS.radio,
+                stats: {
+                    'Shells': '6 x 220',
+                    'Blast Radius': '7m',
+                    'Spread': '9m',
+                    'Countdown': '6s',
+                    'Range': '250m',
+                    'Cooldown': '90s'
+                }
+            },
             'Knife': {
                 name: 'Knife',
                 icon: WEAPON_ICONS.knife,
@@ -452,14 +451,18 @@ export class MenuManager {
                     'Damage': '50',
                     'Attack Speed': 'Fast',
                     'Range': 'Melee',
-                    'Durability': 'Unlimited',
+                    'Backstab': 'Instant Kill',
                     'Type': 'Melee',
                     'Stealth': 'Silent'
                 }
             }
         };
 
-        const itemData = weaponStats[itemName];
+        // Firearm stats include the fitted attachments
+        const definition = WEAPON_DEFINITIONS[itemName];
+        const itemData = definition
+            ? this.getFirearmStats(applyAttachments(definition, this.getAttachmentSelection(itemName)))
+            : weaponStats[itemName];
         if (!itemData) return;
 
         // Check if options list exists, if not create it
@@ -473,11 +476,15 @@ export class MenuManager {
             detailView.appendChild(detailContent);
         }
 
-        // Remove existing stats section if any
+        // Remove existing stats and attachments sections if any
         const existingStats = detailContent.querySelector('.item-detail-stats-section');
         if (existingStats) {
             existingStats.remove();
         }
+        const existingAttachments = detailContent.querySelector('.item-detail-attachments-section');
+        if (existingAttachments) {
+            existingAttachments.remove();
+        }
 
         // Create stats HTML
         const statsHtml = Object.entries(itemData.stats).map(([label, value]) => `
@@ -498,6 +505,93 @@ export class MenuManager {
             </div>
         `;
         detailContent.appendChild(statsSection);
+
+        if (definition) {
+            this.renderAttachmentsPanel(detailContent, type, definition);
+        }
+    }
+
+    // Attachments picked for a weapon ({ slot: attachmentId })
+    getAttachmentSelection(weaponName) {
+        return this.selectedWeapons.attachments?.[weaponName] || {};
+    }
+
+    // One row of attachment choices per slot the weapon has a mount for
+    renderAttachmentsPanel(detailContent, type, definition) {
+        const selection = this.getAttachmentSelection(definition.name);
+        const slotsHtml = ATTACHMENT_SLOTS.map(slot => {
+            const options = getAttachmentsForSlot(definition, slot);
+            if (options.length === 0) return '';
+            const current = selection[slot] || '';
+            const optionsHtml = ['', ...options].map(id => {
+                const attachment = WEAPON_ATTACHMENTS[id];
+                return `
+                    <div class="attachment-option ${id === current ? 'selected' : ''}"
+                         data-slot="${slot}" data-attachment="${id}"
+                         title="${attachment ? attachment.description : ''}">
+                        ${attachment ? attachment.name : 'None'}
+                    </div>
+                `;
+            }).join('');
+            return `
+                <div class="attachment-slot">
+                    <div class="attachment-slot-label">${ATTACHMENT_SLOT_LABELS[slot]}</div>
+                    <div class="attachment-options">${optionsHtml}</div>
+                </div>
+            `;
+        }).join('');
+        if (!slotsHtml.trim()) return;
+
+        const attachmentsSection = document.createElement('div');
+        attachmentsSection.className = 'item-detail-attachments-section';
+        attachmentsSection.innerHTML = `
+            <div class="item-detail-attachments-title">Attachments</div>
+            ${slotsHtml}
+        `;
+        detailContent.appendChild(attachmentsSection);
+
+        attachmentsSection.querySelectorAll('.attachment-option').forEach(element => {
+            element.addEventListener('click', () => {
+                this.selectAttachment(type, definition.name, element.dataset.slot, element.dataset.attachment);
+            });
+        });
+    }
+
+    selectAttachment(type, weaponName, slot, attachmentId) {
+        if (!this.selectedWeapons.attachments) {
+            this.selectedWeapons.attachments = {};
+        }
+        const selection = { ...this.getAttachmentSelection(weaponName) };
+        if (attachmentId) {
+            selection[slot] = attachmentId;
+        } else {
+            delete selection[slot];
+        }
+        this.selectedWeapons.attachments[weaponName] = selection;
+
+        // Save to localStorage
+        this.saveWeaponSelections();
+
+        // Stats and attachment rows both change
+        this.updateDetailView(type, weaponName);
+    }
+
+    getFirearmStats(definition) {
+        return {
+            name: definition.name,
+            icon: definition.icon,
+            stats: {
+                'Damage': definition.pellets ? `${definition.pellets}x${definition.damage}` : `${definition.damage}`,
+                // Bolt actions are limited by the bolt cycle rather than the rate of fire
+                'Fire Rate': definition.boltTime ? `${definition.boltTime}s bolt` : `${definition.fireRate} RPM`,
+                'Range': `${definition.range}m`,
+                'Ammo': `${definition.maxAmmo}/${definition.reserveAmmo}`,
+                'Reload': definition.shellReloadTime ? `${definition.shellReloadTime}s/shell` : `${Number(definition.reloadTime.toFixed(2))}s`, // Attachments can leave float noise
+                'Spread': definition.scope ? 'Scoped' : getSpreadLabel(definition.spread, definition.category),
+                'Recoil': `${Math.round(definition.recoilAmount * 100)}`,
+                'Heard At': `${Math.round(definition.hearingRadius ?? DEFAULT_HEARING_RADIUS)}m`
+            }
+        };
     }
 
     setupSettingsListeners() {
@@ -847,7 +941,8 @@ export class MenuManager {
         const defaults = {
             primary: 'MP40',
             secondary: 'Pistol',
-            gadget: 'Grenade'
+            gadget: 'Grenade',
+            attachments: {} // { weaponName: { slot: attachmentId } }
         };
 
         try {
@@ -856,7 +951,8 @@ export class MenuManager {
                 const parsed = JSON.parse(saved);
                 // Validate that all required keys exist
                 if (parsed.primary && parsed.secondary && parsed.gadget) {
-                    return parsed;
+                    // Selections saved before attachments existed have none fitted
+                    return { attachments: {}, ...parsed };
                 }
             }
         } catch (error) {
@@ -6,6 +6,8 @@ export class UIManager {
         this.weaponManager = weaponManager;
         this.teamManager = teamManager;
         this.engine = engine;
+        this.pickupManager = null; // Will be set by Game - resupply interaction prompt
+        this.emplacementManager = null; // Will be set by Game - machine-gun nest prompt
         
         this.startTime = Date.now();
         
@@ -23,6 +25,10 @@ export class UIManager {
         // Deployment notification
         this.deploymentNotification = null;
         
+        // Hit marker
+        this.hitMarker = null;
+        this.hitMarkerTimer = null;
+        
         // Info panel
         this.infoPanelVisible = false;
         
@@ -39,6 +45,9 @@ export class UIManager {
         // Get crosshair element reference
         this.crosshairElement = document.getElementById('crosshair');
         
+        // Get hit marker element
+        this.hitMarker = document.getElementById('hit-marker');
+        
         // Get deployment notification element
         this.deploymentNotification = document.getElementById('deployment-notification');
         
@@ -137,6 +146,8 @@ export class UIManager {
         // Minimap settings
         this.minimapRange = 500; // Show 500 units radius around player
         this.visionRange = 500; // Enemies visible within this range
+        this.spottedMarkerColor = '#ffcc00'; // Enemies spotted with binoculars
+        this.mineMarkerColor = '#ffaa00'; // Mines and tripwires the player laid
     }
 
     setupControls() {
@@ -318,6 +329,21 @@ export class UIManager {
         // Update grenade power bar
         this.updateGrenadePowerBar();
 
+        // Update medkit heal progress bar
+        this.updateHealProgressBar();
+
+        // Update mounted gun heat bar
+        this.updateGunHeatBar();
+
+        // Update binoculars vignette
+        this.updateBinocularOverlay();
+
+        // Update sniper scope overlay and breath meter
+        this.updateScopeOverlay();
+
+        // Update resupply prompt
+        this.updateInteractPrompt();
+
         // Update player health
         if (this.player && typeof this.player.getHealth === 'function' && typeof this.player.getMaxHealth === 'function') {
             const healthElement = document.getElementById('player-health');
@@ -353,60 +379,48 @@ export class UIManager {
         let targetSpread = 0; // Target spread in pixels
         let movementIntensity = 0; // Movement intensity for jitter
         
-        // Calculate spread based on player movement
+        // Movement only drives the jitter - spread itself comes from the weapon
         if (this.player && this.player.velocity) {
             // Get horizontal movement speed (ignore vertical)
             const moveSpeed = Math.sqrt(
                 this.player.velocity.x * this.player.velocity.x + 
                 this.player.velocity.z * this.player.velocity.z
             );
-            
-            // Map movement speed to crosshair spread (minimal - max 2x base size)
-            // Standing still (0) = 0 spread
-            // Walking (5) = 5px spread
-            // Sprinting (8) = 10px spread (max)
-            const movementSpread = Math.min(moveSpeed * 1.25, 10);
-            targetSpread += movementSpread;
-            
-            // Store movement intensity for position jitter
             movementIntensity = Math.min(moveSpeed / 5.0, 2.0); // 0 to 2x
         }
         
-        // Add spread from weapon recoil
         let recoilIntensity = 0;
         if (this.weaponManager && this.weaponManager.currentWeapon) {
             const weapon = this.weaponManager.currentWeapon;
             
-            // Calculate recoil spread based on weapon's current recoil
+            // Project the weapon's spread cone onto the screen (same value used by WeaponBase.fire)
+            if (weapon.getCurrentSpread) {
+                const camera = this.player?.camera;
+                const fov = camera?.fov ?? 75;
+                const halfAngle = weapon.getCurrentSpread() * 0.5;
+                const pixelsPerUnit = (window.innerHeight * 0.5) / Math.tan(THREE.MathUtils.degToRad(fov * 0.5));
+                targetSpread = Math.tan(halfAngle) * pixelsPerUnit * 2;
+            }
+            
+            // Weapon kick still drives the crosshair jitter
             if (weapon.currentRecoil) {
-                const recoilMagnitude = Math.sqrt(
-                    weapon.currentRecoil.x * weapon.currentRecoil.x +
-                    weapon.currentRecoil.y * weapon.currentRecoil.y +
-                    weapon.currentRecoil.z * weapon.currentRecoil.z
-                );
-                
-                // Map recoil to spread (minimal - max 2x base size total)
-                // Recoil adds max 10px spread (so total max is 20px = 2x base size)
-                const recoilSpread = Math.min(recoilMagnitude * 50, 10);
-                targetSpread += recoilSpread;
-                
-                // Store recoil intensity for position jitter
-                recoilIntensity = recoilMagnitude * 10;
+                recoilIntensity = weapon.currentRecoil.length() * 10;
             }
         }
         
         // Smoothly interpolate to target spread
         this.currentCrosshairSpread += (targetSpread - this.currentCrosshairSpread) * 10 * deltaTime;
         
-        // Apply spread to crosshair size (max 2x base size = 40px)
-        const maxSpread = this.baseCrosshairSize; // Max spread equals base size (2x total)
+        // Apply spread to crosshair size (capped so the crosshair stays readable)
+        const maxSpread = this.baseCrosshairSize * 4;
         const clampedSpread = Math.min(this.currentCrosshairSpread, maxSpread);
         const finalSize = this.baseCrosshairSize + clampedSpread;
         this.crosshairElement.style.width = `${finalSize}px`;
         this.crosshairElement.style.height = `${finalSize}px`;
         
-        // Keep opacity high since size change is minimal
-        this.crosshairElement.style.opacity = 1.0;
+        // Keep opacity high since size change is minimal - a scope draws its own reticle
+        const scoped = !!this.weaponManager?.currentWeapon?.isScoped?.();
+        this.crosshairElement.style.opacity = scoped ? 0 : 1.0;
         
         // ===== Crosshair Position Jitter/Shake =====
         
@@ -536,11 +550,8 @@ export class UIManager {
                 // Skip dead allies
                 if (!ally || ally.health <= 0 || !ally.mesh) continue;
                 
-                // Get world position
-                const worldPos = new THREE.Vector3();
-                ally.mesh.getWorldPosition(worldPos);
-                
-                const pos = worldToMinimap(worldPos);
+                // Soldier positions are in world coordinates (the mesh is offset with the world group)
+                const pos = worldToMinimap(ally.position);
                 if (!pos.offMap) {
                     ctx.beginPath();
                     ctx.arc(pos.x, pos.y, 3, 0, Math.PI * 2);
@@ -549,6 +560,23 @@ export class UIManager {
             }
         }
         
+        // Draw the player's own mines - a small cross, dimmed while still arming
+        const mineField = this.weaponManager?.mineField;
+        if (mineField) {
+            ctx.lineWidth = 1.5;
+            for (const mine of mineField.getPlayerMines()) {
+                const pos = worldToMinimap(mine.position);
+                if (pos.offMap) continue;
+                ctx.strokeStyle = mineField.isArmed(mine) ? this.mineMarkerColor : 'rgba(255, 170, 0, 0.45)';
+                ctx.beginPath();
+                ctx.moveTo(pos.x - 2.5, pos.y - 2.5);
+                ctx.lineTo(pos.x + 2.5, pos.y + 2.5);
+                ctx.moveTo(pos.x + 2.5, pos.y - 2.5);
+                ctx.lineTo(pos.x - 2.5, pos.y + 2.5);
+                ctx.stroke();
+            }
+        }
+
         // Draw enemies (only if within vision range)
         if (this.teamManager.enemies) {
             ctx.fillStyle = '#ff0000'; // Red for enemies
@@ -556,11 +584,11 @@ export class UIManager {
                 // Skip dead enemies
                 if (!enemy || enemy.health <= 0 || !enemy.mesh) continue;
                 
-                // Get world position
-                const worldPos = new THREE.Vector3();
-                enemy.mesh.getWorldPosition(worldPos);
+                // Spotted enemies are drawn separately below
+                if (enemy.spottedTimer > 0) continue;
                 
                 // Check if enemy is within vision range
+                const worldPos = enemy.position;
                 const dx = worldPos.x - playerPosition.x;
                 const dz = worldPos.z - playerPosition.z;
                 const distance = Math.sqrt(dx * dx + dz * dz);
@@ -594,6 +622,26 @@ export class UIManager {
             }
         }
         
+        // Draw spotted enemies (any range) - red dot with a ring that blinks as the spot runs out
+        if (this.teamManager.getSpottedEnemies) {
+            const blink = Math.floor(performance.now() / 200) % 2 === 0;
+            for (const enemy of this.teamManager.getSpottedEnemies()) {
+                const pos = worldToMinimap(enemy.position);
+                if (pos.offMap) continue;
+                ctx.fillStyle = '#ff0000';
+                ctx.beginPath();
+                ctx.arc(pos.x, pos.y, 3, 0, Math.PI * 2);
+                ctx.fill();
+                if (enemy.spottedTimer > 1.5 || blink) {
+                    ctx.strokeStyle = this.spottedMarkerColor;
+                    ctx.lineWidth = 1.5;
+                    ctx.beginPath();
+                    ctx.arc(pos.x, pos.y, 5.5, 0, Math.PI * 2);
+                    ctx.stroke();
+                }
+            }
+        }
+        
         // Draw player (green dot with direction indicator)
         ctx.fillStyle = '#00ff00'; // Green for player
         ctx.beginPath();
@@ -645,15 +693,16 @@ export class UIManager {
     updateGrenadePowerBar() {
         const powerBarContainer = document.getElementById('grenade-power-bar-container');
         const powerBarFill = document.getElementById('grenade-power-bar-fill');
+        const powerBarLabel = document.getElementById('grenade-power-bar-label');
         
         if (!powerBarContainer || !powerBarFill) {
             return;
         }
 
-        // Check if current weapon is grenade and is charging
+        // Check if current weapon is a grenade (frag or smoke) and is charging
         if (this.weaponManager && 
             this.weaponManager.currentWeapon && 
-            this.weaponManager.currentWeapon.name === 'Grenade' &&
+            (this.weaponManager.currentWeapon.name === 'Grenade' || this.weaponManager.currentWeapon.name === 'Smoke') &&
             typeof this.weaponManager.currentWeapon.getChargeRatio === 'function') {
             
             const chargeRatio = this.weaponManager.currentWeapon.getChargeRatio();
@@ -662,18 +711,102 @@ export class UIManager {
                 // Show power bar
                 powerBarContainer.classList.add('visible');
                 powerBarFill.style.width = `${chargeRatio * 100}%`;
+                
+                // Holding cooks the grenade - show how much fuse is left
+                const fuseRemaining = this.weaponManager.currentWeapon.getCookedFuseRemaining?.();
+                if (powerBarLabel && fuseRemaining !== null && fuseRemaining !== undefined) {
+                    powerBarLabel.textContent = `Power - fuse ${fuseRemaining.toFixed(1)}s`;
+                }
             } else {
                 // Hide power bar
                 powerBarContainer.classList.remove('visible');
                 powerBarFill.style.width = '0%';
+                if (powerBarLabel) powerBarLabel.textContent = 'Power';
             }
         } else {
             // Hide power bar if not grenade or not charging
             powerBarContainer.classList.remove('visible');
             powerBarFill.style.width = '0%';
+            if (powerBarLabel) powerBarLabel.textContent = 'Power';
         }
     }
     
+    updateHealProgressBar() {
+        const progressContainer = document.getElementById('heal-progress-container');
+        const progressFill = document.getElementById('heal-progress-fill');
+
+        if (!progressContainer || !progressFill) {
+            return;
+        }
+
+        // Show channel progress while the medkit is healing
+        const weapon = this.weaponManager?.currentWeapon;
+        const progress = weapon?.name === 'Medkit' ? weapon.getChargeRatio() : 0;
+
+        if (progress > 0) {
+            progressContainer.classList.add('visible');
+            progressFill.style.width = `${progress * 100}%`;
+        } else {
+            progressContainer.classList.remove('visible');
+            progressFill.style.width = '0%';
+        }
+    }
+    
+    updateGunHeatBar() {
+        const heatContainer = document.getElementById('gun-heat-container');
+        const heatFill = document.getElementById('gun-heat-fill');
+        const heatLabel = document.getElementById('gun-heat-label');
+        if (!heatContainer || !heatFill) return;
+
+        // Mounted guns show their heat in place of an ammo count
+        const weapon = this.weaponManager?.currentWeapon;
+        const mounted = typeof weapon?.getHeatRatio === 'function';
+        heatContainer.classList.toggle('visible', mounted);
+        if (!mounted) return;
+
+        const overheated = weapon.isOverheated();
+        heatFill.style.width = `${weapon.getHeatRatio() * 100}%`;
+        heatFill.classList.toggle('overheated', overheated);
+        if (heatLabel) {
+            heatLabel.textContent = overheated ? 'OVERHEATED' : 'Heat';
+        }
+    }
+    
+    updateBinocularOverlay() {
+        const overlay = document.getElementById('binocular-overlay');
+        if (!overlay) return;
+
+        const weapon = this.weaponManager?.currentWeapon;
+        const zoomed = weapon?.name === 'Binoculars' && weapon.isZoomed();
+        overlay.classList.toggle('visible', zoomed);
+    }
+    
+    updateScopeOverlay() {
+        const overlay = document.getElementById('scope-overlay');
+        const breathFill = document.getElementById('scope-breath-fill');
+        if (!overlay) return;
+
+        const weapon = this.weaponManager?.currentWeapon;
+        const scoped = !!weapon?.isScoped?.();
+        overlay.classList.toggle('visible', scoped);
+        if (scoped && breathFill) {
+            breathFill.style.width = `${weapon.getBreathRatio() * 100}%`;
+            breathFill.classList.toggle('out-of-breath', weapon.isOutOfBreath);
+        }
+    }
+    
+    updateInteractPrompt() {
+        const promptElement = document.getElementById('interact-prompt');
+        if (!promptElement) return;
+
+        const prompt = this.emplacementManager?.getInteractPrompt() || this.pickupManager?.getInteractPrompt();
+        if (prompt) {
+            promptElement.textContent = prompt.text;
+            promptElement.classList.toggle('cooldown', !prompt.ready);
+        }
+        promptElement.classList.toggle('visible', !!prompt);
+    }
+    
     showDeploymentNotification(type) {
         // type: 'enemies' or 'allies'
         if (!this.deploymentNotification) return;
@@ -699,6 +832,19 @@ export class UIManager {
         }, 500);
     }
     
+    showHitMarker(isHeadshot = false) {
+        if (!this.hitMarker) return;
+        
+        this.hitMarker.classList.toggle('headshot', isHeadshot);
+        this.hitMarker.classList.add('show');
+        
+        // Fade out (CSS transition) shortly after the last hit
+        clearTimeout(this.hitMarkerTimer);
+        this.hitMarkerTimer = setTimeout(() => {
+            this.hitMarker.classList.remove('show');
+        }, isHeadshot ? 200 : 120);
+    }
+    
     updateRespawnProgress(progress, remainingTime) {
         // Show respawn progress bar
         if (this.respawnProgressContainer) {
@@ -0,0 +1,174 @@
+import * as THREE from 'three';
+
+const _offset = new THREE.Vector3();
+
+/**
+ * Artillery Service
+ * Called-in barrages (radio gadget). Positions are in world coordinates. After a countdown
+ * the shells land one after another in a spread around the marked point, each whistling in
+ * before it goes off through the ExplosionService - the same path grenades use.
+ */
+export class ArtilleryService {
+    constructor(worldScene, explosionService, audioManager = null) {
+        this.worldScene = worldScene;
+        this.explosionService = explosionService;
+        this.audioManager = audioManager;
+        this.player = null; // Will be set after player initialization
+
+        this.strikes = []; // Barrages in progress
+
+        // Barrage properties
+        this.shellCount = 6;
+        this.spreadRadius = 9.0; // Shells land anywhere within this distance of the mark
+        this.countdown = 6.0; // Seconds from the call to the first impact
+        this.shellInterval = 0.6; // Average seconds between impacts
+        this.damage = 220;
+        this.blastRadius = 7.0;
+
+        // Whistle cue
+        this.whistleTime = 1.5; // Heard this long before each impact
+        this.whistleRange = 150; // Inaudible beyond this distance from the impact
+    }
+
+    /**
+     * Call a barrage on a point
+     * @param {THREE.Vector3} target - Marked ground point in world coordinates
+     * @param {Object} options - { fromPlayer }
+     * @returns {Object} The strike
+     */
+    callStrike(target, { fromPlayer = false } = {}) {
+        const shells = [];
+        let impactTime = this.countdown;
+        for (let i = 0; i < this.shellCount; i++) {
+            // Uniform over the spread circle
+            const angle = Math.random() * Math.PI * 2;
+            const distance = Math.sqrt(Math.random()) * this.spreadRadius;
+            _offset.set(Math.sin(angle) * distance, 0, Math.cos(angle) * distance);
+            shells.push({
+                position: target.clone().add(_offset),
+                impactTime,
+                whistled: false
+            });
+            impactTime += this.shellInterval * (0.5 + Math.random());
+        }
+
+        const strike = {
+            target: target.clone(),
+            fromPlayer,
+            elapsed: 0,
+            shells,
+            marker: this.createMarker(target)
+        };
+        this.strikes.push(strike);
+        return strike;
+    }
+
+    // Red flare burning on the marked point until the barrage is over
+    createMarker(target) {
+        const group = new THREE.Group();
+
+        const flareGeometry = new THREE.CylinderGeometry(0.05, 0.05, 0.3, 6);
+        const flareMaterial = new THREE.MeshBasicMaterial({ color: 0xff2200 });
+        const flare = new THREE.Mesh(flareGeometry, flareMaterial);
+        flare.position.y = 0.15;
+        group.add(flare);
+
+        const ringGeometry = new THREE.RingGeometry(this.spreadRadius - 0.3, this.spreadRadius, 48);
+        ringGeometry.rotateX(-Math.PI / 2);
+        const ringMaterial = new THREE.MeshBasicMaterial({
+            color: 0xff3300,
+            transparent: true,
+            opacity: 0.35,
+            depthWrite: false
+        });
+        const ring = new THREE.Mesh(ringGeometry, ringMaterial);
+        ring.position.y = 0.05;
+        group.add(ring);
+
+        group.position.copy(target);
+        this.worldScene.add(group);
+        return group;
+    }
+
+    // Seconds until the first shell of the player's most recent barrage lands (null if none incoming)
+    getPlayerCountdown() {
+        for (let i = this.strikes.length - 1; i >= 0; i--) {
+            const strike = this.strikes[i];
+            if (strike.fromPlayer && strike.elapsed < this.countdown) {
+                return this.countdown - strike.elapsed;
+            }
+        }
+        return null;
+    }
+
+    playWhistle(shell) {
+        const player = this.player;
+        if (!player || !this.audioManager?.playShellWhistle) return;
+
+        const distance = shell.position.distanceTo(player.getPosition());
+        if (distance > this.whistleRange) return;
+        this.audioManager.playShellWhistle(1 - distance / this.whistleRange, this.whistleTime);
+    }
+
+    removeStrike(strike) {
+        const index = this.strikes.indexOf(strike);
+        if (index > -1) {
+            this.strikes.splice(index, 1);
+        }
+        const marker = strike.marker;
+        if (marker) {
+            if (marker.parent) {
+                marker.parent.remove(marker);
+            }
+            marker.traverse(child => {
+                if (child.geometry) child.geometry.dispose();
+                if (child.material) child.material.dispose();
+            });
+            strike.marker = null;
+        }
+    }
+
+    update(deltaTime) {
+        for (let i = this.strikes.length - 1; i >= 0; i--) {
+            const strike = this.strikes[i];
+            strike.elapsed += deltaTime;
+
+            // Marker ring pulses while the barrage is incoming
+            if (strike.marker) {
+                const pulse = 0.2 + 0.2 * (1 + Math.sin(strike.elapsed * 6)) / 2;
+                strike.marker.children[1].material.opacity = pulse;
+            }
+
+            let pending = 0;
+            for (const shell of strike.shells) {
+                if (shell.impactTime === null) continue;
+
+                if (!shell.whistled && strike.elapsed >= shell.impactTime - this.whistleTime) {
+                    shell.whistled = true;
+                    this.playWhistle(shell);
+                }
+                if (strike.elapsed >= shell.impactTime) {
+                    shell.impactTime = null;
+                    this.explosionService?.explode(shell.position, {
+                        damage: this.damage,
+                        radius: this.blastRadius,
+                        fromPlayer: strike.fromPlayer
+                    });
+                    continue;
+                }
+                pending++;
+            }
+
+            if (pending === 0) {
+                this.removeStrike(strike);
+            }
+        }
+    }
+
+    // Call off every barrage (battle over)
+    clear() {
+        for (const strike of [...this.strikes]) {
+            this.removeStrike(strike);
+        }
+    }
+}
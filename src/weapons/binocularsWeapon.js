@@ -0,0 +1,172 @@
+import * as THREE from 'three';
+import { WeaponBase } from './weaponBase.js';
+import { WEAPON_ICONS } from '../config/weaponIcons.js';
+
+export class BinocularsWeapon extends WeaponBase {
+    constructor(camera, scene, teamManager, bulletManager, audioManager = null) {
+        super(camera, scene, teamManager, bulletManager, audioManager);
+
+        this.name = 'Binoculars';
+        this.icon = WEAPON_ICONS.binoculars;
+        this.damage = 0;
+        this.fireRate = 120; // spot attempts per minute
+        this.maxAmmo = 0; // Unlimited use
+        this.reserveAmmo = 0;
+        this.reloadTime = 0; // No reload
+        this.range = 300; // Spotting distance
+        this.spread = 0;
+        this.bulletSpeed = 0;
+
+        // Zoom properties - narrower than the player's aimFOV
+        this.zoomFOV = 9;
+
+        // Spotting properties
+        this.spotAngle = 0.05; // radians from the reticle when not zoomed
+        this.zoomedSpotAngle = 0.02; // radians from the reticle when zoomed
+        this.spotTargetHeight = 1.2; // Aim point above an enemy's feet (chest)
+
+        this.isEquipped = false;
+
+        // Reusable vectors
+        this._forward = new THREE.Vector3();
+        this._toEnemy = new THREE.Vector3();
+    }
+
+    init() {
+        super.init();
+        this.createWeaponModel();
+        this.currentAmmo = this.maxAmmo;
+    }
+
+    createWeaponModel() {
+        // Create a simple binoculars model - two barrels joined by a hinge
+        const group = new THREE.Group();
+
+        const barrelMaterial = new THREE.MeshLambertMaterial({ color: 0x2b2b22 });
+        const lensMaterial = new THREE.MeshLambertMaterial({ color: 0x335566 });
+        for (const side of [-1, 1]) {
+            // Barrel
+            const barrelGeometry = new THREE.CylinderGeometry(0.035, 0.04, 0.16, 10);
+            barrelGeometry.rotateX(Math.PI / 2);
+            const barrel = new THREE.Mesh(barrelGeometry, barrelMaterial);
+            barrel.position.set(side * 0.05, -0.2, -0.4);
+            group.add(barrel);
+
+            // Objective lens
+            const lensGeometry = new THREE.CylinderGeometry(0.03, 0.03, 0.01, 10);
+            lensGeometry.rotateX(Math.PI / 2);
+            const lens = new THREE.Mesh(lensGeometry, lensMaterial);
+            lens.position.set(side * 0.05, -0.2, -0.485);
+            group.add(lens);
+        }
+
+        // Hinge
+        const hingeGeometry = new THREE.BoxGeometry(0.05, 0.03, 0.1);
+        const hinge = new THREE.Mesh(hingeGeometry, barrelMaterial);
+        hinge.position.set(0, -0.2, -0.4);
+        group.add(hinge);
+
+        // Position relative to camera
+        group.position.set(0.1, -0.15, -0.3);
+        group.rotation.y = -0.15;
+
+        this.weaponMesh = group;
+        this.camera.add(group);
+    }
+
+    show() {
+        super.show();
+        this.isEquipped = true;
+        // Aiming with binoculars zooms past the weapon aimFOV
+        const player = this.bulletManager?.player;
+        if (player) {
+            player.zoomFOV = this.zoomFOV;
+        }
+    }
+
+    hide() {
+        super.hide();
+        this.isEquipped = false;
+        const player = this.bulletManager?.player;
+        if (player && player.zoomFOV === this.zoomFOV) {
+            player.zoomFOV = null;
+        }
+    }
+
+    isZoomed() {
+        return this.isEquipped && !!this.bulletManager?.player?.isAiming;
+    }
+
+    startFiring() {
+        this.fire();
+    }
+
+    stopFiring() {
+        // Spotting is a single action per press
+    }
+
+    fire() {
+        const now = Date.now() / 1000;
+        if (now - this.lastFireTime < this.fireInterval) {
+            return false;
+        }
+        this.lastFireTime = now;
+
+        const enemy = this.findEnemyUnderReticle();
+        if (!enemy) {
+            return false;
+        }
+        return this.teamManager.spotEnemy(enemy);
+    }
+
+    findEnemyUnderReticle() {
+        // Pick the red soldier closest to the reticle direction that the player can see
+        const player = this.bulletManager?.player;
+        if (!player || !this.teamManager?.enemies) {
+            return null;
+        }
+
+        const eyePosition = player.getPosition();
+        const maxAngle = this.isZoomed() ? this.zoomedSpotAngle : this.spotAngle;
+        const minDot = Math.cos(maxAngle);
+        const collisionSystem = this.bulletManager.collisionSystem;
+        this.camera.getWorldDirection(this._forward);
+
+        let bestEnemy = null;
+        let bestDot = minDot;
+        for (const enemy of this.teamManager.enemies) {
+            if (!enemy || enemy.health <= 0 || enemy.team !== 'red') continue;
+
+            this._toEnemy.copy(enemy.position);
+            this._toEnemy.y += this.spotTargetHeight;
+            this._toEnemy.sub(eyePosition);
+            const distance = this._toEnemy.length();
+            if (distance === 0 || distance > this.range) continue;
+
+            const dot = this._toEnemy.divideScalar(distance).dot(this._forward);
+            if (dot < bestDot) continue;
+
+            // World objects block spotting - player position is already at eye height
+            if (collisionSystem?.checkLineOfSight &&
+                !collisionSystem.checkLineOfSight(eyePosition, enemy.position, 0)) {
+                continue;
+            }
+
+            bestDot = dot;
+            bestEnemy = enemy;
+        }
+        return bestEnemy;
+    }
+
+    update(deltaTime) {
+        // Binoculars are raised to the eyes while zoomed - hide the held model
+        if (this.isEquipped && this.weaponMesh) {
+            this.weaponMesh.visible = !this.isZoomed();
+        }
+    }
+
+    reload() {
+        // Binoculars don't reload
+        return;
+    }
+}
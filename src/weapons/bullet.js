@@ -1,4 +1,5 @@
 import * as THREE from 'three';
+import { getDamageFalloffMultiplier } from '../config/weaponDefinitions.js';
 
 const _moveVector = new THREE.Vector3();
 
@@ -13,6 +14,16 @@ export class Bullet {
         this.speed = 0;
         this.range = 0;
         this.damage = 0;
+        this.hitZoneMultipliers = null; // Set by the firing weapon; null uses defaults
+        this.fromPlayer = false;
+        this.team = null; // Shooter's team for soldier rounds (player rounds use fromPlayer)
+        this.shotGroup = null; // Pellets of one shotgun shot share a group (see BulletManager)
+        this.gravity = 0; // Downward acceleration (units/s²), 0 = straight line
+        this.drag = 0; // Fraction of speed lost per second
+        this.damageFalloff = null; // { start, end, minMultiplier } by travelled distance
+        this.velocity = new THREE.Vector3();
+        this.penetratedColliders = new Set(); // World props this round already passed through
+        this.nearMissed = new Set(); // Soldiers (and the player) this round has already suppressed
         this.showTrail = false;
         this.traveledDistance = 0;
         this.mesh = null;
@@ -85,6 +96,16 @@ export class Bullet {
         this.speed = speed;
         this.range = range;
         this.damage = damage;
+        this.hitZoneMultipliers = null;
+        this.fromPlayer = false;
+        this.team = null;
+        this.shotGroup = null;
+        this.gravity = 0;
+        this.drag = 0;
+        this.damageFalloff = null;
+        this.velocity.copy(this.direction).multiplyScalar(speed);
+        this.penetratedColliders.clear();
+        this.nearMissed.clear();
         this.showTrail = showTrail;
         this.traveledDistance = 0;
         this.position.copy(startPosition);
@@ -110,11 +131,33 @@ export class Bullet {
         }
     }
 
+    // Optional ballistic simulation and damage falloff (from the weapon definition)
+    setBallistics(ballistics = null, damageFalloff = null) {
+        this.gravity = ballistics?.gravity || 0;
+        this.drag = ballistics?.drag || 0;
+        this.damageFalloff = damageFalloff;
+    }
+
+    // Damage after falloff for the distance travelled so far
+    getCurrentDamage() {
+        return this.damage * getDamageFalloffMultiplier(this.traveledDistance, this.damageFalloff);
+    }
+
     update(deltaTime) {
         if (!this.isActive) return;
 
         this.previousPosition.copy(this.position);
 
+        if (this.gravity !== 0 || this.drag !== 0) {
+            // Ballistic path - drag slows the round, gravity bends it down
+            this.velocity.multiplyScalar(Math.max(0, 1 - this.drag * deltaTime));
+            this.velocity.y -= this.gravity * deltaTime;
+            this.speed = this.velocity.length();
+            if (this.speed > 0) {
+                this.direction.copy(this.velocity).divideScalar(this.speed);
+            }
+        }
+
         const moveDistance = this.speed * deltaTime;
         _moveVector.copy(this.direction).multiplyScalar(moveDistance);
         this.position.add(_moveVector);
@@ -1,10 +1,16 @@
 import * as THREE from 'three';
 import { Bullet } from './bullet.js';
 import { ObjectPool } from '../core/objectPool.js';
+import { getHitZone, getHitZoneMultiplier, isHeadshotZone } from '../config/hitZones.js';
 
 const _pathDirection = new THREE.Vector3();
 const _worldPrev = new THREE.Vector3();
 const _sceneStart = new THREE.Vector3();
+const _worldPosition = new THREE.Vector3();
+const _path = new THREE.Line3();
+const _chest = new THREE.Vector3();
+const _closest = new THREE.Vector3();
+const _traceIgnore = new Set();
 
 function isSceneParent(object) {
     return object && typeof object.add === 'function' && typeof object.remove === 'function';
@@ -34,6 +40,16 @@ export class BulletManager {
         this.bulletProfile = { showTrail: true, segments: 6 };
         this.pendingRelease = [];
         this.maxDisposalsPerFrame = 5;
+        this.completedShotGroups = []; // Pellet groups whose pellets have all landed or expired
+
+        // Suppression - rounds passing close by pin down whoever they were fired at
+        this.teamManager = null; // Set by WeaponManager - soldiers that feel near misses
+        this.nearMissRadius = 3.0; // Closest approach that still counts as a near miss
+        this.nearMissSuppression = 0.2; // Suppression from a round grazing past (less further out)
+        this.playerEyeHeight = 1.6; // Player position is at eye level - feet are this far below (as MineField)
+        this.crouchEyeHeight = 0.8;
+        this.playerChestHeight = 1.0; // Near misses are measured to the chest, above the feet
+        this.crouchChestHeight = 0.5;
 
         this.pool = new ObjectPool(
             () => new Bullet(this.scene, 'scene'),
@@ -68,9 +84,61 @@ export class BulletManager {
         return bullet;
     }
 
+    /**
+     * Group the pellets of one shot so each target takes a single combined hit
+     * @param {boolean} fromPlayer - Whether the player fired the shot
+     * @returns {Object} Shot group to pass to addToShotGroup
+     */
+    createShotGroup(fromPlayer = false) {
+        return { fromPlayer, pending: 0, hits: new Map() };
+    }
+
+    addToShotGroup(bullet, shotGroup) {
+        bullet.shotGroup = shotGroup;
+        shotGroup.pending++;
+    }
+
+    // Accumulate one pellet's damage on a target - reported once the whole shot has resolved
+    addShotGroupHit(shotGroup, target, team, damage, hitPoint, hitZone) {
+        const hit = shotGroup.hits.get(target);
+        if (!hit) {
+            shotGroup.hits.set(target, { team, damage, hitPoint: hitPoint.clone(), hitZone });
+            return;
+        }
+        hit.damage += damage;
+        // Any pellet to the head makes the combined hit a headshot
+        if (isHeadshotZone(hitZone) && !isHeadshotZone(hit.hitZone)) {
+            hit.hitZone = hitZone;
+            hit.hitPoint.copy(hitPoint);
+        }
+    }
+
+    flushShotGroups(enemyCallback, allyCallback) {
+        for (const shotGroup of this.completedShotGroups) {
+            for (const [target, hit] of shotGroup.hits) {
+                // The shot group stands in for the bullet (callbacks read fromPlayer)
+                if (hit.team === 'red') {
+                    enemyCallback(target, hit.damage, hit.hitPoint, hit.hitZone, shotGroup);
+                } else {
+                    allyCallback(target, hit.damage, hit.hitPoint, hit.hitZone, shotGroup);
+                }
+            }
+        }
+        this.completedShotGroups = [];
+    }
+
     releaseBullet(bullet) {
         bullet.deactivate();
         this.pendingRelease.push(bullet);
+
+        const shotGroup = bullet.shotGroup;
+        if (shotGroup) {
+            bullet.shotGroup = null;
+            shotGroup.pending--;
+            if (shotGroup.pending === 0) {
+                this.completedShotGroups.push(shotGroup);
+            }
+        }
     }
 
     processPendingReleases() {
@@ -99,6 +167,55 @@ export class BulletManager {
         }
     }
 
+    // World position of a point in bullet (scene) space
+    toWorld(scenePoint, out) {
+        if (this.player?.scenePointToWorld) {
+            return this.player.scenePointToWorld(scenePoint, out);
+        }
+        return out.copy(scenePoint);
+    }
+
+    /**
+     * Near misses - closest approach of a round's path this frame to every soldier (and the player)
+     * not on the shooter's side. Each round suppresses each of them at most once.
+     * @param {Bullet} bullet
+     * @param {THREE.Vector3} start - Path start in world coordinates
+     * @param {THREE.Vector3} end - Path end in world coordinates
+     */
+    checkNearMisses(bullet, start, end) {
+        const teamManager = this.teamManager;
+        const shooterTeam = bullet.fromPlayer ? teamManager?.playerTeam : bullet.team;
+        _path.set(start, end);
+
+        if (teamManager) {
+            for (const soldiers of [teamManager.enemies, teamManager.allies]) {
+                for (const soldier of soldiers) {
+                    if (soldier.team === shooterTeam || soldier.health <= 0) continue;
+                    _chest.set(soldier.position.x, 1.0, soldier.position.z);
+                    this.applyNearMiss(bullet, soldier, _chest);
+                }
+            }
+        }
+
+        const player = this.player;
+        if (player?.addSuppression && !bullet.fromPlayer && shooterTeam !== teamManager?.playerTeam && !player.isDead()) {
+            const position = player.getPosition();
+            const feetY = position.y - (player.isCrouching ? this.crouchEyeHeight : this.playerEyeHeight);
+            _chest.set(position.x, feetY + (player.isCrouching ? this.crouchChestHeight : this.playerChestHeight), position.z);
+            this.applyNearMiss(bullet, player, _chest);
+        }
+    }
+
+    applyNearMiss(bullet, target, chest) {
+        if (bullet.nearMissed.has(target)) return;
+        _path.closestPointToPoint(chest, true, _closest);
+        const distance = _closest.distanceTo(chest);
+        if (distance >= this.nearMissRadius) return;
+
+        bullet.nearMissed.add(target);
+        target.addSuppression(this.nearMissSuppression * (1 - distance / this.nearMissRadius));
+    }
+
     checkCollisions(enemies, allies, enemyCallback, allyCallback, playerMesh = null, playerCallback = null) {
         const allTargets = [...enemies, ...allies];
         if (playerMesh) {
@@ -119,6 +236,11 @@ export class BulletManager {
                 _pathDirection.copy(bullet.direction);
             }
 
+            // World-space path this frame - soldiers and colliders live in world coordinates
+            this.toWorld(previousPos, _worldPrev);
+            this.toWorld(bulletPos, _worldPosition);
+            this.checkNearMisses(bullet, _worldPrev, _worldPosition);
+
             const raycaster = new THREE.Raycaster(
                 previousPos,
                 _pathDirection,
@@ -131,31 +253,15 @@ export class BulletManager {
                 if (playerIntersects.length > 0) {
                     const hit = playerIntersects[0];
                     if (playerCallback) {
-                        playerCallback(bullet.damage, hit.point);
+                        playerCallback(bullet.getCurrentDamage(), hit.point);
                         this.releaseBullet(bullet);
                         continue;
                     }
                 }
             }
 
-            if (this.collisionSystem) {
-                const checkDistance = pathDistance + 2.0;
-                if (this.player?.scenePointToWorld) {
-                    this.player.scenePointToWorld(previousPos, _worldPrev);
-                } else {
-                    _worldPrev.copy(previousPos);
-                }
-                const worldCollision = this.collisionSystem.checkBulletCollision(
-                    _worldPrev,
-                    _pathDirection,
-                    checkDistance
-                );
-                if (worldCollision.hit && worldCollision.distance <= checkDistance) {
-                    this.releaseBullet(bullet);
-                    continue;
-                }
-            }
-
+            // Soldier struck this step (if any) - props beyond it were never reached
+            let soldierHit = null;
             const nonPlayerTargets = allTargets.filter(t => t !== playerMesh);
             const intersects = raycaster.intersectObjects(nonPlayerTargets, true);
             if (intersects.length > 0) {
@@ -169,19 +275,62 @@ export class BulletManager {
                 }
 
                 if (target.userData) {
-                    if (target.userData.isEnemy || target.userData.team === 'red') {
-                        enemyCallback(target, bullet.damage, hit.point);
-                        this.releaseBullet(bullet);
-                    } else if (target.userData.team === 'blue') {
-                        allyCallback(target, bullet.damage, hit.point);
-                        this.releaseBullet(bullet);
+                    const team = target.userData.isEnemy || target.userData.team === 'red' ? 'red' : target.userData.team;
+                    if (team === 'red' || team === 'blue') {
+                        soldierHit = { hit, target, team };
                     }
                 }
             }
+            const soldierDistance = soldierHit ? soldierHit.hit.distance : Infinity;
+
+            if (this.collisionSystem) {
+                const checkDistance = pathDistance + 2.0;
+                // Thin wood, foliage etc. let the round through with reduced damage
+                _traceIgnore.clear();
+                for (const collider of bullet.penetratedColliders) {
+                    _traceIgnore.add(collider);
+                }
+                const trace = this.collisionSystem.traceBullet(
+                    _worldPrev,
+                    _pathDirection,
+                    checkDistance,
+                    _traceIgnore
+                );
+                // Only props in front of the soldier cost damage and count as penetrated
+                for (const penetration of trace.penetrations) {
+                    if (penetration.distance >= soldierDistance) continue;
+                    bullet.damage *= penetration.damageMultiplier;
+                    bullet.penetratedColliders.add(penetration.object);
+                }
+                if (trace.stopped && trace.distance <= checkDistance && trace.distance < soldierDistance) {
+                    this.releaseBullet(bullet);
+                    continue;
+                }
+            }
+
+            if (soldierHit) {
+                const { hit, target, team } = soldierHit;
+
+                // Scale damage by the body part that was hit
+                const hitZone = getHitZone(hit.object);
+                const damage = bullet.getCurrentDamage() * getHitZoneMultiplier(hitZone, bullet.hitZoneMultipliers);
+
+                if (bullet.shotGroup) {
+                    this.addShotGroupHit(bullet.shotGroup, target, team, damage, hit.point, hitZone);
+                } else if (team === 'red') {
+                    enemyCallback(target, damage, hit.point, hitZone, bullet);
+                } else {
+                    allyCallback(target, damage, hit.point, hitZone, bullet);
+                }
+                this.releaseBullet(bullet);
+            }
         }
+
+        this.flushShotGroups(enemyCallback, allyCallback);
     }
 
     clear() {
+        this.completedShotGroups = [];
         while (this.pendingRelease.length > 0) {
             this.pool.release(this.pendingRelease.pop());
         }
@@ -0,0 +1,159 @@
+import * as THREE from 'three';
+
+const _playerBody = new THREE.Vector3();
+
+/**
+ * Explosion Service
+ * Shared blast handling for every explosive (grenades, mines and artillery).
+ * Positions are in world coordinates. Damage falls off linearly with distance and is
+ * blocked by world objects between the blast and the victim (CollisionSystem.checkLineOfSight).
+ */
+export class ExplosionService {
+    constructor(worldScene, teamManager, collisionSystem = null, audioManager = null) {
+        this.worldScene = worldScene;
+        this.teamManager = teamManager;
+        this.collisionSystem = collisionSystem;
+        this.audioManager = audioManager;
+        this.player = null; // Will be set after player initialization
+
+        this.blastHeight = 0.5; // Occlusion rays start this far above the blast point
+        this.playerEyeHeight = 1.6; // Player position is at eye level - feet are this far below
+        this.shakeRadiusMultiplier = 4.0; // Camera shake reaches this many blast radii
+        this.maxShakeIntensity = 0.25;
+        this.shakeDuration = 0.6;
+        this.tinnitusRadiusMultiplier = 1.5; // Ears ring within this many blast radii
+        this.tinnitusDuration = 3.0;
+    }
+
+    /**
+     * Detonate an explosive
+     * @param {THREE.Vector3} position - Blast centre in world coordinates
+     * @param {Object} options - { damage, radius, fromPlayer }
+     */
+    explode(position, { damage, radius, fromPlayer = false }) {
+        this.createExplosionEffect(position);
+
+        // Damage enemies in blast radius
+        for (const enemy of this.teamManager.enemies) {
+            if (enemy.health <= 0) continue;
+            const finalDamage = this.getDamageAt(position, enemy.position, damage, radius);
+            if (finalDamage > 0) {
+                this.teamManager.damageEnemy(enemy.mesh, finalDamage, null, null, fromPlayer);
+            }
+        }
+
+        // Damage allies in blast radius (friendly fire)
+        for (const ally of this.teamManager.allies) {
+            if (ally.health <= 0) continue;
+            const finalDamage = this.getDamageAt(position, ally.position, damage, radius);
+            if (finalDamage > 0) {
+                this.teamManager.damageAlly(ally.mesh, finalDamage);
+            }
+        }
+
+        this.applyToPlayer(position, damage, radius);
+    }
+
+    /**
+     * Damage dealt to a soldier standing at targetPosition (feet, world coordinates)
+     * @returns {number} Damage after distance falloff, 0 if out of range or behind cover
+     */
+    getDamageAt(blastPosition, targetPosition, damage, radius) {
+        const distance = blastPosition.distanceTo(targetPosition);
+        if (distance > radius) {
+            return 0;
+        }
+        if (this.collisionSystem?.checkLineOfSight &&
+            !this.collisionSystem.checkLineOfSight(blastPosition, targetPosition, this.blastHeight)) {
+            return 0;
+        }
+        // Damage decreases with distance
+        return Math.floor(damage * (1 - distance / radius));
+    }
+
+    applyToPlayer(position, damage, radius) {
+        const player = this.player;
+        if (!player || player.isDead()) {
+            return;
+        }
+
+        const eyePosition = player.getPosition();
+        _playerBody.set(eyePosition.x, Math.max(0, eyePosition.y - this.playerEyeHeight), eyePosition.z);
+        const distance = position.distanceTo(_playerBody);
+
+        const finalDamage = this.getDamageAt(position, _playerBody, damage, radius);
+        if (finalDamage > 0) {
+            player.takeDamage(finalDamage);
+        }
+
+        // Camera shake is felt through cover, scaled by distance
+        const shakeRadius = radius * this.shakeRadiusMultiplier;
+        if (distance < shakeRadius) {
+            const intensity = this.maxShakeIntensity * (1 - distance / shakeRadius);
+            player.addCameraShake?.(intensity, this.shakeDuration);
+        }
+
+        // Close blasts leave the ears ringing
+        const tinnitusRadius = radius * this.tinnitusRadiusMultiplier;
+        if (distance < tinnitusRadius) {
+            this.audioManager?.playTinnitus?.(1 - distance / tinnitusRadius, this.tinnitusDuration);
+        }
+    }
+
+    createExplosionEffect(position) {
+        // Create explosion particles/effect
+        const explosionGroup = new THREE.Group();
+
+        // Main explosion sphere - made bigger
+        const explosionGeometry = new THREE.SphereGeometry(1.2, 16, 16);
+        const explosionMaterial = new THREE.MeshStandardMaterial({
+            color: 0xff6600,
+            transparent: true,
+            opacity: 0.8,
+            emissive: 0xff3300,
+            emissiveIntensity: 2.0
+        });
+        const explosion = new THREE.Mesh(explosionGeometry, explosionMaterial);
+        explosionGroup.add(explosion);
+
+        // Fire particles - more particles and bigger radius
+        for (let i = 0; i < 30; i++) {
+            const particleGeometry = new THREE.SphereGeometry(0.08, 4, 4);
+            const particleMaterial = new THREE.MeshBasicMaterial({
+                color: 0xffff00,
+                transparent: true,
+                opacity: 0.9
+            });
+            const particle = new THREE.Mesh(particleGeometry, particleMaterial);
+
+            const angle = (Math.PI * 2 * i) / 30;
+            const radius = 0.8;
+            particle.position.set(
+                Math.cos(angle) * radius,
+                Math.sin(angle) * radius,
+                (Math.random() - 0.5) * 0.8
+            );
+            explosionGroup.add(particle);
+        }
+
+        explosionGroup.position.copy(position);
+        this.worldScene.add(explosionGroup);
+
+        // Animate and remove explosion - bigger final scale
+        let scale = 0.1;
+        const animate = () => {
+            scale += 0.15;
+            explosionGroup.scale.set(scale, scale, scale);
+            explosionMaterial.opacity = Math.max(0, 0.8 - scale * 0.15);
+
+            if (scale < 5) {
+                requestAnimationFrame(animate);
+            } else {
+                if (explosionGroup.parent) {
+                    explosionGroup.parent.remove(explosionGroup);
+                }
+            }
+        };
+        animate();
+    }
+}
@@ -2,6 +2,9 @@ import * as THREE from 'three';
 import { WeaponBase } from './weaponBase.js';
 import { WEAPON_ICONS } from '../config/weaponIcons.js';
 
+const _up = new THREE.Vector3(0, 1, 0);
+const _down = new THREE.Vector3(0, -1, 0);
+
 export class GrenadeWeapon extends WeaponBase {
     constructor(camera, scene, teamManager, bulletManager, audioManager = null) {
         super(camera, scene, teamManager, bulletManager, audioManager);
@@ -19,15 +22,29 @@ export class GrenadeWeapon extends WeaponBase {
         
         // Grenade properties
         this.blastRadius = 6.0;
-        this.fuseTime = 4.0; // seconds before explosion
+        this.fuseTime = 4.0; // seconds before explosion - starts burning when the pin is pulled
         this.grenades = []; // Active grenades in the world
+        this.explosionService = null; // Set by WeaponManager
+        
+        // Physics properties (world coordinates, simulation time)
+        this.gravity = 9.8;
+        this.radius = 0.1;
+        this.restitution = 0.35; // Fraction of speed kept along the surface normal on a bounce
+        this.bounceFriction = 0.75; // Fraction of tangential speed kept on a bounce
+        this.rollingFriction = 3.0; // Deceleration (units/s²) while rolling on a surface
+        this.restSpeed = 0.15; // Below this speed a rolling grenade comes to rest
+        this.landingSpeed = 1.0; // Below this normal speed a grenade stops bouncing and rolls
         
-        // Charging properties
+        // Charging (cooking) properties - holding the throw burns the fuse
         this.isCharging = false;
-        this.chargeStartTime = 0;
+        this.chargeTime = 0; // Seconds held, advanced in update()
         this.minThrowSpeed = 8; // Minimum throw speed
         this.maxThrowSpeed = 30; // Maximum throw speed (increased from base 15)
         this.maxChargeTime = 2.0; // Maximum charge time in seconds (2 seconds to reach max power)
+        
+        // Reusable vectors
+        this._direction = new THREE.Vector3();
+        this._step = new THREE.Vector3();
     }
 
     init() {
@@ -72,7 +89,7 @@ export class GrenadeWeapon extends WeaponBase {
         
         if (!this.isCharging) {
             this.isCharging = true;
-            this.chargeStartTime = Date.now() / 1000;
+            this.chargeTime = 0;
         }
     }
 
@@ -89,10 +106,10 @@ export class GrenadeWeapon extends WeaponBase {
             return;
         }
 
-        // Calculate charge time and power
-        const chargeTime = Math.min(now - this.chargeStartTime, this.maxChargeTime);
-        const chargeRatio = chargeTime / this.maxChargeTime; // 0 to 1
+        // Calculate power - the fuse has been burning for as long as the throw was held
+        const chargeRatio = this.getChargeRatio(); // 0 to 1
         const throwSpeed = this.minThrowSpeed + (this.maxThrowSpeed - this.minThrowSpeed) * chargeRatio;
+        const fuseRemaining = this.fuseTime - this.chargeTime;
 
         this.currentAmmo--;
         this.lastFireTime = now;
@@ -112,7 +129,7 @@ export class GrenadeWeapon extends WeaponBase {
         direction.normalize();
 
         // Create grenade object in the world with calculated throw speed
-        this.throwGrenade(worldPosition, direction, throwSpeed);
+        this.throwGrenade(this.toWorldPosition(worldPosition), direction, throwSpeed, fuseRemaining);
     }
 
     getChargeRatio() {
@@ -120,9 +137,29 @@ export class GrenadeWeapon extends WeaponBase {
         if (!this.isCharging) {
             return 0;
         }
-        const now = Date.now() / 1000;
-        const chargeTime = Math.min(now - this.chargeStartTime, this.maxChargeTime);
-        return chargeTime / this.maxChargeTime;
+        return Math.min(this.chargeTime, this.maxChargeTime) / this.maxChargeTime;
+    }
+
+    getCookedFuseRemaining() {
+        // Seconds left on the fuse of the grenade being held, or null when not cooking
+        return this.isCharging ? Math.max(0, this.fuseTime - this.chargeTime) : null;
+    }
+
+    toWorldPosition(scenePosition) {
+        // Grenades live in world coordinates so they stay put while the player moves
+        const player = this.bulletManager?.player;
+        return player ? player.scenePointToWorld(scenePosition, new THREE.Vector3()) : scenePosition.clone();
+    }
+
+    cookOff() {
+        // Held too long - the grenade goes off in hand
+        const player = this.bulletManager?.player;
+        const position = player ? player.getPosition().clone() : new THREE.Vector3();
+        this.currentAmmo--;
+        this.lastFireTime = Date.now() / 1000;
+        this.isCharging = false;
+        this.chargeTime = 0;
+        this.throwGrenade(position, new THREE.Vector3(0, -1, 0), 0, 0);
     }
 
     fire() {
@@ -133,9 +170,10 @@ export class GrenadeWeapon extends WeaponBase {
         setTimeout(() => this.stopFiring(), 10);
     }
 
-    throwGrenade(startPosition, direction, throwSpeed = null) {
+    throwGrenade(startPosition, direction, throwSpeed = null, fuseTime = null) {
         // Use provided throw speed or default to bulletSpeed
         const speed = throwSpeed !== null ? throwSpeed : this.bulletSpeed;
+        const fuse = fuseTime !== null ? fuseTime : this.fuseTime;
         
         // Create grenade mesh
         const grenadeGroup = new THREE.Group();
@@ -155,31 +193,37 @@ export class GrenadeWeapon extends WeaponBase {
 
         grenadeGroup.position.copy(startPosition);
         grenadeGroup.userData.isGrenade = true;
-        grenadeGroup.userData.fuseTime = this.fuseTime;
+        grenadeGroup.userData.fuseTime = fuse;
         grenadeGroup.userData.damage = this.damage;
         grenadeGroup.userData.blastRadius = this.blastRadius;
         grenadeGroup.userData.teamManager = this.teamManager;
         
-        this.scene.add(grenadeGroup);
+        this.getWorldParent().add(grenadeGroup);
 
-        // Store grenade data
+        // Store grenade data - the fuse counts down in update() on simulation time
         const grenadeData = {
             mesh: grenadeGroup,
             velocity: direction.clone().multiplyScalar(speed),
-            startTime: Date.now() / 1000,
-            fuseTime: this.fuseTime,
+            fuseRemaining: fuse,
             damage: this.damage,
             blastRadius: this.blastRadius,
-            hasHitGround: false,
-            explosionTimeout: null
+            isRolling: false,
+            isAtRest: false
         };
 
         this.grenades.push(grenadeData);
+    }
+
+    hide() {
+        // Switching away puts the pin back - a cooking grenade is not thrown
+        this.isCharging = false;
+        this.chargeTime = 0;
+        super.hide();
+    }
 
-        // Set explosion timer (will be cancelled if grenade hits ground)
-        grenadeData.explosionTimeout = setTimeout(() => {
-            this.explodeGrenade(grenadeData);
-        }, this.fuseTime * 1000);
+    getWorldParent() {
+        // World group (enemy bullets live there too) - falls back to the scene
+        return this.bulletManager?.worldScene || this.scene;
     }
 
     explodeGrenade(grenadeData) {
@@ -190,12 +234,6 @@ export class GrenadeWeapon extends WeaponBase {
 
         const position = grenadeData.mesh.position;
         
-        // Cancel any pending explosion timeout
-        if (grenadeData.explosionTimeout) {
-            clearTimeout(grenadeData.explosionTimeout);
-            grenadeData.explosionTimeout = null;
-        }
-        
         // Remove grenade mesh
         if (grenadeData.mesh.parent) {
             grenadeData.mesh.parent.remove(grenadeData.mesh);
@@ -207,148 +245,125 @@ export class GrenadeWeapon extends WeaponBase {
             this.grenades.splice(index, 1);
         }
 
-        // Create explosion effect
-        this.createExplosionEffect(position);
+        // Shared blast handling - occlusion, player damage, shake and tinnitus
+        this.explosionService?.explode(position, {
+            damage: grenadeData.damage,
+            radius: grenadeData.blastRadius,
+            fromPlayer: true
+        });
+    }
 
-        // Damage enemies in blast radius
-        const enemies = this.teamManager.getEnemies();
-        for (const enemy of enemies) {
-            const enemyPosition = new THREE.Vector3();
-            enemy.getWorldPosition(enemyPosition);
-            
-            const distance = position.distanceTo(enemyPosition);
-            if (distance <= grenadeData.blastRadius) {
-                // Damage decreases with distance
-                const damageMultiplier = 1 - (distance / grenadeData.blastRadius);
-                const finalDamage = Math.floor(grenadeData.damage * damageMultiplier);
-                this.teamManager.damageEnemy(enemy, finalDamage);
+    update(deltaTime) {
+        // Cooking - the held grenade's fuse burns on simulation time
+        if (this.isCharging) {
+            this.chargeTime += deltaTime;
+            if (this.chargeTime >= this.fuseTime) {
+                this.cookOff();
             }
         }
 
-        // Damage allies in blast radius (friendly fire)
-        const allies = this.teamManager.getAllies();
-        for (const ally of allies) {
-            const allyPosition = new THREE.Vector3();
-            ally.getWorldPosition(allyPosition);
+        // Update grenade physics and fuses
+        for (let i = this.grenades.length - 1; i >= 0; i--) {
+            const grenade = this.grenades[i];
             
-            const distance = position.distanceTo(allyPosition);
-            if (distance <= grenadeData.blastRadius) {
-                // Damage decreases with distance
-                const damageMultiplier = 1 - (distance / grenadeData.blastRadius);
-                const finalDamage = Math.floor(grenadeData.damage * damageMultiplier);
-                this.teamManager.damageAlly(ally, finalDamage);
+            grenade.fuseRemaining -= deltaTime;
+            if (grenade.fuseRemaining <= 0) {
+                this.explodeGrenade(grenade);
+                continue;
+            }
+            
+            if (!grenade.isAtRest) {
+                this.updateGrenadePhysics(grenade, deltaTime);
             }
         }
+
+        // Note: Firing is now handled by startFiring/stopFiring
+        // No automatic firing when isFiring is true - grenade uses charge mechanic
     }
 
-    createExplosionEffect(position) {
-        // Create explosion particles/effect
-        const explosionGroup = new THREE.Group();
+    updateGrenadePhysics(grenade, deltaTime) {
+        const position = grenade.mesh.position;
+        const velocity = grenade.velocity;
         
-        // Main explosion sphere - made bigger
-        const explosionGeometry = new THREE.SphereGeometry(1.2, 16, 16);
-        const explosionMaterial = new THREE.MeshStandardMaterial({
-            color: 0xff6600,
-            transparent: true,
-            opacity: 0.8,
-            emissive: 0xff3300,
-            emissiveIntensity: 2.0
-        });
-        const explosion = new THREE.Mesh(explosionGeometry, explosionMaterial);
-        explosionGroup.add(explosion);
-
-        // Fire particles - more particles and bigger radius
-        for (let i = 0; i < 30; i++) {
-            const particleGeometry = new THREE.SphereGeometry(0.08, 4, 4);
-            const particleMaterial = new THREE.MeshBasicMaterial({
-                color: 0xffff00,
-                transparent: true,
-                opacity: 0.9
-            });
-            const particle = new THREE.Mesh(particleGeometry, particleMaterial);
-            
-            const angle = (Math.PI * 2 * i) / 30;
-            const radius = 0.8;
-            particle.position.set(
-                Math.cos(angle) * radius,
-                Math.sin(angle) * radius,
-                (Math.random() - 0.5) * 0.8
-            );
-            explosionGroup.add(particle);
+        // Apply gravity - a rolling grenade is supported by the surface under it
+        if (!grenade.isRolling) {
+            velocity.y -= this.gravity * deltaTime;
         }
-
-        explosionGroup.position.copy(position);
-        this.scene.add(explosionGroup);
-
-        // Animate and remove explosion - bigger final scale
-        let scale = 0.1;
-        const animate = () => {
-            scale += 0.15;
-            explosionGroup.scale.set(scale, scale, scale);
-            explosionMaterial.opacity = Math.max(0, 0.8 - scale * 0.15);
-            
-            if (scale < 5) {
-                requestAnimationFrame(animate);
-            } else {
-                if (explosionGroup.parent) {
-                    explosionGroup.parent.remove(explosionGroup);
-                }
+        
+        // Rolling friction
+        if (grenade.isRolling) {
+            const speed = velocity.length();
+            if (speed <= this.restSpeed) {
+                velocity.set(0, 0, 0);
+                grenade.isAtRest = true;
+                return;
+            }
+            velocity.multiplyScalar(Math.max(0, speed - this.rollingFriction * deltaTime) / speed);
+        }
+        
+        // Sweep against world colliders (houses, walls, vehicles...) - a few bounces per step for corners
+        let remaining = velocity.length() * deltaTime;
+        const collisionSystem = this.bulletManager?.collisionSystem;
+        for (let bounce = 0; bounce < 3 && remaining > 1e-4; bounce++) {
+            this._direction.copy(velocity).normalize();
+            const hit = collisionSystem?.sweepBody(position, this._direction, remaining + this.radius);
+            // A hit at the exit distance means the grenade is on (or in) the box and moving out of it
+            if (!hit || hit.distance >= hit.exitDistance) {
+                position.addScaledVector(this._direction, remaining);
+                break;
             }
-        };
-        animate();
-    }
-
-    update(deltaTime) {
-        // Update grenade physics
-        for (let i = this.grenades.length - 1; i >= 0; i--) {
-            const grenade = this.grenades[i];
-            
-            // Apply gravity
-            grenade.velocity.y -= 9.8 * deltaTime;
-            
-            // Update position
-            const movement = grenade.velocity.clone().multiplyScalar(deltaTime);
-            grenade.mesh.position.add(movement);
-            
-            // Rotate grenade for visual effect
-            grenade.mesh.rotation.x += deltaTime * 5;
-            grenade.mesh.rotation.y += deltaTime * 5;
             
-            // Check ground collision (simple)
-            if (grenade.mesh.position.y < 0.1) {
-                grenade.mesh.position.y = 0.1;
-                
-                // If this is the first time hitting ground, set up 0.5 second explosion timer
-                if (!grenade.hasHitGround) {
-                    grenade.hasHitGround = true;
-                    
-                    // Cancel the fuse timer
-                    if (grenade.explosionTimeout) {
-                        clearTimeout(grenade.explosionTimeout);
-                        grenade.explosionTimeout = null;
-                    }
-                    
-                    // Set new timer for 0.5 seconds
-                    grenade.explosionTimeout = setTimeout(() => {
-                        this.explodeGrenade(grenade);
-                    }, 500);
-                }
-                
-                // Bounce or stop
-                grenade.velocity.y *= -0.3;
-                grenade.velocity.x *= 0.8;
-                grenade.velocity.z *= 0.8;
-                
-                // Stop if velocity is very low
-                if (Math.abs(grenade.velocity.y) < 0.5 && 
-                    grenade.velocity.length() < 1) {
-                    grenade.velocity.set(0, 0, 0);
-                }
+            // A grenade already touching the face (hit at ~0) travels nothing and bounces off it
+            const travel = Math.max(0, hit.distance - this.radius);
+            position.addScaledVector(this._direction, travel);
+            remaining -= travel;
+            if (velocity.dot(hit.normal) >= 0) {
+                // Sliding along the face - nothing to reflect off
+                position.addScaledVector(this._direction, remaining);
+                break;
+            }
+            this.bounce(grenade, hit.normal);
+            if (velocity.lengthSq() === 0) break;
+        }
+        
+        // Ground plane
+        if (position.y < this.radius) {
+            position.y = this.radius;
+            if (velocity.y < 0) {
+                this.bounce(grenade, _up);
             }
         }
+        
+        // A rolling grenade that rolls off an edge starts falling again
+        if (grenade.isRolling && position.y > this.radius + 0.01) {
+            const support = collisionSystem?.sweepBody(position, _down, this.radius + 0.05);
+            if (!support) {
+                grenade.isRolling = false;
+            }
+        }
+        
+        // Rotate grenade for visual effect
+        const spin = velocity.length() * deltaTime * 5;
+        grenade.mesh.rotation.x += spin;
+        grenade.mesh.rotation.y += spin;
+    }
 
-        // Note: Firing is now handled by startFiring/stopFiring
-        // No automatic firing when isFiring is true - grenade uses charge mechanic
+    bounce(grenade, normal) {
+        // Reflect velocity off the surface, losing energy along the normal and to friction
+        const velocity = grenade.velocity;
+        const normalSpeed = velocity.dot(normal);
+        if (normalSpeed >= 0) return;
+        
+        this._step.copy(normal).multiplyScalar(normalSpeed); // Normal component
+        velocity.sub(this._step).multiplyScalar(this.bounceFriction); // Tangential component
+        
+        // Landing on a floor-like surface at low speed - stop bouncing and roll
+        if (normal.y > 0.7 && -normalSpeed < this.landingSpeed) {
+            grenade.isRolling = true;
+            velocity.y = 0;
+            return;
+        }
+        velocity.addScaledVector(normal, -normalSpeed * this.restitution);
     }
 
     reload() {
@@ -1,6 +1,7 @@
 import * as THREE from 'three';
 import { WeaponBase } from './weaponBase.js';
 import { WEAPON_ICONS } from '../config/weaponIcons.js';
+import { DEFAULT_HIT_ZONE_MULTIPLIERS, HIT_ZONES, getHitZone } from '../config/hitZones.js';
 
 export class KnifeWeapon extends WeaponBase {
     constructor(camera, scene, teamManager, bulletManager, audioManager = null) {
@@ -17,10 +18,37 @@ export class KnifeWeapon extends WeaponBase {
         this.spread = 0;
         this.bulletSpeed = 0; // Not applicable for melee
         
-        // Melee attack state
+        // Blade does little against a helmet, limbs still hurt
+        this.hitZoneMultipliers = { ...DEFAULT_HIT_ZONE_MULTIPLIERS, head: 2.0, helmet: 1.0, arm: 0.8, leg: 0.8 };
+        
+        // Melee attack state - animated on simulation time in update()
         this.isAttacking = false;
         this.attackDuration = 0.3; // Attack animation duration in seconds
-        this.attackStartTime = 0;
+        this.attackElapsed = 0;
+        this.isBackstab = false; // Current attack is a backstab (straight stab instead of a slash)
+        
+        // Melee sweep - a short cone in front of the player instead of a thin ray
+        this.meleeAngle = Math.PI / 4; // Half-angle of the cone
+        this.targetRadius = 0.4; // Soldier body radius added to the reach
+        this.maxHeightDifference = 1.2; // Feet height difference that can still be reached
+        this.playerEyeHeight = 1.6; // Player position is at eye level
+        
+        // Backstab - instant kill on an enemy hit from behind
+        this.backstabAngle = Math.PI / 3; // Attacker within this angle of the enemy's back
+        
+        // Lunge animation
+        this.lungeDistance = 0.25; // How far the knife thrusts forward
+        this.restPosition = new THREE.Vector3();
+        this.restRotation = new THREE.Euler();
+        
+        // Reusable objects
+        this._origin = new THREE.Vector3();
+        this._forward = new THREE.Vector3();
+        this._toTarget = new THREE.Vector3();
+        this._facing = new THREE.Vector3();
+        this._chest = new THREE.Vector3();
+        this._quaternion = new THREE.Quaternion();
+        this._raycaster = new THREE.Raycaster();
     }
 
     init() {
@@ -59,6 +87,8 @@ export class KnifeWeapon extends WeaponBase {
         group.position.set(0.2, -0.25, -0.5);
         group.rotation.x = 0.1;
         // Blade already extends along Z axis (forward), no Y rotation needed
+        this.restPosition.copy(group.position);
+        this.restRotation.copy(group.rotation);
         
         this.weaponMesh = group;
         this.camera.add(group);
@@ -74,71 +104,139 @@ export class KnifeWeapon extends WeaponBase {
         this.isFiring = false;
     }
 
-    fire() {
-        if (this.isReloading || this.isAttacking) {
-            return;
-        }
-
+    // Ready for another attack (quick melee checks this before bringing the knife up)
+    canAttack() {
         const now = Date.now() / 1000;
-        if (now - this.lastFireTime < this.fireInterval) {
+        return !this.isAttacking && now - this.lastFireTime >= this.fireInterval;
+    }
+
+    fire() {
+        if (this.isReloading || !this.canAttack()) {
             return;
         }
 
         this.isAttacking = true;
-        this.attackStartTime = now;
-        this.lastFireTime = now;
-
-        // Melee attack animation - swing the knife
-        if (this.weaponMesh) {
-            const originalRotation = this.weaponMesh.rotation.z;
-            this.weaponMesh.rotation.z = -0.5; // Swing animation
-            
-            setTimeout(() => {
-                if (this.weaponMesh) {
-                    this.weaponMesh.rotation.z = originalRotation;
-                }
-            }, 100);
+        this.attackElapsed = 0;
+        this.lastFireTime = Date.now() / 1000;
+
+        const target = this.findMeleeTarget();
+        this.isBackstab = !!target && target.team !== this.teamManager.playerTeam && this.isBehind(target);
+        if (target) {
+            this.strike(target);
         }
+    }
 
-        // Raycast for melee hit detection
-        const worldPosition = new THREE.Vector3();
-        const worldQuaternion = new THREE.Quaternion();
-        this.camera.getWorldPosition(worldPosition);
-        this.camera.getWorldQuaternion(worldQuaternion);
-        
-        const direction = new THREE.Vector3(0, 0, -1);
-        direction.applyQuaternion(worldQuaternion);
-        direction.normalize();
-
-        const raycaster = new THREE.Raycaster(
-            worldPosition,
-            direction,
-            0,
-            this.range
-        );
-
-        // Check for enemies and allies in melee range (friendly fire)
-        const enemies = this.teamManager.getEnemies();
-        const allies = this.teamManager.getAllies();
-        const allTargets = [...enemies, ...allies];
-        const intersects = raycaster.intersectObjects(allTargets, true);
-
-        if (intersects.length > 0) {
-            const hit = intersects[0];
-            const target = hit.object.parent || hit.object;
-            if (target && target.userData.isEnemy) {
-                // Hit an enemy
-                this.teamManager.damageEnemy(target, this.damage);
-            } else if (target && target.userData.team === 'blue') {
-                // Hit an ally (friendly fire)
-                this.teamManager.damageAlly(target, this.damage);
+    /**
+     * Closest living soldier (either team) inside the melee cone with nothing solid in between
+     * Soldier positions are in world coordinates - the camera is converted with the player's position
+     * @returns {Enemy|null}
+     */
+    findMeleeTarget() {
+        const player = this.bulletManager?.player;
+        if (!player) return null;
+
+        const origin = this._origin.copy(player.getPosition());
+        const feetHeight = origin.y - this.playerEyeHeight;
+        this.camera.getWorldDirection(this._forward);
+        this._forward.y = 0;
+        this._forward.normalize();
+
+        const reach = this.range + this.targetRadius;
+        const minDot = Math.cos(this.meleeAngle);
+        const collisionSystem = this.bulletManager.collisionSystem;
+
+        let best = null;
+        let bestScore = Infinity;
+        for (const soldier of [...this.teamManager.enemies, ...this.teamManager.allies]) {
+            if (soldier.health <= 0 || soldier._pendingRemoval || !soldier.mesh) continue;
+            if (Math.abs(soldier.position.y - feetHeight) > this.maxHeightDifference) continue;
+
+            this._toTarget.subVectors(soldier.position, origin);
+            this._toTarget.y = 0;
+            const distance = this._toTarget.length();
+            if (distance > reach) continue;
+
+            // Someone standing inside the player's body radius is always in reach
+            const dot = distance > this.targetRadius ? this._toTarget.divideScalar(distance).dot(this._forward) : 1;
+            if (dot < minDot) continue;
+
+            // No stabbing through walls
+            this._chest.copy(soldier.position);
+            this._chest.y += 1.2;
+            this._toTarget.subVectors(this._chest, origin);
+            const chestDistance = this._toTarget.length();
+            const blocker = collisionSystem?.raycast(origin, this._toTarget, chestDistance);
+            if (blocker && blocker.distance < chestDistance - this.targetRadius) continue;
+
+            // Prefer close targets near the centre of the view
+            const score = distance * (2 - dot);
+            if (score < bestScore) {
+                best = soldier;
+                bestScore = score;
             }
         }
+        return best;
+    }
+
+    // Is the player behind the soldier? Facing follows Enemy.currentRotationY (0 faces +Z)
+    isBehind(soldier) {
+        const rotation = soldier.currentRotationY;
+        this._facing.set(Math.sin(rotation), 0, Math.cos(rotation));
+        this._toTarget.subVectors(this._origin, soldier.position);
+        this._toTarget.y = 0;
+        if (this._toTarget.lengthSq() === 0) return false;
+        this._toTarget.normalize();
+        return this._facing.dot(this._toTarget) <= -Math.cos(this.backstabAngle);
+    }
+
+    // Hit zone along the view direction, torso when the reticle is off the body
+    getStrikeZone(soldier) {
+        this.camera.getWorldPosition(this._chest);
+        this.camera.getWorldQuaternion(this._quaternion);
+        this._toTarget.set(0, 0, -1).applyQuaternion(this._quaternion);
+        this._raycaster.set(this._chest, this._toTarget);
+        this._raycaster.far = this.range + this.targetRadius;
+        const hit = this._raycaster.intersectObject(soldier.mesh, true)[0];
+        return hit ? getHitZone(hit.object) : HIT_ZONES.torso;
+    }
+
+    strike(soldier) {
+        const hitZone = this.isBackstab ? HIT_ZONES.torso : this.getStrikeZone(soldier);
+        const damage = this.isBackstab ? soldier.health : this.getZoneDamage(hitZone);
+        this._chest.copy(soldier.position);
+        this._chest.y += 0.2; // Blood effect adds its own height
+
+        if (soldier.team === this.teamManager.playerTeam) {
+            // Hit an ally (friendly fire) - teammates only ever take the normal slash
+            this.teamManager.damageAlly(soldier.mesh, damage, this._chest);
+        } else {
+            this.teamManager.damageEnemy(soldier.mesh, damage, this._chest, hitZone, true);
+        }
+    }
 
-        // Reset attack state after animation
-        setTimeout(() => {
-            this.isAttacking = false;
-        }, this.attackDuration * 1000);
+    updateAttackAnimation() {
+        if (!this.weaponMesh) return;
+
+        // Thrust forward and back - a backstab drives straight in, a normal attack slashes across
+        const progress = this.isAttacking ? Math.min(1, this.attackElapsed / this.attackDuration) : 0;
+        const thrust = Math.sin(progress * Math.PI);
+        this.weaponMesh.position.copy(this.restPosition);
+        this.weaponMesh.position.z -= this.lungeDistance * thrust;
+        this.weaponMesh.rotation.copy(this.restRotation);
+        if (this.isBackstab) {
+            this.weaponMesh.rotation.x -= 0.35 * thrust;
+        } else {
+            this.weaponMesh.rotation.z -= 0.5 * thrust;
+            this.weaponMesh.position.x -= 0.1 * thrust;
+        }
+    }
+
+    hide() {
+        // Put away mid-swing - back to the resting pose
+        this.isAttacking = false;
+        this.isFiring = false;
+        this.updateAttackAnimation();
+        super.hide();
     }
 
     update(deltaTime) {
@@ -149,10 +247,11 @@ export class KnifeWeapon extends WeaponBase {
         
         // Handle attack animation
         if (this.isAttacking) {
-            const now = Date.now() / 1000;
-            if (now - this.attackStartTime >= this.attackDuration) {
+            this.attackElapsed += deltaTime;
+            if (this.attackElapsed >= this.attackDuration) {
                 this.isAttacking = false;
             }
+            this.updateAttackAnimation();
         }
     }
 
@@ -0,0 +1,217 @@
+import * as THREE from 'three';
+import { WeaponBase } from './weaponBase.js';
+import { WEAPON_ICONS } from '../config/weaponIcons.js';
+
+export class MedkitWeapon extends WeaponBase {
+    constructor(camera, scene, teamManager, bulletManager, audioManager = null) {
+        super(camera, scene, teamManager, bulletManager, audioManager);
+
+        this.name = 'Medkit';
+        this.icon = WEAPON_ICONS.medkit;
+        this.damage = 0;
+        this.fireRate = 1; // uses per minute - a used charge comes back after a 60s cooldown
+        this.maxAmmo = 1; // Charges
+        this.reserveAmmo = 0; // No reserve charges
+        this.reloadTime = 0; // No reload
+        this.range = 3.0; // Reach for healing an ally
+        this.spread = 0;
+        this.bulletSpeed = 0;
+
+        // Heal properties
+        this.healAmount = 50;
+        this.useTime = 3.0; // seconds of channelling per heal
+        this.allyFacingThreshold = 0.5; // dot product - ally must be roughly in front
+
+        // Channel state
+        this.isHealing = false;
+        this.healProgress = 0; // seconds channelled so far
+        this.healTarget = null; // Ally Enemy being healed, or null for self-heal
+
+        // Reusable vectors
+        this._forward = new THREE.Vector3();
+        this._toAlly = new THREE.Vector3();
+    }
+
+    init() {
+        super.init();
+        this.createWeaponModel();
+        this.currentAmmo = this.maxAmmo;
+    }
+
+    createWeaponModel() {
+        // Create a simple medkit model - white case with a red cross on the front
+        const group = new THREE.Group();
+
+        // Case
+        const caseGeometry = new THREE.BoxGeometry(0.22, 0.16, 0.08);
+        const caseMaterial = new THREE.MeshLambertMaterial({ color: 0xe8e8e0 });
+        const kitCase = new THREE.Mesh(caseGeometry, caseMaterial);
+        kitCase.position.set(0, -0.2, -0.4);
+        group.add(kitCase);
+
+        // Handle
+        const handleGeometry = new THREE.BoxGeometry(0.1, 0.02, 0.03);
+        const handleMaterial = new THREE.MeshLambertMaterial({ color: 0x333333 });
+        const handle = new THREE.Mesh(handleGeometry, handleMaterial);
+        handle.position.set(0, -0.11, -0.4);
+        group.add(handle);
+
+        // Red cross
+        const crossMaterial = new THREE.MeshLambertMaterial({ color: 0xcc0000 });
+        const crossVertical = new THREE.Mesh(new THREE.BoxGeometry(0.03, 0.1, 0.01), crossMaterial);
+        crossVertical.position.set(0, -0.2, -0.355);
+        group.add(crossVertical);
+        const crossHorizontal = new THREE.Mesh(new THREE.BoxGeometry(0.1, 0.03, 0.01), crossMaterial);
+        crossHorizontal.position.set(0, -0.2, -0.355);
+        group.add(crossHorizontal);
+
+        // Position relative to camera
+        group.position.set(0.15, -0.2, -0.4);
+        group.rotation.y = -0.3;
+
+        this.weaponMesh = group;
+        this.camera.add(group);
+    }
+
+    startFiring() {
+        // Begin channelling a heal when button is pressed
+        this.updateRecharge();
+        if (this.isHealing || this.currentAmmo <= 0) {
+            return;
+        }
+
+        // Prefer an injured ally in front of the player, otherwise heal self
+        const ally = this.findHealableAlly();
+        const player = this.bulletManager?.player;
+        if (!ally && (!player || player.isDead() || player.getHealth() >= player.getMaxHealth())) {
+            return;
+        }
+
+        this.isHealing = true;
+        this.healProgress = 0;
+        this.healTarget = ally;
+    }
+
+    stopFiring() {
+        // Releasing the button interrupts the channel - no charge is used
+        this.cancelHeal();
+    }
+
+    fire() {
+        // Gadget key (G) has no release event, so the channel runs to completion
+        this.startFiring();
+    }
+
+    cancelHeal() {
+        this.isHealing = false;
+        this.healProgress = 0;
+        this.healTarget = null;
+    }
+
+    findHealableAlly() {
+        const player = this.bulletManager?.player;
+        if (!player || !this.teamManager?.allies) {
+            return null;
+        }
+
+        const playerPosition = player.getPosition();
+        this.camera.getWorldDirection(this._forward);
+        this._forward.y = 0;
+        this._forward.normalize();
+
+        let closestAlly = null;
+        let closestDistance = this.range;
+        for (const ally of this.teamManager.allies) {
+            if (ally.team !== 'blue' || ally.health <= 0 || ally.health >= ally.maxHealth) {
+                continue;
+            }
+            this._toAlly.subVectors(ally.position, playerPosition);
+            this._toAlly.y = 0;
+            const distance = this._toAlly.length();
+            if (distance > closestDistance || distance === 0) {
+                continue;
+            }
+            if (this._toAlly.divideScalar(distance).dot(this._forward) < this.allyFacingThreshold) {
+                continue;
+            }
+            closestAlly = ally;
+            closestDistance = distance;
+        }
+        return closestAlly;
+    }
+
+    isHealTargetValid() {
+        const player = this.bulletManager?.player;
+        if (!player || player.isDead()) {
+            return false;
+        }
+        if (!this.healTarget) {
+            return true;
+        }
+        // Ally must stay alive and within reach for the whole channel
+        if (this.healTarget.health <= 0) {
+            return false;
+        }
+        this._toAlly.subVectors(this.healTarget.position, player.getPosition());
+        this._toAlly.y = 0;
+        return this._toAlly.length() <= this.range;
+    }
+
+    completeHeal() {
+        if (this.healTarget) {
+            this.healTarget.heal(this.healAmount);
+        } else {
+            this.bulletManager?.player?.heal(this.healAmount);
+        }
+
+        this.currentAmmo--;
+        this.lastFireTime = Date.now() / 1000;
+        this.cancelHeal();
+    }
+
+    getChargeRatio() {
+        // Returns current channel progress (0 to 1) for UI display
+        if (!this.isHealing) {
+            return 0;
+        }
+        return Math.min(this.healProgress / this.useTime, 1);
+    }
+
+    hide() {
+        // Switching away interrupts the channel
+        this.cancelHeal();
+        super.hide();
+    }
+
+    // Refill the charge once the cooldown since the last heal has passed
+    updateRecharge() {
+        if (this.currentAmmo >= this.maxAmmo) {
+            return;
+        }
+        if (Date.now() / 1000 - this.lastFireTime >= this.fireInterval) {
+            this.currentAmmo = this.maxAmmo;
+        }
+    }
+
+    update(deltaTime) {
+        this.updateRecharge();
+        if (!this.isHealing) {
+            return;
+        }
+
+        if (!this.isHealTargetValid()) {
+            this.cancelHeal();
+            return;
+        }
+
+        this.healProgress += deltaTime;
+        if (this.healProgress >= this.useTime) {
+            this.completeHeal();
+        }
+    }
+
+    reload() {
+        // Medkit charges recharge on the cooldown instead
+        return;
+    }
+}
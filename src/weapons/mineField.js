@@ -0,0 +1,256 @@
+import * as THREE from 'three';
+
+// Shared mine geometry/materials - created on first use
+let mineAssets = null;
+
+const _wire = new THREE.Line3();
+const _closest = new THREE.Vector3();
+const _point = new THREE.Vector3();
+const _across = new THREE.Vector3();
+
+function getMineAssets() {
+    if (mineAssets) return mineAssets;
+    mineAssets = {
+        body: new THREE.CylinderGeometry(0.16, 0.18, 0.07, 12),
+        prong: new THREE.CylinderGeometry(0.015, 0.015, 0.06, 5),
+        light: new THREE.SphereGeometry(0.025, 6, 6),
+        stake: new THREE.BoxGeometry(0.04, 0.45, 0.04),
+        wire: new THREE.CylinderGeometry(0.006, 0.006, 1, 4), // Unit length, scaled to the wire
+        charge: new THREE.CylinderGeometry(0.04, 0.04, 0.16, 8),
+        bodyMaterial: new THREE.MeshLambertMaterial({ color: 0x4a4f2a }),
+        metalMaterial: new THREE.MeshLambertMaterial({ color: 0x3a3a3a }),
+        stakeMaterial: new THREE.MeshLambertMaterial({ color: 0x5c4326 }),
+        wireMaterial: new THREE.MeshLambertMaterial({ color: 0x9a9a9a }),
+        lightMaterial: new THREE.MeshBasicMaterial({ color: 0xff2200 })
+    };
+    return mineAssets;
+}
+
+// Stats per explosive - pressure mines trip on a small circle, tripwires along the wire
+export const MINE_TYPES = {
+    mine: { damage: 180, radius: 5.0, triggerRadius: 0.9, armTime: 2.5 },
+    tripwire: { damage: 160, radius: 5.0, triggerRadius: 0.3, armTime: 3.0, wireLength: 3.0 }
+};
+
+/**
+ * Mine Field
+ * Anti-personnel mines and tripwires laid by the player or by red soldiers. Positions are in
+ * world coordinates. A mine arms after a delay and goes off through the ExplosionService once
+ * an opposing soldier - or the player, for mines laid by the other side - steps into it.
+ */
+export class MineField {
+    constructor(worldScene, teamManager, explosionService) {
+        this.worldScene = worldScene;
+        this.teamManager = teamManager;
+        this.explosionService = explosionService;
+        this.player = null; // Will be set after player initialization
+
+        this.mines = [];
+        this.playerTriggersOwnMines = false; // When true the player's own mines go off under them too
+        this.playerEyeHeight = 1.6; // Player position is at eye level - feet are this far below
+        this.crouchEyeHeight = 0.8;
+        this.maxFootHeight = 0.5; // Jumping over a mine (or standing on a roof above it) doesn't set it off
+        this.blinkInterval = 0.25; // Arming light blink (seconds)
+
+        // Red soldiers occasionally mine the ground they're standing on
+        this.soldierMineInterval = 10.0;
+        this.soldierMineChance = 0.5;
+        this.soldierTripwireChance = 0.3;
+        this.maxSoldierMines = 8;
+        this.minMineSpacing = 6.0; // Soldiers won't lay a mine this close to another one
+        this.soldierMineTimer = 0;
+    }
+
+    /**
+     * Lay a mine or tripwire on the ground
+     * @param {string} type - 'mine' or 'tripwire' (see MINE_TYPES)
+     * @param {THREE.Vector3} position - Ground point in world coordinates
+     * @param {number} yaw - Facing of whoever lays it (0 faces +Z) - a tripwire is strung across it
+     * @param {Object} options - { team, fromPlayer }
+     * @returns {Object} The placed mine
+     */
+    place(type, position, yaw, { team = 'blue', fromPlayer = false } = {}) {
+        const stats = MINE_TYPES[type];
+        const mine = {
+            type,
+            team,
+            fromPlayer,
+            position: position.clone(), // Charge position (blast centre)
+            wireStart: null,
+            wireEnd: null,
+            damage: stats.damage,
+            radius: stats.radius,
+            triggerRadius: stats.triggerRadius,
+            armRemaining: stats.armTime,
+            mesh: null,
+            light: null
+        };
+
+        if (type === 'tripwire') {
+            // Stakes either side of the layer, the charge tied to the first one
+            _across.set(Math.cos(yaw), 0, -Math.sin(yaw)).multiplyScalar(stats.wireLength / 2);
+            mine.wireStart = position.clone().add(_across);
+            mine.wireEnd = position.clone().sub(_across);
+            mine.position.copy(mine.wireStart);
+        }
+
+        mine.mesh = this.createMesh(mine, yaw);
+        this.worldScene.add(mine.mesh);
+        this.mines.push(mine);
+        return mine;
+    }
+
+    createMesh(mine, yaw) {
+        const assets = getMineAssets();
+        const group = new THREE.Group();
+        group.position.copy(mine.position);
+
+        if (mine.type === 'tripwire') {
+            const length = mine.wireStart.distanceTo(mine.wireEnd);
+            group.rotation.y = yaw;
+            for (const x of [0, -length]) {
+                const stake = new THREE.Mesh(assets.stake, assets.stakeMaterial);
+                stake.position.set(x, 0.2, 0);
+                group.add(stake);
+            }
+            const wire = new THREE.Mesh(assets.wire, assets.wireMaterial);
+            wire.scale.y = length;
+            wire.rotation.z = Math.PI / 2;
+            wire.position.set(-length / 2, 0.15, 0);
+            group.add(wire);
+            const charge = new THREE.Mesh(assets.charge, assets.metalMaterial);
+            charge.position.set(0.05, 0.3, 0);
+            group.add(charge);
+            mine.light = new THREE.Mesh(assets.light, assets.lightMaterial);
+            mine.light.position.set(0.05, 0.4, 0);
+        } else {
+            // Mostly buried - only the top of the casing shows
+            const body = new THREE.Mesh(assets.body, assets.bodyMaterial);
+            body.position.y = 0.02;
+            group.add(body);
+            const prong = new THREE.Mesh(assets.prong, assets.metalMaterial);
+            prong.position.y = 0.08;
+            group.add(prong);
+            mine.light = new THREE.Mesh(assets.light, assets.lightMaterial);
+            mine.light.position.set(0.1, 0.06, 0);
+        }
+        group.add(mine.light);
+        return group;
+    }
+
+    // Mines the player laid (minimap)
+    getPlayerMines() {
+        return this.mines.filter(mine => mine.fromPlayer);
+    }
+
+    isArmed(mine) {
+        return mine.armRemaining <= 0;
+    }
+
+    // Is a ground point (world, y ignored) inside the mine's trigger zone?
+    isInTriggerZone(mine, point) {
+        if (mine.type === 'tripwire') {
+            _wire.set(mine.wireStart, mine.wireEnd);
+            _point.set(point.x, mine.wireStart.y, point.z);
+            _wire.closestPointToPoint(_point, true, _closest);
+            return _closest.distanceTo(_point) <= mine.triggerRadius;
+        }
+        const dx = point.x - mine.position.x;
+        const dz = point.z - mine.position.z;
+        return dx * dx + dz * dz <= mine.triggerRadius * mine.triggerRadius;
+    }
+
+    isTriggered(mine) {
+        const soldiers = mine.team === 'red' ? this.teamManager.allies : this.teamManager.enemies;
+        for (const soldier of soldiers) {
+            if (soldier.health > 0 && !soldier._pendingRemoval && this.isInTriggerZone(mine, soldier.position)) {
+                return true;
+            }
+        }
+
+        const player = this.player;
+        if (!player || player.isDead()) return false;
+        if (mine.team === this.teamManager.playerTeam && !this.playerTriggersOwnMines) return false;
+
+        const eyePosition = player.getPosition();
+        const eyeHeight = player.isCrouching ? this.crouchEyeHeight : this.playerEyeHeight;
+        const feetHeight = Math.max(0, eyePosition.y - eyeHeight);
+        return feetHeight - mine.position.y <= this.maxFootHeight && this.isInTriggerZone(mine, eyePosition);
+    }
+
+    detonate(mine) {
+        this.removeMine(mine);
+        this.explosionService?.explode(mine.position, {
+            damage: mine.damage,
+            radius: mine.radius,
+            fromPlayer: mine.fromPlayer
+        });
+    }
+
+    removeMine(mine) {
+        const index = this.mines.indexOf(mine);
+        if (index > -1) {
+            this.mines.splice(index, 1);
+        }
+        if (mine.mesh?.parent) {
+            mine.mesh.parent.remove(mine.mesh);
+        }
+        mine.mesh = null;
+        mine.light = null;
+    }
+
+    // Pick a red soldier who isn't fighting and have them mine the spot they're on
+    placeSoldierMine() {
+        const soldierMines = this.mines.filter(mine => !mine.fromPlayer).length;
+        if (soldierMines >= this.maxSoldierMines) return;
+
+        const candidates = this.teamManager.enemies.filter(soldier =>
+            soldier.health > 0 && !soldier._pendingRemoval && !soldier.mountedGun && !soldier.currentTarget
+        );
+        if (candidates.length === 0) return;
+
+        const soldier = candidates[Math.floor(Math.random() * candidates.length)];
+        const minSpacingSq = this.minMineSpacing * this.minMineSpacing;
+        for (const mine of this.mines) {
+            if (mine.position.distanceToSquared(soldier.position) < minSpacingSq) return;
+        }
+
+        const type = Math.random() < this.soldierTripwireChance ? 'tripwire' : 'mine';
+        _point.set(soldier.position.x, 0, soldier.position.z);
+        this.place(type, _point, soldier.currentRotationY, { team: soldier.team });
+    }
+
+    update(deltaTime) {
+        for (let i = this.mines.length - 1; i >= 0; i--) {
+            const mine = this.mines[i];
+
+            if (mine.armRemaining > 0) {
+                mine.armRemaining -= deltaTime;
+                // Blinks while arming, goes dark once live
+                mine.light.visible = mine.armRemaining > 0 &&
+                    Math.floor(mine.armRemaining / this.blinkInterval) % 2 === 0;
+                continue;
+            }
+
+            if (this.isTriggered(mine)) {
+                this.detonate(mine);
+            }
+        }
+
+        if (this.teamManager.gameEnded) return;
+        this.soldierMineTimer += deltaTime;
+        if (this.soldierMineTimer >= this.soldierMineInterval) {
+            this.soldierMineTimer = 0;
+            if (Math.random() < this.soldierMineChance) {
+                this.placeSoldierMine();
+            }
+        }
+    }
+
+    // Clear every mine (shared geometry/materials stay cached for the next battle)
+    clear() {
+        for (const mine of [...this.mines]) {
+            this.removeMine(mine);
+        }
+    }
+}
@@ -0,0 +1,120 @@
+import * as THREE from 'three';
+import { WeaponBase } from './weaponBase.js';
+import { WEAPON_ICONS } from '../config/weaponIcons.js';
+import { MINE_TYPES } from './mineField.js';
+
+export class MineWeapon extends WeaponBase {
+    constructor(camera, scene, teamManager, bulletManager, audioManager = null, type = 'mine') {
+        super(camera, scene, teamManager, bulletManager, audioManager);
+
+        const stats = MINE_TYPES[type];
+        this.type = type; // 'mine' (pressure) or 'tripwire'
+        this.name = type === 'tripwire' ? 'Tripwire' : 'Mine';
+        this.icon = type === 'tripwire' ? WEAPON_ICONS.tripwire : WEAPON_ICONS.mine;
+        this.damage = stats.damage;
+        this.fireRate = 40; // placements per minute
+        this.maxAmmo = type === 'tripwire' ? 2 : 3;
+        this.reserveAmmo = 0; // No reserve ammo
+        this.reloadTime = 0; // No reload
+        this.range = 0; // Laid at the player's feet
+        this.spread = 0;
+        this.bulletSpeed = 0;
+
+        this.mineField = null; // Set by WeaponManager
+        this.playerEyeHeight = 1.6;
+        this.crouchEyeHeight = 0.8;
+
+        // Reusable vectors
+        this._forward = new THREE.Vector3();
+        this._feet = new THREE.Vector3();
+    }
+
+    init() {
+        super.init();
+        this.createWeaponModel();
+        this.currentAmmo = this.maxAmmo;
+    }
+
+    createWeaponModel() {
+        // Create a simple model - a mine casing, or a charge with a coil of wire for the tripwire
+        const group = new THREE.Group();
+
+        if (this.type === 'tripwire') {
+            const chargeGeometry = new THREE.CylinderGeometry(0.04, 0.04, 0.16, 8);
+            const charge = new THREE.Mesh(chargeGeometry, new THREE.MeshLambertMaterial({ color: 0x3a3a3a }));
+            charge.position.set(0, -0.2, -0.4);
+            group.add(charge);
+
+            const coilGeometry = new THREE.TorusGeometry(0.05, 0.008, 4, 12);
+            const coil = new THREE.Mesh(coilGeometry, new THREE.MeshLambertMaterial({ color: 0x9a9a9a }));
+            coil.position.set(0.07, -0.2, -0.4);
+            coil.rotation.y = Math.PI / 2;
+            group.add(coil);
+        } else {
+            const bodyGeometry = new THREE.CylinderGeometry(0.1, 0.11, 0.05, 12);
+            const body = new THREE.Mesh(bodyGeometry, new THREE.MeshLambertMaterial({ color: 0x4a4f2a }));
+            body.position.set(0, -0.2, -0.4);
+            body.rotation.x = 0.6;
+            group.add(body);
+
+            const prongGeometry = new THREE.CylinderGeometry(0.012, 0.012, 0.05, 5);
+            const prong = new THREE.Mesh(prongGeometry, new THREE.MeshLambertMaterial({ color: 0x3a3a3a }));
+            prong.position.set(0, -0.17, -0.42);
+            prong.rotation.x = 0.6;
+            group.add(prong);
+        }
+
+        // Position relative to camera
+        group.position.set(0.15, -0.2, -0.4);
+        group.rotation.y = -0.2;
+
+        this.weaponMesh = group;
+        this.camera.add(group);
+    }
+
+    startFiring() {
+        this.place();
+    }
+
+    stopFiring() {
+        // Laid on the press - nothing to release
+        this.isFiring = false;
+    }
+
+    fire() {
+        this.place();
+    }
+
+    place() {
+        const player = this.bulletManager?.player;
+        if (!this.mineField || !player || player.isDead() || this.currentAmmo <= 0) {
+            return;
+        }
+
+        const now = Date.now() / 1000;
+        if (now - this.lastFireTime < this.fireInterval) {
+            return;
+        }
+
+        // Ground under the player - the player's position is at eye level
+        const eyePosition = player.getPosition();
+        const eyeHeight = player.isCrouching ? this.crouchEyeHeight : this.playerEyeHeight;
+        this._feet.set(eyePosition.x, Math.max(0, eyePosition.y - eyeHeight), eyePosition.z);
+
+        // Facing in the soldier convention (0 faces +Z) - a tripwire is strung across it
+        this.camera.getWorldDirection(this._forward);
+        const yaw = Math.atan2(this._forward.x, this._forward.z);
+
+        this.mineField.place(this.type, this._feet, yaw, {
+            team: this.teamManager?.playerTeam || 'blue',
+            fromPlayer: true
+        });
+        this.currentAmmo--;
+        this.lastFireTime = now;
+    }
+
+    reload() {
+        // Mines don't reload
+        return;
+    }
+}
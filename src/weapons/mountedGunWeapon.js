@@ -0,0 +1,44 @@
+import { PrimaryWeapon } from './primaryWeapon.js';
+import { setBarrelHeat } from './weaponModels.js';
+
+export class MountedGunWeapon extends PrimaryWeapon {
+    constructor(camera, scene, teamManager, bulletManager, audioManager = null, nest = null) {
+        super(camera, scene, teamManager, bulletManager, audioManager, nest.definition);
+
+        // Heat lives on the nest (MachineGunNest) - it keeps cooling after the gunner leaves
+        this.nest = nest;
+    }
+
+    // Heat as a 0-1 ratio (HUD)
+    getHeatRatio() {
+        return this.nest.heat;
+    }
+
+    isOverheated() {
+        return this.nest.overheated;
+    }
+
+    // Braced on the tripod - the gunner's stance doesn't open up the spread
+    getMovementSpreadMultiplier() {
+        return 1;
+    }
+
+    fire() {
+        if (!this.nest.canFire()) {
+            return false;
+        }
+        const fired = super.fire();
+        if (fired) {
+            this.nest.addHeat();
+        }
+        return fired;
+    }
+
+    // Belt-fed - it overheats instead of running dry
+    reload() {}
+
+    update(deltaTime, playerVelocity = null) {
+        super.update(deltaTime, playerVelocity);
+        setBarrelHeat(this.weaponMesh, this.nest.heat);
+    }
+}
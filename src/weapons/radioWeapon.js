@@ -0,0 +1,146 @@
+import * as THREE from 'three';
+import { WeaponBase } from './weaponBase.js';
+import { WEAPON_ICONS } from '../config/weaponIcons.js';
+
+const _groundPlane = new THREE.Plane(new THREE.Vector3(0, 1, 0), 0);
+
+export class RadioWeapon extends WeaponBase {
+    constructor(camera, scene, teamManager, bulletManager, audioManager = null) {
+        super(camera, scene, teamManager, bulletManager, audioManager);
+
+        this.name = 'Radio';
+        this.icon = WEAPON_ICONS.radio;
+        this.damage = 0; // Shells deal the damage (ArtilleryService)
+        this.fireRate = 60;
+        this.maxAmmo = 0; // Limited by the cooldown instead of charges
+        this.reserveAmmo = 0;
+        this.reloadTime = 0; // No reload
+        this.range = 250; // Furthest point that can be marked
+        this.spread = 0;
+        this.bulletSpeed = 0;
+
+        // Call-in properties
+        this.artilleryService = null; // Set by WeaponManager
+        this.cooldown = 90.0; // Seconds between barrages
+        this.cooldownRemaining = 0; // Counts down on simulation time in update()
+        this.minDistance = 15; // Can't call it right on top of yourself
+
+        // Reusable objects
+        this._origin = new THREE.Vector3();
+        this._direction = new THREE.Vector3();
+        this._target = new THREE.Vector3();
+        this._ray = new THREE.Ray();
+    }
+
+    init() {
+        super.init();
+        this.createWeaponModel();
+        this.currentAmmo = this.maxAmmo;
+    }
+
+    createWeaponModel() {
+        // Create a simple field radio handset - olive body with an antenna
+        const group = new THREE.Group();
+
+        const bodyGeometry = new THREE.BoxGeometry(0.08, 0.2, 0.06);
+        const body = new THREE.Mesh(bodyGeometry, new THREE.MeshLambertMaterial({ color: 0x4b5320 }));
+        body.position.set(0, -0.2, -0.4);
+        group.add(body);
+
+        const antennaGeometry = new THREE.CylinderGeometry(0.006, 0.006, 0.25, 5);
+        const antenna = new THREE.Mesh(antennaGeometry, new THREE.MeshLambertMaterial({ color: 0x222222 }));
+        antenna.position.set(0.025, 0.02, -0.4);
+        group.add(antenna);
+
+        const speakerGeometry = new THREE.BoxGeometry(0.06, 0.05, 0.01);
+        const speaker = new THREE.Mesh(speakerGeometry, new THREE.MeshLambertMaterial({ color: 0x1a1a1a }));
+        speaker.position.set(0, -0.15, -0.369);
+        group.add(speaker);
+
+        // Position relative to camera
+        group.position.set(0.12, -0.2, -0.35);
+        group.rotation.y = -0.25;
+
+        this.weaponMesh = group;
+        this.camera.add(group);
+    }
+
+    isReady() {
+        return this.cooldownRemaining <= 0;
+    }
+
+    getCooldownRemaining() {
+        return this.cooldownRemaining;
+    }
+
+    /**
+     * Ground point under the reticle (world coordinates)
+     * The battlefield floor is the y = 0 plane; houses, walls and vehicles in the way stop the ray
+     * @returns {THREE.Vector3|null} null when nothing is hit within range
+     */
+    findTarget() {
+        const player = this.bulletManager?.player;
+        if (!player) return null;
+
+        this.camera.getWorldPosition(this._origin);
+        player.scenePointToWorld(this._origin, this._origin);
+        this.camera.getWorldDirection(this._direction);
+        this._ray.set(this._origin, this._direction);
+
+        let distance = this.range;
+        const groundPoint = this._ray.intersectPlane(_groundPlane, this._target);
+        if (groundPoint) {
+            distance = Math.min(distance, this._origin.distanceTo(groundPoint));
+        } else {
+            distance = Infinity; // Aiming at the sky
+        }
+
+        const hit = this.bulletManager.collisionSystem?.raycast(this._origin, this._direction, this.range);
+        if (hit && hit.distance < distance) {
+            distance = hit.distance;
+        }
+        if (distance > this.range) {
+            return null;
+        }
+        return this._ray.at(distance, this._target);
+    }
+
+    startFiring() {
+        this.callStrike();
+    }
+
+    stopFiring() {
+        // Called in on the press - nothing to release
+        this.isFiring = false;
+    }
+
+    fire() {
+        this.callStrike();
+    }
+
+    callStrike() {
+        const player = this.bulletManager?.player;
+        if (!this.artilleryService || !player || player.isDead() || !this.isReady()) {
+            return;
+        }
+
+        const target = this.findTarget();
+        if (!target || target.distanceTo(player.getPosition()) < this.minDistance) {
+            return;
+        }
+
+        this.artilleryService.callStrike(target, { fromPlayer: true });
+        this.cooldownRemaining = this.cooldown;
+    }
+
+    update(deltaTime) {
+        if (this.cooldownRemaining > 0) {
+            this.cooldownRemaining = Math.max(0, this.cooldownRemaining - deltaTime);
+        }
+    }
+
+    reload() {
+        // Radio doesn't reload
+        return;
+    }
+}
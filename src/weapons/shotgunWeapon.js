@@ -0,0 +1,160 @@
+import * as THREE from 'three';
+import { PrimaryWeapon } from './primaryWeapon.js';
+import { getWeaponDefinition } from '../config/weaponDefinitions.js';
+
+const _scenePosition = new THREE.Vector3();
+const _quaternion = new THREE.Quaternion();
+const _aim = new THREE.Vector3();
+const _right = new THREE.Vector3();
+const _up = new THREE.Vector3();
+const _pelletDirection = new THREE.Vector3();
+const _muzzle = new THREE.Vector3();
+
+export class ShotgunWeapon extends PrimaryWeapon {
+    constructor(camera, scene, teamManager, bulletManager, audioManager = null, definition = null) {
+        super(camera, scene, teamManager, bulletManager, audioManager, definition || getWeaponDefinition('M1897'));
+
+        // Pellets are real bullets - hits on the same target are combined per shot (BulletManager shot groups)
+        this.pellets = this.definition.pellets ?? 8;
+        this.pelletSpread = this.definition.pelletSpread ?? 0.12;
+
+        // Shell-by-shell reload - pulling the trigger interrupts it once a shell is loaded
+        this.shellReloadTime = this.definition.shellReloadTime ?? 0.55;
+        this.shellTimer = 0;
+
+        // Pump slide animation after each shot
+        this.pump = null;
+        this.pumpBasePosition = null;
+        this.pumpTime = 0.35;
+        this.pumpRemaining = 0;
+    }
+
+    init() {
+        super.init();
+        this.pump = this.weaponMesh?.userData.pump || null;
+        this.pumpBasePosition = this.pump ? this.pump.position.clone() : null;
+    }
+
+    hide() {
+        super.hide();
+        // Stop loading shells when the shotgun is put away
+        if (this.isReloading) {
+            this.finishReload();
+        }
+    }
+
+    startFiring() {
+        if (this.isReloading && this.currentAmmo > 0) {
+            this.finishReload();
+        }
+        super.startFiring();
+    }
+
+    // One trigger pull - a cone of pellets through the bullet manager
+    fireRound(shotSpread) {
+        if (!this.bulletManager) return;
+
+        this.camera.getWorldPosition(_scenePosition);
+        this.camera.getWorldQuaternion(_quaternion);
+        _aim.set(0, 0, -1).applyQuaternion(_quaternion);
+        _aim.x += (Math.random() - 0.5) * shotSpread;
+        _aim.y += (Math.random() - 0.5) * shotSpread;
+        _aim.normalize();
+        _right.set(1, 0, 0).applyQuaternion(_quaternion);
+        _up.set(0, 1, 0).applyQuaternion(_quaternion);
+
+        if (this.muzzleFlash && this.weaponMesh) {
+            this.muzzleFlash.getWorldPosition(_muzzle);
+        } else {
+            _muzzle.copy(_scenePosition).addScaledVector(_aim, 0.5);
+        }
+
+        const shotGroup = this.bulletManager.createShotGroup(true);
+        for (let i = 0; i < this.pellets; i++) {
+            // Spread pellets evenly over the cone
+            const angle = Math.random() * Math.PI * 2;
+            const radius = Math.sqrt(Math.random()) * this.pelletSpread * 0.5;
+            _pelletDirection.copy(_aim)
+                .addScaledVector(_right, Math.cos(angle) * radius)
+                .addScaledVector(_up, Math.sin(angle) * radius)
+                .normalize();
+
+            const bullet = this.bulletManager.createBullet(
+                _muzzle,
+                _pelletDirection,
+                this.bulletSpeed,
+                this.range,
+                this.damage,
+                true
+            );
+            bullet.hitZoneMultipliers = this.hitZoneMultipliers;
+            bullet.fromPlayer = true;
+            bullet.setBallistics(this.ballistics, this.damageFalloff);
+            this.bulletManager.addToShotGroup(bullet, shotGroup);
+        }
+
+        this.pumpRemaining = this.pumpTime;
+    }
+
+    reload() {
+        if (this.isReloading || this.currentAmmo >= this.maxAmmo || this.reserveAmmo <= 0) {
+            return;
+        }
+
+        this.isReloading = true;
+        this.shellTimer = this.shellReloadTime;
+        if (this.weaponMesh) {
+            this.reloadStartRotation = this.weaponMesh.rotation.x;
+            this.reloadStartPosition = this.weaponMesh.position.clone();
+        }
+    }
+
+    finishReload() {
+        this.isReloading = false;
+        this.shellTimer = 0;
+        this.endReloadAnimation();
+        if (this.weaponMesh) {
+            this.weaponMesh.rotation.z = 0;
+        }
+    }
+
+    updateShellReload(deltaTime) {
+        if (!this.isReloading) return;
+
+        this.shellTimer -= deltaTime;
+        if (this.shellTimer <= 0) {
+            this.currentAmmo++;
+            this.reserveAmmo--;
+            if (this.currentAmmo >= this.maxAmmo || this.reserveAmmo <= 0) {
+                this.finishReload();
+                return;
+            }
+            this.shellTimer += this.shellReloadTime;
+        }
+
+        // Canted to load the tube, dipping as each shell goes in
+        if (this.weaponMesh && this.reloadStartPosition) {
+            const progress = 1 - this.shellTimer / this.shellReloadTime;
+            this.weaponMesh.rotation.x = this.reloadStartRotation + 0.15;
+            this.weaponMesh.rotation.z = 0.35;
+            this.weaponMesh.position.y = this.reloadStartPosition.y - 0.06 - Math.sin(progress * Math.PI) * 0.03;
+        }
+    }
+
+    updatePumpAnimation(deltaTime) {
+        if (!this.pump || !this.pumpBasePosition) return;
+
+        if (this.pumpRemaining > 0) {
+            this.pumpRemaining = Math.max(0, this.pumpRemaining - deltaTime);
+        }
+        // Slide racks back toward the receiver and returns
+        const progress = this.pumpRemaining > 0 ? 1 - this.pumpRemaining / this.pumpTime : 0;
+        this.pump.position.z = this.pumpBasePosition.z + Math.sin(progress * Math.PI) * 0.12;
+    }
+
+    update(deltaTime, playerVelocity = null) {
+        this.updateShellReload(deltaTime);
+        super.update(deltaTime, playerVelocity);
+        this.updatePumpAnimation(deltaTime);
+    }
+}
@@ -0,0 +1,59 @@
+import { GrenadeWeapon } from './grenadeWeapon.js';
+import { SmokeCloud } from '../effects/smokeCloud.js';
+import { WEAPON_ICONS } from '../config/weaponIcons.js';
+
+export class SmokeGrenadeWeapon extends GrenadeWeapon {
+    constructor(camera, scene, teamManager, bulletManager, audioManager = null) {
+        super(camera, scene, teamManager, bulletManager, audioManager);
+
+        this.name = 'Smoke';
+        this.icon = WEAPON_ICONS.smoke;
+        this.damage = 0;
+        this.maxAmmo = 3;
+
+        // Smoke properties - throwing, bouncing and cooking are inherited from GrenadeWeapon
+        this.fuseTime = 2.0; // seconds before the canister starts smoking
+        this.smokeDuration = 20.0;
+        this.smokeRadius = 5.0;
+        this.smokeClouds = []; // Active clouds in the world
+    }
+
+    createWeaponModel() {
+        super.createWeaponModel();
+        // Canister reads lighter than the frag grenade
+        this.weaponMesh.children[0].material.color.setHex(0x7a8a6a);
+    }
+
+    explodeGrenade(grenadeData) {
+        // Prevent multiple detonations
+        if (!grenadeData.mesh || !grenadeData.mesh.parent) {
+            return;
+        }
+
+        const position = grenadeData.mesh.position;
+        grenadeData.mesh.parent.remove(grenadeData.mesh);
+
+        // Remove from active grenades
+        const index = this.grenades.indexOf(grenadeData);
+        if (index > -1) {
+            this.grenades.splice(index, 1);
+        }
+
+        this.smokeClouds.push(new SmokeCloud(
+            position,
+            this.getWorldParent(),
+            this.bulletManager?.collisionSystem,
+            this.smokeDuration,
+            this.smokeRadius
+        ));
+    }
+
+    update(deltaTime) {
+        super.update(deltaTime);
+
+        for (const cloud of this.smokeClouds) {
+            cloud.update(deltaTime);
+        }
+        this.smokeClouds = this.smokeClouds.filter(cloud => cloud.isActive);
+    }
+}
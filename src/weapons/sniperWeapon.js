@@ -0,0 +1,194 @@
+import { PrimaryWeapon } from './primaryWeapon.js';
+import { getWeaponDefinition } from '../config/weaponDefinitions.js';
+
+export class SniperWeapon extends PrimaryWeapon {
+    constructor(camera, scene, teamManager, bulletManager, audioManager = null, definition = null) {
+        super(camera, scene, teamManager, bulletManager, audioManager, definition || getWeaponDefinition('Kar98k'));
+
+        // Bolt action - the bolt is cycled after every shot before the next one can be fired
+        this.boltTime = this.definition.boltTime ?? 1.2;
+        this.boltRemaining = 0;
+        this.boltHandle = null;
+        this.boltBasePosition = null;
+
+        // Scope - replaces the weapon model with a full-screen overlay while aiming
+        const scope = this.definition.scope || {};
+        this.scopeFOV = scope.fov ?? 8;
+        this.scopeSpread = scope.spread ?? 0.001;
+        this.scopeSway = scope.sway ?? 0.02; // Idle sway while scoped (weapon sway units)
+        this.scopeSwayScale = 0.5; // Radians of view drift per unit of weapon sway
+        this.appliedSway = { pitch: 0, yaw: 0 }; // Drift currently applied to the camera
+        this.isEquipped = false;
+
+        // Hold breath (E while scoped - Shift is sprint) - steadies the sway until the breath runs out
+        this.holdBreathTime = scope.holdBreathTime ?? 4.0;
+        this.breathRecoveryTime = scope.breathRecoveryTime ?? 3.0; // seconds to refill from empty
+        this.breathRemaining = this.holdBreathTime;
+        this.isHoldingBreath = false;
+        this.isOutOfBreath = false; // Can't hold again until the breath has fully recovered
+        this.breathKeyDown = false;
+        this.heldBreathSteadiness = 0.15;
+        this.outOfBreathSteadiness = 1.6;
+
+        this.handleKeyDown = (e) => {
+            if (e.code === 'KeyE') {
+                this.breathKeyDown = true;
+            }
+        };
+        this.handleKeyUp = (e) => {
+            if (e.code === 'KeyE') {
+                this.breathKeyDown = false;
+            }
+        };
+        document.addEventListener('keydown', this.handleKeyDown);
+        document.addEventListener('keyup', this.handleKeyUp);
+    }
+
+    init() {
+        super.init();
+        this.boltHandle = this.weaponMesh?.userData.bolt || null;
+        this.boltBasePosition = this.boltHandle ? this.boltHandle.position.clone() : null;
+    }
+
+    show() {
+        super.show();
+        this.isEquipped = true;
+        const player = this.bulletManager?.player;
+        if (player) {
+            player.zoomFOV = this.scopeFOV;
+        }
+    }
+
+    hide() {
+        super.hide();
+        this.isEquipped = false;
+        this.isHoldingBreath = false;
+        // Hidden weapons aren't updated - give the view back now
+        this.updateScopeSway(false);
+        const player = this.bulletManager?.player;
+        if (player && player.zoomFOV === this.scopeFOV) {
+            player.zoomFOV = null;
+        }
+    }
+
+    isScoped() {
+        return this.isEquipped && !this.isReloading && !!this.bulletManager?.player?.isAiming;
+    }
+
+    isBoltCycling() {
+        return this.boltRemaining > 0;
+    }
+
+    // Breath left as a 0-1 ratio (scope HUD)
+    getBreathRatio() {
+        return this.breathRemaining / this.holdBreathTime;
+    }
+
+    getCurrentSpread() {
+        // The scope is near pin-point; movement still opens it up
+        return this.isScoped()
+            ? this.scopeSpread * this.getMovementSpreadMultiplier()
+            : super.getCurrentSpread();
+    }
+
+    fire() {
+        if (this.isBoltCycling()) {
+            return false;
+        }
+        const fired = super.fire();
+        if (fired) {
+            this.boltRemaining = this.boltTime;
+        }
+        return fired;
+    }
+
+    update(deltaTime, playerVelocity = null) {
+        if (this.boltRemaining > 0) {
+            this.boltRemaining = Math.max(0, this.boltRemaining - deltaTime);
+        }
+
+        // The player can be attached after the rifle was first shown
+        const player = this.bulletManager?.player;
+        if (player && this.isEquipped) {
+            player.zoomFOV = this.scopeFOV;
+        }
+
+        const scoped = this.isScoped();
+        this.updateBreath(deltaTime, scoped);
+
+        // Scoped sway comes from the regular weapon sway plus an idle breathing drift
+        this.idleSwayIntensity = scoped ? this.scopeSway : 0;
+        if (this.isHoldingBreath) {
+            this.swaySteadiness = this.heldBreathSteadiness;
+        } else if (scoped && this.isOutOfBreath) {
+            this.swaySteadiness = this.outOfBreathSteadiness;
+        } else {
+            this.swaySteadiness = 1;
+        }
+
+        super.update(deltaTime, playerVelocity);
+
+        // The scope overlay replaces the weapon model
+        if (this.weaponMesh) {
+            this.weaponMesh.visible = this.isEquipped && !scoped;
+        }
+        this.updateBoltAnimation();
+        this.updateScopeSway(scoped);
+    }
+
+    updateBreath(deltaTime, scoped) {
+        this.isHoldingBreath = scoped && this.breathKeyDown && !this.isOutOfBreath && this.breathRemaining > 0;
+
+        if (this.isHoldingBreath) {
+            this.breathRemaining = Math.max(0, this.breathRemaining - deltaTime);
+            if (this.breathRemaining === 0) {
+                this.isHoldingBreath = false;
+                this.isOutOfBreath = true;
+            }
+        } else if (this.breathRemaining < this.holdBreathTime) {
+            const recoveryRate = this.holdBreathTime / this.breathRecoveryTime;
+            this.breathRemaining = Math.min(this.holdBreathTime, this.breathRemaining + recoveryRate * deltaTime);
+            if (this.breathRemaining === this.holdBreathTime) {
+                this.isOutOfBreath = false;
+            }
+        }
+    }
+
+    updateScopeSway(scoped) {
+        // Weapon sway drifts the view itself while scoped, so shots follow the reticle
+        const player = this.bulletManager?.player;
+        if (!player?.addLookOffset) return;
+
+        const targetPitch = scoped ? this.currentSway.y * this.scopeSwayScale : 0;
+        const targetYaw = scoped ? this.currentSway.x * this.scopeSwayScale : 0;
+        const pitchStep = targetPitch - this.appliedSway.pitch;
+        const yawStep = targetYaw - this.appliedSway.yaw;
+        if (pitchStep === 0 && yawStep === 0) return;
+
+        player.addLookOffset(pitchStep, yawStep);
+        this.appliedSway.pitch = targetPitch;
+        this.appliedSway.yaw = targetYaw;
+    }
+
+    updateBoltAnimation() {
+        if (!this.boltHandle || !this.boltBasePosition) return;
+
+        // Handle is lifted and pulled back, then pushed home over the bolt cycle
+        const progress = this.isBoltCycling() ? 1 - this.boltRemaining / this.boltTime : 0;
+        const stroke = Math.sin(progress * Math.PI);
+        this.boltHandle.position.set(
+            this.boltBasePosition.x,
+            this.boltBasePosition.y + stroke * 0.03,
+            this.boltBasePosition.z + stroke * 0.1
+        );
+        this.boltHandle.rotation.z = stroke * 0.8;
+    }
+
+    dispose() {
+        document.removeEventListener('keydown', this.handleKeyDown);
+        document.removeEventListener('keyup', this.handleKeyUp);
+        this.updateScopeSway(false);
+        super.dispose();
+        this.boltHandle = null;
+    }
+}
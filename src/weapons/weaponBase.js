@@ -1,4 +1,6 @@
 import * as THREE from 'three';
+import { DEFAULT_HIT_ZONE_MULTIPLIERS, getHitZoneMultiplier } from '../config/hitZones.js';
+import { DEFAULT_HEARING_RADIUS, getDamageFalloffMultiplier } from '../config/weaponDefinitions.js';
 
 export class WeaponBase {
     constructor(camera, scene, teamManager, bulletManager, audioManager = null) {
@@ -11,6 +13,7 @@ export class WeaponBase {
         this.weaponMesh = null;
         this.currentAmmo = 0;
         this.reserveAmmo = 0;
+        this.maxReserveAmmo = 0; // Reserve cap for pickups/resupply (starting reserve)
         this.isFiring = false;
         this.isReloading = false;
         this.lastFireTime = 0;
@@ -22,6 +25,11 @@ export class WeaponBase {
         
         // Muzzle flash
         this.muzzleFlash = null;
+        this.muzzleFlashEnabled = true; // Suppressed weapons keep the (hidden) flash as the bullet origin
+        
+        // Attachment effects (config/weaponAttachments.js)
+        this.aimFOV = null; // Aim zoom override - null uses the player's default
+        this.hearingRadius = DEFAULT_HEARING_RADIUS; // Enemies this close hear the shot
         
         // Bullet speed (default, can be overridden)
         this.bulletSpeed = 50;
@@ -42,6 +50,93 @@ export class WeaponBase {
         this.swayIntensity = 0.015; // Base sway amount
         this.recoilAmount = 0.15; // How much gun kicks back on shot
         this.recoilRotation = 0.08; // How much gun rotates up on shot
+        this.idleSwayIntensity = 0; // Breathing sway while standing still (set by scoped rifles)
+        this.swaySteadiness = 1; // Multiplier on all sway (holding breath steadies the scope)
+        
+        // Camera recoil pattern - [pitch, yaw] radians per consecutive shot.
+        // Past the last entry the second half repeats so sustained fire keeps its shape.
+        this.recoilPattern = [[0.008, 0]];
+        this.recoilPatternIndex = 0;
+        this.recoilResetTime = 0.35; // Seconds without firing before the pattern restarts
+        
+        // Spread bloom - grows per shot, recovers over time, scaled by movement state
+        this.bloom = 0;
+        this.bloomPerShot = 0.004;
+        this.maxBloom = 0.04;
+        this.bloomRecovery = 0.08; // Spread units recovered per second
+        
+        // Damage multipliers per hit zone (head, helmet, torso, arm, leg)
+        this.hitZoneMultipliers = DEFAULT_HIT_ZONE_MULTIPLIERS;
+        
+        // Optional ballistics ({ gravity, drag }) and damage falloff ({ start, end, minMultiplier })
+        this.ballistics = null;
+        this.damageFalloff = null;
+        
+        // Muzzle position in weapon model space (barrel end)
+        this.muzzlePosition = new THREE.Vector3(0.3, -0.2, -1.3);
+        
+        // Fire modes: 'semi' (one shot per trigger pull), 'burst', 'auto' (hold to fire)
+        this.fireModes = ['auto'];
+        this.fireModeIndex = 0;
+        this.burstSize = 3; // Rounds per burst
+        this.burstCooldown = 0.25; // Seconds before the next burst can start
+        this.burstShotsRemaining = 0;
+        this.burstCooldownRemaining = 0;
+        this.triggerHandled = false; // Semi/burst already fired for the current trigger pull
+        
+        // Weapon definition from the registry (set by applyDefinition)
+        this.definition = null;
+    }
+
+    // Copy stats from a weapon definition (see config/weaponDefinitions.js)
+    applyDefinition(definition) {
+        if (!definition) return;
+        this.definition = definition;
+        this.name = definition.name;
+        this.icon = definition.icon;
+        this.damage = definition.damage;
+        this.fireRate = definition.fireRate;
+        this.maxAmmo = definition.maxAmmo;
+        this.reserveAmmo = definition.reserveAmmo;
+        this.maxReserveAmmo = definition.reserveAmmo;
+        this.reloadTime = definition.reloadTime;
+        this.range = definition.range;
+        this.spread = definition.spread;
+        this.bulletSpeed = definition.bulletSpeed;
+        this.bulletSoundUrl = definition.bulletSoundUrl;
+        this.swayIntensity = definition.swayIntensity;
+        this.recoilAmount = definition.recoilAmount;
+        this.recoilRotation = definition.recoilRotation;
+        this.basePosition.fromArray(definition.basePosition);
+        this.muzzlePosition.fromArray(definition.muzzlePosition);
+        if (definition.recoilPattern) this.recoilPattern = definition.recoilPattern;
+        if (definition.bloomPerShot !== undefined) this.bloomPerShot = definition.bloomPerShot;
+        if (definition.maxBloom !== undefined) this.maxBloom = definition.maxBloom;
+        if (definition.bloomRecovery !== undefined) this.bloomRecovery = definition.bloomRecovery;
+        this.hitZoneMultipliers = { ...DEFAULT_HIT_ZONE_MULTIPLIERS, ...definition.hitZoneMultipliers };
+        this.ballistics = definition.ballistics || null;
+        this.damageFalloff = definition.damageFalloff || null;
+        this.fireModes = definition.fireModes || ['auto'];
+        this.fireModeIndex = 0;
+        if (definition.burstSize) this.burstSize = definition.burstSize;
+        if (definition.burstCooldown) this.burstCooldown = definition.burstCooldown;
+        this.aimFOV = definition.aimFOV ?? null;
+        this.muzzleFlashEnabled = definition.muzzleFlash !== false;
+        this.hearingRadius = definition.hearingRadius ?? DEFAULT_HEARING_RADIUS;
+    }
+
+    get fireMode() {
+        return this.fireModes[this.fireModeIndex] || 'auto';
+    }
+
+    // Cycle to the next fire mode supported by this weapon
+    cycleFireMode() {
+        if (this.fireModes.length > 1) {
+            this.fireModeIndex = (this.fireModeIndex + 1) % this.fireModes.length;
+            this.burstShotsRemaining = 0;
+            this.triggerHandled = false;
+        }
+        return this.fireMode;
     }
 
     init() {
@@ -50,6 +145,18 @@ export class WeaponBase {
         // Muzzle flash will be created after weapon mesh is created
     }
 
+    createWeaponModel() {
+        if (!this.definition?.buildModel) return;
+        
+        // Geometry already points forward (along -Z), no rotation needed
+        const group = this.definition.buildModel();
+        group.position.copy(this.basePosition);
+        group.rotation.x = this.baseRotation.x;
+        
+        this.weaponMesh = group;
+        this.camera.add(group);
+    }
+
     createMuzzleFlash() {
         if (!this.weaponMesh) return;
         
@@ -95,8 +202,7 @@ export class WeaponBase {
         this.muzzleFlash = flashGroup;
         this.muzzleFlash.visible = false;
         // Position at barrel end - barrel extends along Z, forward end is at -Z
-        // Barrel center at Z=-0.9, extends 0.8 along Z, so forward end at Z=-0.9-0.4=-1.3
-        this.muzzleFlash.position.set(0.3, -0.2, -1.3);
+        this.muzzleFlash.position.copy(this.muzzlePosition);
         this.weaponMesh.add(this.muzzleFlash);
     }
 
@@ -112,37 +218,115 @@ export class WeaponBase {
         }
     }
 
+    // Remove the model from the camera and free its resources (weapon swapped out)
+    dispose() {
+        this.isFiring = false;
+        if (!this.weaponMesh) return;
+        if (this.weaponMesh.parent) {
+            this.weaponMesh.parent.remove(this.weaponMesh);
+        }
+        this.weaponMesh.traverse(child => {
+            if (child.geometry) child.geometry.dispose();
+            if (child.material) child.material.dispose();
+        });
+        this.weaponMesh = null;
+        this.muzzleFlash = null;
+    }
+
     startFiring() {
         this.isFiring = true;
     }
 
     stopFiring() {
         this.isFiring = false;
+        // Releasing the trigger allows the next semi shot/burst (a running burst still completes)
+        this.triggerHandled = false;
         if (this.muzzleFlash) {
             this.muzzleFlash.visible = false;
         }
     }
 
+    // Stance multiplier for spread from the player's movement state
+    getMovementSpreadMultiplier() {
+        const player = this.bulletManager?.player;
+        if (!player) return 1;
+        
+        let multiplier = 1;
+        const velocity = player.velocity;
+        const moveSpeed = velocity ? Math.sqrt(velocity.x * velocity.x + velocity.z * velocity.z) : 0;
+        if (player.isSprinting && moveSpeed > 0.1) {
+            multiplier *= 2.0;
+        } else if (moveSpeed > 0.1) {
+            multiplier *= 1.4;
+        }
+        if (!player.canJump) multiplier *= 1.5; // Airborne
+        if (player.isCrouching) multiplier *= 0.7;
+        if (player.isAiming) multiplier *= 0.5;
+        return multiplier;
+    }
+
+    // Current spread including bloom and movement - also drives the crosshair size
+    getCurrentSpread() {
+        return (this.spread + this.bloom) * this.getMovementSpreadMultiplier();
+    }
+
+    getZoneDamage(hitZone, distance = 0) {
+        return this.damage
+            * getHitZoneMultiplier(hitZone, this.hitZoneMultipliers)
+            * getDamageFalloffMultiplier(distance, this.damageFalloff);
+    }
+
+    getNextRecoilStep() {
+        const pattern = this.recoilPattern;
+        if (!pattern || pattern.length === 0) return null;
+        
+        let index = this.recoilPatternIndex;
+        if (index >= pattern.length) {
+            const loopStart = Math.floor(pattern.length / 2);
+            index = loopStart + (index - pattern.length) % (pattern.length - loopStart);
+        }
+        this.recoilPatternIndex++;
+        return pattern[index];
+    }
+
+    // Returns true if a round was fired
     fire() {
         if (this.isReloading || this.currentAmmo <= 0) {
-            return;
+            return false;
         }
 
         const now = Date.now() / 1000;
         if (now - this.lastFireTime < this.fireInterval) {
-            return;
+            return false;
         }
 
+        // Restart the recoil pattern after a pause in firing
+        if (now - this.lastFireTime > this.recoilResetTime) {
+            this.recoilPatternIndex = 0;
+        }
+        
         this.currentAmmo--;
         this.lastFireTime = now;
         
+        // Spread for this shot is taken before bloom from this shot is added
+        const shotSpread = this.getCurrentSpread();
+        this.bloom = Math.min(this.bloom + this.bloomPerShot, this.maxBloom);
+        
+        // Authored recoil pattern rotates the camera
+        const recoilStep = this.getNextRecoilStep();
+        const recoilYaw = recoilStep ? recoilStep[1] : 0;
+        const player = this.bulletManager?.player;
+        if (recoilStep && player?.addRecoil) {
+            player.addRecoil(recoilStep[0], recoilYaw);
+        }
+        
         // Apply recoil effect - weapon kicks back and up
         this.currentRecoil.y -= this.recoilAmount; // Kick back
         this.currentRecoil.z += this.recoilAmount * 0.3; // Slight backward push
-        this.currentRecoil.x += (Math.random() - 0.5) * this.recoilAmount * 0.5; // Random horizontal kick
+        this.currentRecoil.x += recoilYaw * 10 * this.recoilAmount; // Horizontal kick follows the pattern
 
         // Muzzle flash - enhanced visibility
-        if (this.muzzleFlash) {
+        if (this.muzzleFlash && this.muzzleFlashEnabled) {
             this.muzzleFlash.visible = true;
             // Scale animation for flash effect
             this.muzzleFlash.scale.set(1, 1, 1);
@@ -159,138 +343,112 @@ export class WeaponBase {
             }, 80);
         }
 
-        // Raycast for hit detection (scene space for rendering; world space for static collision)
+        // Play bullet sound (optimized with pooling and rate limiting)
+        if (this.audioManager) {
+            this.audioManager.playBulletSound(this.bulletSoundUrl, 0.4);
+        }
+
+        // Enemies within earshot turn towards the shot
+        if (player && this.teamManager?.reportGunshot) {
+            this.teamManager.reportGunshot(player.getPosition(), this.hearingRadius);
+        }
+
+        this.fireRound(shotSpread);
+        return true;
+    }
+
+    // Fire one round along the camera - BulletManager resolves the hit from the simulated round,
+    // so drop, drag and falloff decide whether and how hard it lands
+    fireRound(shotSpread) {
+        if (!this.bulletManager) return;
+
         const scenePosition = new THREE.Vector3();
         const worldQuaternion = new THREE.Quaternion();
         this.camera.getWorldPosition(scenePosition);
         this.camera.getWorldQuaternion(worldQuaternion);
 
-        const worldPosition = new THREE.Vector3();
-        const player = this.bulletManager?.player;
-        if (player && typeof player.scenePointToWorld === 'function') {
-            player.scenePointToWorld(scenePosition, worldPosition);
-        } else {
-            worldPosition.copy(scenePosition);
-        }
-        
         const direction = new THREE.Vector3(0, 0, -1);
         direction.applyQuaternion(worldQuaternion);
-        
+
         // Add spread
-        const spreadX = (Math.random() - 0.5) * this.spread;
-        const spreadY = (Math.random() - 0.5) * this.spread;
+        const spreadX = (Math.random() - 0.5) * shotSpread;
+        const spreadY = (Math.random() - 0.5) * shotSpread;
         direction.x += spreadX;
         direction.y += spreadY;
         direction.normalize();
 
-        const raycaster = new THREE.Raycaster(
-            worldPosition,
-            direction,
-            0,
-            this.range
-        );
-
-        // Play bullet sound (optimized with pooling and rate limiting)
-        if (this.audioManager) {
-            this.audioManager.playBulletSound(this.bulletSoundUrl, 0.4);
+        // Bullet in scene space (camera-relative), fired from the muzzle
+        const bulletStart = new THREE.Vector3();
+        if (this.muzzleFlash && this.weaponMesh) {
+            this.muzzleFlash.getWorldPosition(bulletStart);
+        } else {
+            bulletStart.copy(scenePosition);
+            bulletStart.add(direction.clone().multiplyScalar(0.5));
         }
 
-        // Create visible bullet in scene space (camera-relative)
-        if (this.bulletManager) {
-            let bulletStart = new THREE.Vector3();
-
-            if (this.muzzleFlash && this.weaponMesh) {
-                this.muzzleFlash.getWorldPosition(bulletStart);
-            } else {
-                bulletStart.copy(scenePosition);
-                bulletStart.add(direction.clone().multiplyScalar(0.5));
-            }
+        const bullet = this.bulletManager.createBullet(
+            bulletStart,
+            direction,
+            this.bulletSpeed,
+            this.range,
+            this.damage,
+            true
+        );
+        // Bullet applies this weapon's hit zone multipliers on impact
+        bullet.hitZoneMultipliers = this.hitZoneMultipliers;
+        bullet.fromPlayer = true;
+        bullet.setBallistics(this.ballistics, this.damageFalloff);
+    }
 
-            this.bulletManager.createBullet(
-                bulletStart,
-                direction,
-                this.bulletSpeed,
-                this.range,
-                this.damage,
-                true
-            );
+    // Trigger handling per fire mode - called every frame from update()
+    updateTrigger(deltaTime) {
+        if (this.burstCooldownRemaining > 0) {
+            this.burstCooldownRemaining = Math.max(0, this.burstCooldownRemaining - deltaTime);
         }
-
-        // Also do instant raycast for immediate hit detection
-        // First check world collisions (walls, houses, trees, etc.)
-        let worldBlocked = false;
-        if (this.bulletManager && this.bulletManager.collisionSystem) {
-            const worldHit = this.bulletManager.collisionSystem.raycast(worldPosition, direction, this.range);
-            if (worldHit) {
-                worldBlocked = true;
-                // Check if world object is closer than any enemy/ally
-                const worldHitDistance = worldHit.distance;
-                
-                // Check both enemies and allies for friendly fire
-                const enemies = this.teamManager.getEnemies();
-                const allies = this.teamManager.getAllies();
-                const allTargets = [...enemies, ...allies];
-                const targetIntersects = raycaster.intersectObjects(allTargets, true);
-                
-                // Only process enemy/ally hit if it's closer than world object
-                if (targetIntersects.length > 0 && targetIntersects[0].distance < worldHitDistance) {
-                    const hit = targetIntersects[0];
-                    // Traverse up the parent chain to find the root group with userData
-                    let target = hit.object;
-                    while (target.parent && target.parent !== this.scene) {
-                        // Check if current target has userData with team info
-                        if (target.userData && (target.userData.isEnemy !== undefined || target.userData.team)) {
-                            break; // Found the root group with userData
-                        }
-                        target = target.parent;
-                    }
-                    
-                    if (target.userData) {
-                        if (target.userData.isEnemy || target.userData.team === 'red') {
-                            // Hit an enemy
-                            this.teamManager.damageEnemy(target, this.damage);
-                        } else if (target.userData.team === 'blue') {
-                            // Hit an ally (friendly fire)
-                            this.teamManager.damageAlly(target, this.damage);
-                        }
-                    }
-                }
-                // If world object blocks, don't process enemy/ally hits
-            }
+        
+        if (this.isReloading) {
+            this.burstShotsRemaining = 0;
+            return;
         }
         
-        // If world didn't block, check enemies and allies normally
-        if (!worldBlocked) {
-            const enemies = this.teamManager.getEnemies();
-            const allies = this.teamManager.getAllies();
-            const allTargets = [...enemies, ...allies];
-            const intersects = raycaster.intersectObjects(allTargets, true);
-
-            if (intersects.length > 0) {
-                const hit = intersects[0];
-                // Traverse up the parent chain to find the root group with userData
-                let target = hit.object;
-                while (target.parent && target.parent !== this.scene) {
-                    // Check if current target has userData with team info
-                    if (target.userData && (target.userData.isEnemy !== undefined || target.userData.team)) {
-                        break; // Found the root group with userData
-                    }
-                    target = target.parent;
-                }
-                
-                if (target.userData) {
-                    if (target.userData.isEnemy || target.userData.team === 'red') {
-                        // Hit an enemy
-                        this.teamManager.damageEnemy(target, this.damage);
-                    } else if (target.userData.team === 'blue') {
-                        // Hit an ally (friendly fire)
-                        this.teamManager.damageAlly(target, this.damage);
+        const mode = this.fireMode;
+        if (mode === 'auto') {
+            if (this.isFiring) {
+                this.fire();
+            }
+        } else if (mode === 'semi') {
+            if (this.isFiring && !this.triggerHandled && this.fire()) {
+                this.triggerHandled = true;
+            }
+        } else if (mode === 'burst') {
+            // Start a new burst on a fresh trigger pull once the cooldown has elapsed
+            if (this.isFiring && !this.triggerHandled && this.burstShotsRemaining === 0 && this.burstCooldownRemaining <= 0) {
+                this.burstShotsRemaining = this.burstSize;
+                this.triggerHandled = true;
+            }
+            
+            if (this.burstShotsRemaining > 0) {
+                if (this.currentAmmo <= 0) {
+                    // Magazine ran dry mid-burst
+                    this.burstShotsRemaining = 0;
+                    this.burstCooldownRemaining = this.burstCooldown;
+                } else if (this.fire()) {
+                    this.burstShotsRemaining--;
+                    if (this.burstShotsRemaining === 0) {
+                        this.burstCooldownRemaining = this.burstCooldown;
                     }
                 }
             }
         }
     }
 
+    // Add reserve rounds (ammo pickups), capped at maxReserveAmmo - returns rounds actually added
+    addReserveAmmo(amount) {
+        const added = Math.max(0, Math.min(amount, this.maxReserveAmmo - this.reserveAmmo));
+        this.reserveAmmo += added;
+        return added;
+    }
+
     reload() {
         // Don't reload if already reloading
         if (this.isReloading) {
@@ -446,8 +604,11 @@ export class WeaponBase {
     }
 
     update(deltaTime, playerVelocity = null) {
-        if (this.isFiring && !this.isReloading) {
-            this.fire();
+        this.updateTrigger(deltaTime);
+        
+        // Spread bloom recovers while not firing
+        if (this.bloom > 0) {
+            this.bloom = Math.max(0, this.bloom - this.bloomRecovery * deltaTime);
         }
 
         // Calculate movement speed for sway (if player velocity provided)
@@ -501,14 +662,24 @@ export class WeaponBase {
             this.swayTime += deltaTime * (5 + this.swaySpeed); // Faster sway when moving faster
             
             // Calculate sway offsets based on movement
-            const swayX = Math.sin(this.swayTime) * this.swayIntensity * movementMultiplier;
-            const swayY = Math.cos(this.swayTime * 1.5) * this.swayIntensity * movementMultiplier;
-            const swayZ = Math.sin(this.swayTime * 0.5) * this.swayIntensity * 0.5 * movementMultiplier;
+            const intensity = this.swayIntensity * movementMultiplier * this.swaySteadiness;
+            const swayX = Math.sin(this.swayTime) * intensity;
+            const swayY = Math.cos(this.swayTime * 1.5) * intensity;
+            const swayZ = Math.sin(this.swayTime * 0.5) * intensity * 0.5;
             
             // Apply sway with smoothing
             this.currentSway.x += (swayX - this.currentSway.x) * 0.1;
             this.currentSway.y += (swayY - this.currentSway.y) * 0.1;
             this.currentSway.z += (swayZ - this.currentSway.z) * 0.1;
+        } else if (this.idleSwayIntensity > 0) {
+            // Slow figure-eight drift from breathing
+            this.swayTime += deltaTime * 1.2;
+            const intensity = this.idleSwayIntensity * this.swaySteadiness;
+            const swayX = Math.sin(this.swayTime) * intensity;
+            const swayY = Math.sin(this.swayTime * 2) * intensity * 0.5;
+            this.currentSway.x += (swayX - this.currentSway.x) * 0.1;
+            this.currentSway.y += (swayY - this.currentSway.y) * 0.1;
+            this.currentSway.z *= 0.9;
         } else {
             // Return to center when standing still
             this.currentSway.multiplyScalar(0.9);
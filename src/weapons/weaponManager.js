@@ -1,9 +1,22 @@
 import { PrimaryWeapon } from './primaryWeapon.js';
 import { SecondaryWeapon } from './secondaryWeapon.js';
+import { SniperWeapon } from './sniperWeapon.js';
+import { ShotgunWeapon } from './shotgunWeapon.js';
+import { MountedGunWeapon } from './mountedGunWeapon.js';
 import { KnifeWeapon } from './knifeWeapon.js';
 import { GrenadeWeapon } from './grenadeWeapon.js';
+import { SmokeGrenadeWeapon } from './smokeGrenadeWeapon.js';
+import { MedkitWeapon } from './medkitWeapon.js';
+import { BinocularsWeapon } from './binocularsWeapon.js';
+import { MineWeapon } from './mineWeapon.js';
+import { RadioWeapon } from './radioWeapon.js';
 import { BulletManager } from './bulletManager.js';
+import { ExplosionService } from './explosionService.js';
+import { MineField } from './mineField.js';
+import { ArtilleryService } from './artilleryService.js';
 import { WEAPON_ICONS, getWeaponIcon } from '../config/weaponIcons.js';
+import { getWeaponDefinition } from '../config/weaponDefinitions.js';
+import { applyAttachments } from '../config/weaponAttachments.js';
 
 export class WeaponManager {
     constructor(camera, scene, teamManager, audioManager = null, collisionSystem = null, worldScene = null) {
@@ -14,21 +27,34 @@ export class WeaponManager {
         this.player = null; // Will be set after player initialization
         
         this.bulletManager = new BulletManager(scene, worldScene, collisionSystem);
+        this.bulletManager.teamManager = teamManager; // Near misses suppress soldiers
+        this.explosionService = new ExplosionService(this.bulletManager.worldScene, teamManager, collisionSystem, audioManager);
+        this.mineField = new MineField(this.bulletManager.worldScene, teamManager, this.explosionService);
+        this.artilleryService = new ArtilleryService(this.bulletManager.worldScene, this.explosionService, audioManager);
         
         this.primaryWeapon = null;
         this.secondaryWeapon = null;
         this.gadgetWeapons = {}; // Map of gadget names to weapon instances
         this.currentWeapon = null;
-        this.weaponType = 'primary'; // 'primary', 'secondary', or 'gadget'
+        this.weaponType = 'primary'; // 'primary', 'secondary', 'gadget', or 'mounted' (on a machine-gun nest)
+        this.mountedWeapon = null; // Gun of the nest the player is on
+        this.unmountedWeaponType = 'primary'; // Weapon brought back up when leaving the nest
+        this.selectedPrimary = 'MP40'; // Default primary (see config/weaponDefinitions.js)
+        this.selectedSecondary = 'Pistol'; // Default secondary
         this.selectedGadget = 'Grenade'; // Default gadget
+        this.selectedAttachments = {}; // { weaponName: { slot: attachmentId } } (config/weaponAttachments.js)
+        this.quickMeleeActive = false; // Knife out for a quick melee (V key) over the weapon in hand
+        this.quickMeleeRemaining = 0;
         
         this.initControls();
     }
 
     async init() {
-        // Create weapons with bullet manager and audio manager
-        this.primaryWeapon = new PrimaryWeapon(this.camera, this.scene, this.teamManager, this.bulletManager, this.audioManager);
-        this.secondaryWeapon = new SecondaryWeapon(this.camera, this.scene, this.teamManager, this.bulletManager, this.audioManager);
+        // Create selected weapons from the registry with bullet manager and audio manager
+        const primaryDefinition = this.getLoadoutDefinition(this.selectedPrimary, 'primary');
+        const secondaryDefinition = this.getLoadoutDefinition(this.selectedSecondary, 'secondary');
+        this.primaryWeapon = this.createFirearm(primaryDefinition);
+        this.secondaryWeapon = this.createFirearm(secondaryDefinition);
         
         this.primaryWeapon.init();
         this.secondaryWeapon.init();
@@ -41,9 +67,26 @@ export class WeaponManager {
         // Create gadget weapons
         this.gadgetWeapons['Knife'] = new KnifeWeapon(this.camera, this.scene, this.teamManager, this.bulletManager, this.audioManager);
         this.gadgetWeapons['Grenade'] = new GrenadeWeapon(this.camera, this.scene, this.teamManager, this.bulletManager, this.audioManager);
+        this.gadgetWeapons['Smoke'] = new SmokeGrenadeWeapon(this.camera, this.scene, this.teamManager, this.bulletManager, this.audioManager);
+        this.gadgetWeapons['Medkit'] = new MedkitWeapon(this.camera, this.scene, this.teamManager, this.bulletManager, this.audioManager);
+        this.gadgetWeapons['Binoculars'] = new BinocularsWeapon(this.camera, this.scene, this.teamManager, this.bulletManager, this.audioManager);
+        this.gadgetWeapons['Mine'] = new MineWeapon(this.camera, this.scene, this.teamManager, this.bulletManager, this.audioManager, 'mine');
+        this.gadgetWeapons['Tripwire'] = new MineWeapon(this.camera, this.scene, this.teamManager, this.bulletManager, this.audioManager, 'tripwire');
+        this.gadgetWeapons['Radio'] = new RadioWeapon(this.camera, this.scene, this.teamManager, this.bulletManager, this.audioManager);
+        
+        this.gadgetWeapons['Grenade'].explosionService = this.explosionService;
+        this.gadgetWeapons['Mine'].mineField = this.mineField;
+        this.gadgetWeapons['Tripwire'].mineField = this.mineField;
+        this.gadgetWeapons['Radio'].artilleryService = this.artilleryService;
         
         this.gadgetWeapons['Knife'].init();
         this.gadgetWeapons['Grenade'].init();
+        this.gadgetWeapons['Smoke'].init();
+        this.gadgetWeapons['Medkit'].init();
+        this.gadgetWeapons['Binoculars'].init();
+        this.gadgetWeapons['Mine'].init();
+        this.gadgetWeapons['Tripwire'].init();
+        this.gadgetWeapons['Radio'].init();
         
         // Hide all gadget weapons initially
         Object.values(this.gadgetWeapons).forEach(weapon => {
@@ -62,6 +105,25 @@ export class WeaponManager {
         this.updateUI();
     }
 
+    // Registry definition of a loadout weapon with the attachments picked on the customize screen
+    getLoadoutDefinition(weaponName, category) {
+        const definition = getWeaponDefinition(weaponName, category);
+        return applyAttachments(definition, this.selectedAttachments[definition.name]);
+    }
+
+    // Firearm instance for a registry definition - scoped rifles and shotguns get their own behaviour
+    createFirearm(definition) {
+        let WeaponClass = SecondaryWeapon;
+        if (definition.scope) {
+            WeaponClass = SniperWeapon;
+        } else if (definition.pellets) {
+            WeaponClass = ShotgunWeapon;
+        } else if (definition.category === 'primary') {
+            WeaponClass = PrimaryWeapon;
+        }
+        return new WeaponClass(this.camera, this.scene, this.teamManager, this.bulletManager, this.audioManager, definition);
+    }
+
     initControls() {
         // Fire button (for mobile/touch)
         const fireBtn = document.getElementById('btn-fire');
@@ -165,6 +227,19 @@ export class WeaponManager {
         const reloadBtn = document.getElementById('btn-reload');
         reloadBtn.addEventListener('click', () => this.reload());
 
+        // Fire mode button (next to reload)
+        const fireModeBtn = document.getElementById('btn-fire-mode');
+        if (fireModeBtn) {
+            fireModeBtn.addEventListener('click', (e) => {
+                e.preventDefault();
+                this.toggleFireMode();
+                fireModeBtn.classList.add('btn-active');
+                setTimeout(() => {
+                    fireModeBtn.classList.remove('btn-active');
+                }, 200);
+            });
+        }
+
         // Weapon switch (1 for primary, 2 for secondary, 3 for gadget)
         document.addEventListener('keydown', (e) => {
             if (e.code === 'Digit1') this.switchWeapon('primary');
@@ -175,8 +250,18 @@ export class WeaponManager {
                 e.preventDefault();
                 this.reload();
             }
+            // Quick melee with 'V' key - knife attack without switching to the knife gadget
+            if (e.code === 'KeyV') {
+                e.preventDefault();
+                this.quickMelee();
+            }
+            // Toggle fire mode with 'B' key
+            if (e.code === 'KeyB') {
+                e.preventDefault();
+                this.toggleFireMode();
+            }
             // Use gadget with 'G' key - switch to gadget and fire current gadget
-            if (e.code === 'KeyG') {
+            if (e.code === 'KeyG' && !this.mountedWeapon) {
                 e.preventDefault();
                 // Switch to gadget type if not already
                 if (this.weaponType !== 'gadget') {
@@ -222,6 +307,10 @@ export class WeaponManager {
     }
 
     switchWeapon(type) {
+        // Hands are on the mounted gun until the player leaves the nest
+        if (this.mountedWeapon) return;
+        this.endQuickMelee();
+
         // Hide current weapon
         if (this.currentWeapon && this.currentWeapon.hide) {
             this.currentWeapon.hide();
@@ -236,7 +325,7 @@ export class WeaponManager {
                 this.currentWeapon = gadgetWeapon;
                 gadgetWeapon.show();
             } else {
-                // Gadget without 3D model (medkit, binoculars, etc.)
+                // Gadget without an implementation
                 this.currentWeapon = null;
             }
         } else {
@@ -250,6 +339,7 @@ export class WeaponManager {
     }
     
     setSelectedGadget(gadgetName) {
+        this.endQuickMelee();
         // Hide current gadget if switching
         if (this.weaponType === 'gadget' && this.currentWeapon && this.currentWeapon.hide) {
             this.currentWeapon.hide();
@@ -268,7 +358,7 @@ export class WeaponManager {
                 this.currentWeapon = gadgetWeapon;
                 gadgetWeapon.show();
             } else {
-                // Gadget without 3D model (medkit, binoculars, etc.)
+                // Gadget without an implementation
                 if (this.currentWeapon && this.currentWeapon.hide) {
                     this.currentWeapon.hide();
                 }
@@ -279,7 +369,9 @@ export class WeaponManager {
     }
 
     startFiring() {
-        // Allow gadgets to fire (knife melee, grenade throw)
+        // The weapon in hand is lowered while the quick-melee knife is out
+        if (this.quickMeleeActive) return;
+        // Allow gadgets to fire (knife melee, grenade/smoke throw, medkit heal, binocular spotting, mine laying, artillery call-in)
         if (this.currentWeapon) {
             this.currentWeapon.startFiring();
         }
@@ -298,10 +390,176 @@ export class WeaponManager {
         }
     }
 
+    // Bring the knife up for one attack, then go back to the weapon in hand
+    quickMelee() {
+        const knife = this.gadgetWeapons['Knife'];
+        if (!knife || this.mountedWeapon || this.quickMeleeActive) return;
+
+        // Already holding the knife - just attack
+        if (this.currentWeapon === knife) {
+            knife.fire();
+            return;
+        }
+        if (!knife.canAttack()) return;
+
+        if (this.currentWeapon) {
+            this.currentWeapon.stopFiring();
+            this.currentWeapon.hide?.();
+        }
+        knife.show();
+        knife.fire();
+        this.quickMeleeActive = true;
+        this.quickMeleeRemaining = knife.attackDuration;
+    }
+
+    endQuickMelee() {
+        if (!this.quickMeleeActive) return;
+        this.quickMeleeActive = false;
+        this.gadgetWeapons['Knife']?.hide();
+        this.currentWeapon?.show?.();
+    }
+
+    /**
+     * Put away the carried weapon and take the gun of a machine-gun nest
+     * @param {MachineGunNest} nest
+     */
+    mountGun(nest) {
+        if (this.mountedWeapon) return;
+        this.endQuickMelee();
+
+        if (this.currentWeapon) {
+            this.currentWeapon.stopFiring();
+            this.currentWeapon.hide?.();
+        }
+        this.unmountedWeaponType = this.weaponType;
+
+        const weapon = new MountedGunWeapon(this.camera, this.scene, this.teamManager, this.bulletManager, this.audioManager, nest);
+        weapon.init();
+        this.mountedWeapon = weapon;
+        this.currentWeapon = weapon;
+        this.weaponType = 'mounted';
+        weapon.show();
+        this.updateUI();
+    }
+
+    // Leave the nest and bring the carried weapon back up
+    dismountGun() {
+        if (!this.mountedWeapon) return;
+
+        this.mountedWeapon.dispose();
+        this.mountedWeapon = null;
+        this.currentWeapon = null;
+        this.switchWeapon(this.unmountedWeaponType);
+    }
+
+    getWeaponInSlot(slot) {
+        return slot === 'primary' ? this.primaryWeapon : this.secondaryWeapon;
+    }
+
+    /**
+     * Swap a firearm slot for a weapon picked up in the world and equip it
+     * @param {Object} definition - Weapon definition (its category picks the slot)
+     * @param {number} currentAmmo - Rounds in the magazine
+     * @param {number} reserveAmmo - Spare rounds
+     * @returns {{ definition: Object, currentAmmo: number, reserveAmmo: number }|null} The weapon given up
+     */
+    replaceWeapon(definition, currentAmmo, reserveAmmo) {
+        const slot = definition.category;
+        const oldWeapon = this.getWeaponInSlot(slot);
+
+        const weapon = this.createFirearm(definition);
+        weapon.init();
+        weapon.hide();
+        weapon.currentAmmo = Math.min(currentAmmo, weapon.maxAmmo);
+        weapon.reserveAmmo = Math.min(reserveAmmo, weapon.maxReserveAmmo);
+        if (slot === 'primary') {
+            this.primaryWeapon = weapon;
+        } else {
+            this.secondaryWeapon = weapon;
+        }
+
+        // Bring up the new weapon; the old one leaves the camera for good
+        if (this.currentWeapon === oldWeapon) {
+            this.currentWeapon = null;
+        }
+        this.switchWeapon(slot);
+        this.showPickupNotice(definition.name);
+
+        if (!oldWeapon) return null;
+        const dropped = {
+            definition: oldWeapon.definition,
+            currentAmmo: oldWeapon.currentAmmo,
+            reserveAmmo: oldWeapon.reserveAmmo
+        };
+        oldWeapon.dispose();
+        return dropped;
+    }
+
+    // Ammo pickup - adds magazines to both firearms, returns rounds added
+    addAmmoPickup(magazines = 1) {
+        let added = 0;
+        for (const weapon of [this.primaryWeapon, this.secondaryWeapon]) {
+            if (weapon) {
+                added += weapon.addReserveAmmo(weapon.maxAmmo * magazines);
+            }
+        }
+        if (added > 0) {
+            this.showPickupNotice(`+${added}`);
+        }
+        return added;
+    }
+
+    // Resupply station - refill firearm reserves and gadget charges
+    resupply() {
+        for (const weapon of [this.primaryWeapon, this.secondaryWeapon]) {
+            if (weapon) {
+                weapon.addReserveAmmo(weapon.maxReserveAmmo);
+            }
+        }
+        Object.values(this.gadgetWeapons).forEach(weapon => {
+            // Knife/binoculars have no charges to refill
+            if (Number.isFinite(weapon.maxAmmo) && weapon.maxAmmo > 0) {
+                weapon.currentAmmo = weapon.maxAmmo;
+            }
+        });
+        this.showPickupNotice('RESUPPLIED');
+    }
+
+    // Flash a pickup message next to the ammo counter
+    showPickupNotice(text) {
+        const notice = document.getElementById('ammo-pickup');
+        if (!notice) return;
+        notice.textContent = text;
+        notice.classList.remove('show');
+        void notice.offsetWidth; // Restart the fade animation
+        notice.classList.add('show');
+        clearTimeout(this.pickupNoticeTimeout);
+        this.pickupNoticeTimeout = setTimeout(() => {
+            notice.classList.remove('show');
+        }, 1500);
+    }
+
+    toggleFireMode() {
+        // Only firearms have fire modes
+        if (this.weaponType === 'gadget' || !this.currentWeapon?.cycleFireMode) return;
+        this.currentWeapon.cycleFireMode();
+        this.updateUI();
+    }
+
     update(deltaTime, playerVelocity = null) {
+        if (this.quickMeleeActive) {
+            this.quickMeleeRemaining -= deltaTime;
+            if (this.quickMeleeRemaining <= 0) {
+                this.endQuickMelee();
+            }
+        }
+        
         if (this.currentWeapon) {
             this.currentWeapon.update(deltaTime, playerVelocity);
         }
+        if (this.player) {
+            this.player.weaponAimFOV = this.currentWeapon?.aimFOV ?? null;
+        }
         
         // Update all gadget weapons (for grenade physics, etc.)
         Object.values(this.gadgetWeapons).forEach(weapon => {
@@ -310,6 +568,11 @@ export class WeaponManager {
             }
         });
         
+        // Arm and trigger laid mines (the player's and soldiers')
+        this.mineField.update(deltaTime);
+        // Incoming barrages called in on the radio
+        this.artilleryService.update(deltaTime);
+        
         // Update bullet manager
         if (this.bulletManager) {
             this.bulletManager.update(deltaTime);
@@ -326,8 +589,8 @@ export class WeaponManager {
             this.bulletManager.checkCollisions(
                 enemies,
                 allies,
-                (enemy, damage, hitPosition) => {
-                    this.teamManager.damageEnemy(enemy, damage, hitPosition);
+                (enemy, damage, hitPosition, hitZone, bullet) => {
+                    this.teamManager.damageEnemy(enemy, damage, hitPosition, hitZone, bullet.fromPlayer);
                 },
                 (ally, damage, hitPosition) => {
                     this.teamManager.damageAlly(ally, damage, hitPosition);
@@ -347,22 +610,27 @@ export class WeaponManager {
         const ammoCurrent = document.getElementById('ammo-current');
         const ammoReserve = document.getElementById('ammo-reserve');
         const weaponIcon = document.getElementById('weapon-icon');
+        const fireMode = document.getElementById('fire-mode');
 
         // Update weapon icon based on current selection
         if (weaponIcon) {
             // Remove all weapon type classes
             weaponIcon.classList.remove('weapon-primary', 'weapon-secondary', 'weapon-gadget');
             
+            // Firearm icons follow the equipped weapon (slots can change via pickups)
             let iconText = '';
             if (this.weaponType === 'primary') {
-                iconText = WEAPON_ICONS.longGun;
+                iconText = this.primaryWeapon?.icon || WEAPON_ICONS.longGun;
                 weaponIcon.classList.add('weapon-primary');
             } else if (this.weaponType === 'secondary') {
-                iconText = WEAPON_ICONS.pistol;
+                iconText = this.secondaryWeapon?.icon || WEAPON_ICONS.pistol;
                 weaponIcon.classList.add('weapon-secondary');
             } else if (this.weaponType === 'gadget') {
                 iconText = getWeaponIcon(this.selectedGadget);
                 weaponIcon.classList.add('weapon-gadget');
+            } else if (this.weaponType === 'mounted') {
+                iconText = this.mountedWeapon?.icon || WEAPON_ICONS.mounted;
+                weaponIcon.classList.add('weapon-primary');
             }
             
             // Wrap text in span for secondary weapon to allow scaling only the text
@@ -371,23 +639,45 @@ export class WeaponManager {
             } else {
                 weaponIcon.textContent = iconText;
             }
+            weaponIcon.title = this.currentWeapon?.name || '';
         }
 
         // Update ammo display
         if (this.currentWeapon) {
             if (ammoCurrent) {
                 // Show ammo or special display for gadgets
-                if (this.weaponType === 'gadget' && this.selectedGadget === 'Knife') {
-                    ammoCurrent.textContent = '∞'; // Infinite for knife
+                if (this.weaponType === 'gadget' && (this.selectedGadget === 'Knife' || this.selectedGadget === 'Binoculars')) {
+                    ammoCurrent.textContent = '∞'; // Infinite for knife and binoculars
+                } else if (this.weaponType === 'mounted') {
+                    ammoCurrent.textContent = '∞'; // Belt-fed
+                } else if (this.weaponType === 'gadget' && this.selectedGadget === 'Radio') {
+                    // Incoming barrage countdown, otherwise the cooldown
+                    const countdown = this.artilleryService.getPlayerCountdown();
+                    const cooldown = this.currentWeapon.getCooldownRemaining();
+                    if (countdown !== null) {
+                        ammoCurrent.textContent = `${Math.ceil(countdown)}s`;
+                    } else {
+                        ammoCurrent.textContent = cooldown > 0 ? `${Math.ceil(cooldown)}s` : 'RDY';
+                    }
                 } else {
                     ammoCurrent.textContent = this.currentWeapon.currentAmmo;
                 }
             }
             if (ammoReserve) {
-                if (this.weaponType === 'gadget' && this.selectedGadget === 'Knife') {
-                    ammoReserve.textContent = '∞'; // Infinite for knife
-                } else if (this.weaponType === 'gadget' && this.selectedGadget === 'Grenade') {
+                if (this.weaponType === 'gadget' && (this.selectedGadget === 'Knife' || this.selectedGadget === 'Binoculars')) {
+                    ammoReserve.textContent = '∞'; // Infinite for knife and binoculars
+                } else if (this.weaponType === 'gadget' && this.selectedGadget === 'Radio') {
+                    ammoReserve.textContent = this.artilleryService.getPlayerCountdown() !== null ? 'INBOUND' : '-';
+                } else if (this.weaponType === 'mounted') {
+                    // Heat instead of spare rounds
+                    ammoReserve.textContent = this.currentWeapon.isOverheated()
+                        ? 'HOT'
+                        : `${Math.round(this.currentWeapon.getHeatRatio() * 100)}%`;
+                } else if (this.weaponType === 'gadget' && (this.selectedGadget === 'Grenade' || this.selectedGadget === 'Smoke')) {
                     ammoReserve.textContent = this.currentWeapon.maxAmmo;
+                } else if (this.weaponType === 'gadget' && (this.selectedGadget === 'Medkit' || this.selectedGadget === 'Mine' || this.selectedGadget === 'Tripwire')) {
+                    // Charges left out of capacity
+                    ammoReserve.textContent = this.currentWeapon.currentAmmo > 0 ? this.currentWeapon.maxAmmo : 'OUT';
                 } else {
                     // Show "OUT" when reserve ammo is 0 (out of bullets)
                     if (this.currentWeapon.reserveAmmo <= 0) {
@@ -403,6 +693,13 @@ export class WeaponManager {
             if (ammoReserve) ammoReserve.textContent = '-';
         }
         
+        // Show fire mode for firearms only (empty hides it)
+        if (fireMode) {
+            fireMode.textContent = this.weaponType !== 'gadget' && this.currentWeapon?.fireMode
+                ? this.currentWeapon.fireMode.toUpperCase()
+                : '';
+        }
+        
         // Update button icons to match selected weapon
         this.updateButtonIcons();
     }
@@ -0,0 +1,344 @@
+import * as THREE from 'three';
+
+/**
+ * First-person weapon model builders
+ * Each builder returns a THREE.Group whose geometry extends forward along -Z.
+ * The weapon positions the group itself (basePosition) and attaches it to the camera.
+ */
+
+function addBox(group, size, color, position) {
+    const geometry = new THREE.BoxGeometry(size[0], size[1], size[2]);
+    const material = new THREE.MeshLambertMaterial({ color });
+    const mesh = new THREE.Mesh(geometry, material);
+    mesh.position.set(position[0], position[1], position[2]);
+    group.add(mesh);
+    return mesh;
+}
+
+/**
+ * MP40 - folded-stock submachine gun with long vertical magazine
+ * @returns {THREE.Group}
+ */
+export function buildMP40Model() {
+    const group = new THREE.Group();
+
+    // Barrel
+    addBox(group, [0.1, 0.1, 0.8], 0x333333, [0.3, -0.2, -0.9]);
+    // Stock
+    addBox(group, [0.15, 0.15, 0.3], 0x654321, [0.3, -0.15, -0.5]);
+    // Body
+    addBox(group, [0.2, 0.2, 0.6], 0x222222, [0.3, -0.2, -0.7]);
+    // Hand grip
+    const holder = addBox(group, [0.15, 0.2, 0.25], 0x8b4513, [0.3, -0.3, -0.65]);
+    holder.castShadow = true;
+    // Trigger guard
+    addBox(group, [0.12, 0.05, 0.08], 0x333333, [0.3, -0.25, -0.6]);
+    // Foregrip/handguard
+    addBox(group, [0.1, 0.12, 0.25], 0x444444, [0.3, -0.22, -1.0]);
+    // Vertical magazine under the receiver
+    addBox(group, [0.06, 0.3, 0.08], 0x1a1a1a, [0.3, -0.4, -0.85]);
+
+    return group;
+}
+
+/**
+ * Sten - skeletal stock with side-mounted magazine
+ * @returns {THREE.Group}
+ */
+export function buildStenModel() {
+    const group = new THREE.Group();
+
+    // Tubular receiver
+    const receiverGeometry = new THREE.CylinderGeometry(0.07, 0.07, 0.7, 8);
+    receiverGeometry.rotateX(Math.PI / 2);
+    const receiver = new THREE.Mesh(receiverGeometry, new THREE.MeshLambertMaterial({ color: 0x2a2a2a }));
+    receiver.position.set(0.3, -0.2, -0.75);
+    group.add(receiver);
+    // Perforated barrel shroud
+    addBox(group, [0.08, 0.08, 0.35], 0x333333, [0.3, -0.2, -1.25]);
+    // Skeletal wire stock
+    addBox(group, [0.03, 0.03, 0.35], 0x3a3a3a, [0.3, -0.17, -0.3]);
+    addBox(group, [0.03, 0.14, 0.03], 0x3a3a3a, [0.3, -0.23, -0.14]);
+    // Trigger housing / grip
+    const grip = addBox(group, [0.1, 0.16, 0.14], 0x2f2f2f, [0.3, -0.3, -0.6]);
+    grip.castShadow = true;
+    // Magazine sticks out horizontally to the left
+    addBox(group, [0.3, 0.06, 0.08], 0x1a1a1a, [0.1, -0.2, -0.85]);
+
+    return group;
+}
+
+/**
+ * Kar98k - bolt-action rifle with long wooden stock and a telescopic sight
+ * The bolt handle is exposed as group.userData.bolt for the bolt-cycle animation
+ * @returns {THREE.Group}
+ */
+export function buildKar98kModel() {
+    const group = new THREE.Group();
+
+    // Long wooden stock with the butt at the shoulder
+    addBox(group, [0.1, 0.12, 1.0], 0x5c3a1e, [0.3, -0.25, -0.75]);
+    const butt = addBox(group, [0.1, 0.18, 0.3], 0x5c3a1e, [0.3, -0.29, -0.3]);
+    butt.castShadow = true;
+    // Barrel extends past the stock
+    const barrelGeometry = new THREE.CylinderGeometry(0.025, 0.025, 0.6, 8);
+    barrelGeometry.rotateX(Math.PI / 2);
+    const barrel = new THREE.Mesh(barrelGeometry, new THREE.MeshLambertMaterial({ color: 0x2b2b2b }));
+    barrel.position.set(0.3, -0.2, -1.4);
+    group.add(barrel);
+    // Receiver
+    addBox(group, [0.08, 0.08, 0.3], 0x2a2a2a, [0.3, -0.19, -0.7]);
+    // Telescopic sight on two mounts
+    const scopeMaterial = new THREE.MeshLambertMaterial({ color: 0x1a1a1a });
+    const tubeGeometry = new THREE.CylinderGeometry(0.03, 0.03, 0.4, 10);
+    tubeGeometry.rotateX(Math.PI / 2);
+    const tube = new THREE.Mesh(tubeGeometry, scopeMaterial);
+    tube.position.set(0.3, -0.1, -0.72);
+    group.add(tube);
+    for (const z of [-0.52, -0.92]) {
+        const bellGeometry = new THREE.CylinderGeometry(0.042, 0.042, 0.06, 10);
+        bellGeometry.rotateX(Math.PI / 2);
+        const bell = new THREE.Mesh(bellGeometry, scopeMaterial);
+        bell.position.set(0.3, -0.1, z);
+        group.add(bell);
+    }
+    addBox(group, [0.03, 0.06, 0.03], 0x1a1a1a, [0.3, -0.14, -0.62]);
+    addBox(group, [0.03, 0.06, 0.03], 0x1a1a1a, [0.3, -0.14, -0.82]);
+    // Bolt handle sticks out to the right
+    group.userData.bolt = addBox(group, [0.1, 0.025, 0.025], 0x444444, [0.37, -0.18, -0.6]);
+
+    return group;
+}
+
+/**
+ * M1897 trench gun - pump shotgun with a tube magazine under the barrel
+ * The pump slide is exposed as group.userData.pump for the pump animation
+ * @returns {THREE.Group}
+ */
+export function buildM1897Model() {
+    const group = new THREE.Group();
+
+    // Wooden stock
+    const stock = addBox(group, [0.1, 0.16, 0.35], 0x6b4423, [0.3, -0.27, -0.35]);
+    stock.castShadow = true;
+    // Receiver
+    addBox(group, [0.1, 0.12, 0.3], 0x2a2a2a, [0.3, -0.2, -0.65]);
+    // Barrel on top, magazine tube below
+    const barrelGeometry = new THREE.CylinderGeometry(0.03, 0.03, 0.7, 8);
+    barrelGeometry.rotateX(Math.PI / 2);
+    const barrel = new THREE.Mesh(barrelGeometry, new THREE.MeshLambertMaterial({ color: 0x333333 }));
+    barrel.position.set(0.3, -0.18, -1.15);
+    group.add(barrel);
+    const tubeGeometry = new THREE.CylinderGeometry(0.025, 0.025, 0.55, 8);
+    tubeGeometry.rotateX(Math.PI / 2);
+    const tube = new THREE.Mesh(tubeGeometry, new THREE.MeshLambertMaterial({ color: 0x2b2b2b }));
+    tube.position.set(0.3, -0.24, -1.05);
+    group.add(tube);
+    // Ribbed wooden pump slide around the magazine tube
+    group.userData.pump = addBox(group, [0.08, 0.08, 0.2], 0x6b4423, [0.3, -0.24, -0.95]);
+
+    return group;
+}
+
+/**
+ * MG42 - belt-fed machine gun on a tripod mount, held centred with both hands
+ * The barrel jacket is exposed as group.userData.barrel (glows as the gun heats up)
+ * @returns {THREE.Group}
+ */
+export function buildMG42Model() {
+    const group = new THREE.Group();
+
+    // Butt stock and pistol grip
+    addBox(group, [0.08, 0.12, 0.25], 0x1f1f1f, [0, -0.4, -0.3]);
+    addBox(group, [0.06, 0.14, 0.07], 0x1f1f1f, [0, -0.45, -0.5]);
+    // Receiver with the feed cover on top
+    addBox(group, [0.1, 0.12, 0.45], 0x2a2a2a, [0, -0.33, -0.65]);
+    addBox(group, [0.09, 0.03, 0.22], 0x333333, [0, -0.255, -0.62]);
+    // Perforated barrel jacket and muzzle booster
+    const jacketGeometry = new THREE.CylinderGeometry(0.045, 0.045, 0.6, 10);
+    jacketGeometry.rotateX(Math.PI / 2);
+    const jacket = new THREE.Mesh(jacketGeometry, new THREE.MeshLambertMaterial({ color: 0x333333 }));
+    jacket.position.set(0, -0.31, -1.17);
+    group.add(jacket);
+    for (const z of [-1.0, -1.15, -1.3]) {
+        addBox(group, [0.1, 0.02, 0.05], 0x151515, [0, -0.31, z]);
+    }
+    const boosterGeometry = new THREE.CylinderGeometry(0.035, 0.03, 0.1, 8);
+    boosterGeometry.rotateX(Math.PI / 2);
+    const booster = new THREE.Mesh(boosterGeometry, new THREE.MeshLambertMaterial({ color: 0x222222 }));
+    booster.position.set(0, -0.31, -1.52);
+    group.add(booster);
+    // Ammo belt box hanging on the left
+    addBox(group, [0.14, 0.12, 0.18], 0x4b5320, [-0.13, -0.38, -0.62]);
+    group.userData.barrel = jacket;
+
+    return group;
+}
+
+/**
+ * Tint a mounted gun's barrel by how hot it is
+ * @param {THREE.Group} group - Model from buildMG42Model
+ * @param {number} heat - 0 (cold) to 1 (overheated)
+ */
+export function setBarrelHeat(group, heat) {
+    const barrel = group?.userData.barrel;
+    if (!barrel) return;
+    // Only glows once it's properly hot
+    const glow = Math.max(0, heat - 0.4) / 0.6;
+    barrel.material.emissive.setRGB(glow * 0.7, glow * 0.12, 0);
+}
+
+/**
+ * Standard service pistol
+ * @returns {THREE.Group}
+ */
+export function buildPistolModel() {
+    const group = new THREE.Group();
+
+    // Barrel
+    addBox(group, [0.08, 0.08, 0.3], 0x333333, [0.25, -0.15, -0.55]);
+    // Grip
+    addBox(group, [0.1, 0.2, 0.15], 0x654321, [0.25, -0.25, -0.4]);
+    // Body
+    addBox(group, [0.12, 0.12, 0.25], 0x222222, [0.25, -0.15, -0.45]);
+
+    return group;
+}
+
+/**
+ * Luger - long thin barrel, toggle lock and raked grip
+ * @returns {THREE.Group}
+ */
+export function buildLugerModel() {
+    const group = new THREE.Group();
+
+    // Thin barrel
+    addBox(group, [0.05, 0.05, 0.36], 0x2b2b2b, [0.25, -0.14, -0.62]);
+    // Frame
+    addBox(group, [0.1, 0.1, 0.24], 0x222222, [0.25, -0.16, -0.42]);
+    // Toggle lock on top of the frame
+    addBox(group, [0.06, 0.05, 0.12], 0x555555, [0.25, -0.09, -0.36]);
+    // Raked grip
+    const grip = addBox(group, [0.09, 0.2, 0.12], 0x5a3a1a, [0.25, -0.26, -0.36]);
+    grip.rotation.x = -0.35;
+
+    return group;
+}
+
+/*
+ * Attachment models (config/weaponAttachments.js)
+ * Built around their mount point on the weapon: optics and grips sit on/under the origin,
+ * muzzle devices extend forward from it and magazine extensions hang below it.
+ */
+
+/**
+ * Reflex sight - small housing with an open glass frame
+ * @returns {THREE.Group}
+ */
+export function buildReflexSightModel() {
+    const group = new THREE.Group();
+
+    addBox(group, [0.05, 0.02, 0.08], 0x1a1a1a, [0, 0.01, 0]);
+    const frameGeometry = new THREE.TorusGeometry(0.028, 0.006, 4, 12);
+    const frame = new THREE.Mesh(frameGeometry, new THREE.MeshLambertMaterial({ color: 0x1a1a1a }));
+    frame.position.set(0, 0.05, -0.02);
+    group.add(frame);
+    const glassGeometry = new THREE.CircleGeometry(0.024, 12);
+    const glass = new THREE.Mesh(glassGeometry, new THREE.MeshBasicMaterial({
+        color: 0x88ccff,
+        transparent: true,
+        opacity: 0.25,
+        depthWrite: false
+    }));
+    glass.position.set(0, 0.05, -0.02);
+    group.add(glass);
+
+    return group;
+}
+
+/**
+ * Telescopic sight - short tube on two rings
+ * @returns {THREE.Group}
+ */
+export function buildTelescopicSightModel() {
+    const group = new THREE.Group();
+
+    const scopeMaterial = new THREE.MeshLambertMaterial({ color: 0x1a1a1a });
+    const tubeGeometry = new THREE.CylinderGeometry(0.025, 0.025, 0.3, 10);
+    tubeGeometry.rotateX(Math.PI / 2);
+    const tube = new THREE.Mesh(tubeGeometry, scopeMaterial);
+    tube.position.set(0, 0.06, 0);
+    group.add(tube);
+    for (const z of [0.13, -0.13]) {
+        const bellGeometry = new THREE.CylinderGeometry(0.035, 0.035, 0.05, 10);
+        bellGeometry.rotateX(Math.PI / 2);
+        const bell = new THREE.Mesh(bellGeometry, scopeMaterial);
+        bell.position.set(0, 0.06, z);
+        group.add(bell);
+    }
+    addBox(group, [0.03, 0.04, 0.03], 0x1a1a1a, [0, 0.02, 0.07]);
+    addBox(group, [0.03, 0.04, 0.03], 0x1a1a1a, [0, 0.02, -0.07]);
+
+    return group;
+}
+
+/**
+ * Suppressor - long can screwed onto the muzzle
+ * @returns {THREE.Group}
+ */
+export function buildSuppressorModel() {
+    const group = new THREE.Group();
+
+    const canGeometry = new THREE.CylinderGeometry(0.035, 0.035, 0.25, 10);
+    canGeometry.rotateX(Math.PI / 2);
+    const can = new THREE.Mesh(canGeometry, new THREE.MeshLambertMaterial({ color: 0x202020 }));
+    can.position.set(0, 0, -0.125);
+    group.add(can);
+
+    return group;
+}
+
+/**
+ * Compensator - short slotted muzzle device
+ * @returns {THREE.Group}
+ */
+export function buildCompensatorModel() {
+    const group = new THREE.Group();
+
+    const bodyGeometry = new THREE.CylinderGeometry(0.03, 0.03, 0.08, 8);
+    bodyGeometry.rotateX(Math.PI / 2);
+    const body = new THREE.Mesh(bodyGeometry, new THREE.MeshLambertMaterial({ color: 0x3a3a3a }));
+    body.position.set(0, 0, -0.04);
+    group.add(body);
+    // Vent slots on top
+    addBox(group, [0.04, 0.012, 0.015], 0x111111, [0, 0.026, -0.03]);
+    addBox(group, [0.04, 0.012, 0.015], 0x111111, [0, 0.026, -0.055]);
+
+    return group;
+}
+
+/**
+ * Extended magazine - extra length below the standard magazine
+ * @returns {THREE.Group}
+ */
+export function buildExtendedMagazineModel() {
+    const group = new THREE.Group();
+
+    addBox(group, [0.055, 0.12, 0.075], 0x1a1a1a, [0, -0.06, 0]);
+    // Base plate
+    addBox(group, [0.065, 0.015, 0.085], 0x333333, [0, -0.125, 0]);
+
+    return group;
+}
+
+/**
+ * Vertical foregrip - hangs under the handguard
+ * @returns {THREE.Group}
+ */
+export function buildVerticalGripModel() {
+    const group = new THREE.Group();
+
+    addBox(group, [0.045, 0.14, 0.05], 0x5a3a1a, [0, -0.07, 0]);
+
+    return group;
+}
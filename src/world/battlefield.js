@@ -4,6 +4,7 @@ import { graphicsSliderToLevel } from '../config/renderConfig.js';
 import { getPerformanceProfile } from '../config/performanceProfile.js';
 import { InstancedPropGroup, PROP_BOUNDS } from './instancedProps.js';
 import { mergePartsByMaterial, disposeGeometries } from './geometryMerge.js';
+import { MachineGunNest } from './machineGunNest.js';
 
 const TREE_CLUSTERS = [
     { centerX: 0, centerZ: 0, radius: 200, count: 100 },
@@ -36,6 +37,10 @@ export class Battlefield {
         this.terrain = null;
         this.objects = [];
         this.instancedGroups = [];
+        this.resupplyStationCount = 4; // Crates that act as resupply stations
+        this.resupplyPositions = []; // World positions of those crates (set in createBarrelsAndCrates)
+        this.machineGunNestCount = 4;
+        this.machineGunNests = [];
     }
 
     async init() {
@@ -56,6 +61,7 @@ export class Battlefield {
         this.createVehicles();
         this.createBarrelsAndCrates();
         this.createWallsAndFences();
+        this.createMachineGunNests();
     }
     
     dispose() {
@@ -70,6 +76,11 @@ export class Battlefield {
             group.dispose();
         }
         this.instancedGroups = [];
+
+        for (const nest of this.machineGunNests) {
+            nest.dispose();
+        }
+        this.machineGunNests = [];
         
         if (this.objects && this.scene) {
             this.objects.forEach(obj => {
@@ -125,8 +136,8 @@ export class Battlefield {
         foliageGeometry.translate(0, 5, 0);
         const foliageMaterial = new THREE.MeshLambertMaterial({ color: 0x228b22 });
 
-        const trunks = new InstancedPropGroup(this.scene, trunkGeometry, trunkMaterial, maxTrees, castShadow);
-        const foliage = new InstancedPropGroup(this.scene, foliageGeometry, foliageMaterial, maxTrees, castShadow);
+        const trunks = new InstancedPropGroup(this.scene, trunkGeometry, trunkMaterial, maxTrees, castShadow).setSurface('wood');
+        const foliage = new InstancedPropGroup(this.scene, foliageGeometry, foliageMaterial, maxTrees, castShadow).setSurface('foliage');
 
         let placed = 0;
         for (const cluster of TREE_CLUSTERS) {
@@ -162,8 +173,8 @@ export class Battlefield {
         stoneGeometry.translate(0, 0.5, 0);
         const stoneMaterial = new THREE.MeshLambertMaterial({ color: 0x696969 });
 
-        const boxes = new InstancedPropGroup(this.scene, boxGeometry, boxMaterial, boxCount, castShadow);
-        const stones = new InstancedPropGroup(this.scene, stoneGeometry, stoneMaterial, stoneCount, castShadow);
+        const boxes = new InstancedPropGroup(this.scene, boxGeometry, boxMaterial, boxCount, castShadow).setSurface('concrete');
+        const stones = new InstancedPropGroup(this.scene, stoneGeometry, stoneMaterial, stoneCount, castShadow).setSurface('concrete');
 
         let boxPlaced = 0;
         let stonePlaced = 0;
@@ -323,6 +334,7 @@ export class Battlefield {
             house.rotation.y = Math.random() * Math.PI * 2;
             house.userData.shadowCasterRoot = true;
             house.userData.shadowCasterType = 'large';
+            house.userData.surfaceMaterial = 'concrete';
             
             this.scene.add(house);
             this.objects.push(house);
@@ -420,6 +432,7 @@ export class Battlefield {
             vehicle.rotation.y = Math.random() * Math.PI * 2;
             vehicle.userData.shadowCasterRoot = true;
             vehicle.userData.shadowCasterType = 'medium';
+            vehicle.userData.surfaceMaterial = 'metal'; // Body is too thick along any path - stops rounds
             
             this.scene.add(vehicle);
             this.objects.push(vehicle);
@@ -445,9 +458,10 @@ export class Battlefield {
         containerGeometry.translate(0, 1.25, 0);
         const containerMaterial = new THREE.MeshLambertMaterial({ color: 0x4682b4 });
 
-        const barrels = new InstancedPropGroup(this.scene, barrelGeometry, barrelMaterial, barrelCount, castShadow);
-        const crates = new InstancedPropGroup(this.scene, crateGeometry, crateMaterial, crateCount, castShadow);
-        const containers = new InstancedPropGroup(this.scene, containerGeometry, containerMaterial, containerCount, castShadow);
+        // Crates are hollow (two thin plank walls); barrels are filled steel drums
+        const barrels = new InstancedPropGroup(this.scene, barrelGeometry, barrelMaterial, barrelCount, castShadow).setSurface('metal', 0.3);
+        const crates = new InstancedPropGroup(this.scene, crateGeometry, crateMaterial, crateCount, castShadow).setSurface('wood', 0.3);
+        const containers = new InstancedPropGroup(this.scene, containerGeometry, containerMaterial, containerCount, castShadow).setSurface('metal');
 
         let barrelPlaced = 0;
         let cratePlaced = 0;
@@ -482,6 +496,12 @@ export class Battlefield {
         containers.finalize();
         this.instancedGroups.push(barrels, crates, containers);
         this.objects.push(...barrels.colliderProxies, ...crates.colliderProxies, ...containers.colliderProxies);
+
+        // Crates nearest the centre of the battlefield double as resupply stations
+        this.resupplyPositions = crates.instances
+            .map(inst => new THREE.Vector3(inst.x, 0, inst.z))
+            .sort((a, b) => a.lengthSq() - b.lengthSq())
+            .slice(0, this.resupplyStationCount);
     }
 
     createWallsAndFences() {
@@ -498,8 +518,8 @@ export class Battlefield {
         fenceGeometry.translate(0, 0.625, 0);
         const fenceMaterial = new THREE.MeshLambertMaterial({ color: 0x8b7355 });
 
-        const walls = new InstancedPropGroup(this.scene, wallGeometry, wallMaterial, solidCount, castShadow);
-        const fences = new InstancedPropGroup(this.scene, fenceGeometry, fenceMaterial, fenceCount, castShadow);
+        const walls = new InstancedPropGroup(this.scene, wallGeometry, wallMaterial, solidCount, castShadow).setSurface('concrete');
+        const fences = new InstancedPropGroup(this.scene, fenceGeometry, fenceMaterial, fenceCount, castShadow).setSurface('wood');
 
         let wallPlaced = 0;
         let fencePlaced = 0;
@@ -532,6 +552,21 @@ export class Battlefield {
         this.objects.push(...walls.colliderProxies, ...fences.colliderProxies);
     }
 
+    createMachineGunNests() {
+        // Ring of nests around the starting area - alternate ones face out (holding the centre)
+        // and in (covering the approach), so both teams have guns pointing at each other
+        for (let i = 0; i < this.machineGunNestCount; i++) {
+            const angle = (i / this.machineGunNestCount) * Math.PI * 2 + (Math.random() - 0.5) * 0.6;
+            const distance = 35 + Math.random() * 35;
+            const position = new THREE.Vector3(Math.sin(angle) * distance, 0, Math.cos(angle) * distance);
+            const yaw = i % 2 === 0 ? angle : angle + Math.PI;
+
+            const nest = new MachineGunNest(this.scene, position, yaw);
+            this.machineGunNests.push(nest);
+            this.objects.push(...nest.sandbags);
+        }
+    }
+
     update(camera, playerPosition) {
         if (this.terrain) {
             this.terrain.update(camera);
@@ -0,0 +1,155 @@
+/**
+ * Emplacement Manager
+ * Lets the player man and leave machine-gun nests with the interact key, and sends soldiers
+ * of either team to crew free nests that cover their current target.
+ */
+export class EmplacementManager {
+    constructor(nests = []) {
+        this.nests = nests;
+        this.player = null; // Will be set after player initialization
+        this.weaponManager = null; // Will be set after weapon manager initialization
+        this.teamManager = null;
+
+        this.mountedNest = null; // Nest the player is on
+        this.interactRadius = 2.0;
+
+        // Soldier crews
+        this.crewSearchRadius = 30; // Soldiers further than this from a free nest won't go for it
+        this.crewCheckInterval = 2.0;
+        this.crewCheckTimer = 0;
+
+        this.handleKeyDown = (e) => {
+            // Interact with 'F' key - handled here first so a nearby crate or dropped weapon isn't also used
+            if (e.code === 'KeyF' && this.interact()) {
+                e.preventDefault();
+                e.stopImmediatePropagation();
+            }
+        };
+        document.addEventListener('keydown', this.handleKeyDown);
+    }
+
+    getHorizontalDistance(position) {
+        const playerPosition = this.player.getPosition();
+        const dx = position.x - playerPosition.x;
+        const dz = position.z - playerPosition.z;
+        return Math.sqrt(dx * dx + dz * dz);
+    }
+
+    // Closest nest whose seat is within interact range of the player
+    getNearestNest() {
+        if (!this.player || this.player.isDead()) return null;
+
+        let nearest = null;
+        let nearestDistance = this.interactRadius;
+        for (const nest of this.nests) {
+            const distance = this.getHorizontalDistance(nest.seatPosition);
+            if (distance <= nearestDistance) {
+                nearest = nest;
+                nearestDistance = distance;
+            }
+        }
+        return nearest;
+    }
+
+    /**
+     * Prompt for the HUD while the player is on or next to a nest
+     * @returns {{ text: string, ready: boolean }|null}
+     */
+    getInteractPrompt() {
+        if (this.mountedNest) {
+            return { text: `Press F to leave the ${this.mountedNest.definition.name}`, ready: true };
+        }
+        const nest = this.getNearestNest();
+        if (!nest) return null;
+        if (!nest.isFree()) {
+            return { text: `${nest.definition.name} is manned`, ready: false };
+        }
+        return { text: `Press F to man the ${nest.definition.name}`, ready: true };
+    }
+
+    interact() {
+        if (this.mountedNest) {
+            this.dismountPlayer();
+            return true;
+        }
+
+        const nest = this.getNearestNest();
+        if (!nest || !nest.isFree() || !this.weaponManager) return false;
+        this.mountPlayer(nest);
+        return true;
+    }
+
+    mountPlayer(nest) {
+        nest.occupant = this.player;
+        nest.setGunVisible(false);
+        this.mountedNest = nest;
+        this.player.mount(nest);
+        this.weaponManager.mountGun(nest);
+    }
+
+    dismountPlayer() {
+        const nest = this.mountedNest;
+        if (!nest) return;
+
+        this.weaponManager?.dismountGun();
+        this.player?.dismount();
+        nest.release();
+        this.mountedNest = null;
+    }
+
+    // Free nests go to the nearest soldier whose target is inside the gun's arc
+    assignCrews() {
+        const soldiers = [...this.teamManager.enemies, ...this.teamManager.allies];
+
+        for (const nest of this.nests) {
+            if (!nest.isFree() || nest.crewCooldown > 0) continue;
+
+            let crew = null;
+            let crewDistance = this.crewSearchRadius;
+            for (const soldier of soldiers) {
+                if (soldier.health <= 0 || soldier.mountedGun || soldier._pendingRemoval) continue;
+                const target = soldier.currentTarget;
+                if (!target || !nest.isInArc(target.position)) continue;
+
+                const distance = soldier.position.distanceTo(nest.seatPosition);
+                if (distance < crewDistance) {
+                    crew = soldier;
+                    crewDistance = distance;
+                }
+            }
+            crew?.mountGun(nest);
+        }
+    }
+
+    update(deltaTime) {
+        for (const nest of this.nests) {
+            nest.update(deltaTime);
+
+            // Soldiers removed from the battle without dying (despawned) leave the nest behind
+            const occupant = nest.occupant;
+            if (occupant && occupant !== this.player && occupant._pendingRemoval) {
+                nest.release();
+            }
+        }
+
+        if (this.mountedNest && this.player?.isDead()) {
+            this.dismountPlayer();
+        }
+
+        if (!this.teamManager) return;
+        this.crewCheckTimer += deltaTime;
+        if (this.crewCheckTimer >= this.crewCheckInterval) {
+            this.crewCheckTimer = 0;
+            this.assignCrews();
+        }
+    }
+
+    dispose() {
+        document.removeEventListener('keydown', this.handleKeyDown);
+        this.dismountPlayer();
+        this.nests = [];
+        this.player = null;
+        this.weaponManager = null;
+        this.teamManager = null;
+    }
+}
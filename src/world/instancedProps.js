@@ -10,10 +10,14 @@ const _instancePos = new THREE.Vector3();
 const _zeroScale = new THREE.Vector3(0, 0, 0);
 const _normalScale = new THREE.Vector3(1, 1, 1);
 
-function createColliderProxy(x, y, z, bounds) {
+function createColliderProxy(x, y, z, bounds, surface = null) {
     const proxy = new THREE.Object3D();
     proxy.position.set(x, y, z);
     proxy.userData.isColliderProxy = true;
+    if (surface) {
+        proxy.userData.surfaceMaterial = surface.material;
+        proxy.userData.penetrationThickness = surface.penetrationThickness;
+    }
     proxy.userData.collisionBounds = {
         minX: x + bounds.minX,
         minY: y + bounds.minY,
@@ -42,6 +46,14 @@ export class InstancedPropGroup {
         this.instances = [];
         this.colliderProxies = [];
         this.visibilityState = [];
+        this.surface = null; // Bullet penetration tag copied to collider proxies
+    }
+
+    // Tag collider proxies with a surface material (see config/surfaceMaterials.js)
+    // penetrationThickness: solid thickness a round passes through; null = measured along the ray
+    setSurface(material, penetrationThickness = null) {
+        this.surface = { material, penetrationThickness };
+        return this;
     }
 
     addInstance(x, y, z, rotY = 0, localBounds = null, scale = 1) {
@@ -59,7 +71,7 @@ export class InstancedPropGroup {
         this.visibilityState.push(true);
 
         if (localBounds) {
-            this.colliderProxies.push(createColliderProxy(x, y, z, localBounds));
+            this.colliderProxies.push(createColliderProxy(x, y, z, localBounds, this.surface));
         }
 
         this.count++;
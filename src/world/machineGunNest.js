@@ -0,0 +1,209 @@
+import * as THREE from 'three';
+import { getWeaponDefinition } from '../config/weaponDefinitions.js';
+import { setBarrelHeat } from '../weapons/weaponModels.js';
+
+// Shared nest geometry/materials - created on first use
+let nestAssets = null;
+
+const _bounds = new THREE.Box3();
+const _center = new THREE.Vector3();
+
+function getNestAssets() {
+    if (nestAssets) return nestAssets;
+    nestAssets = {
+        sandbag: new THREE.BoxGeometry(0.85, 0.25, 0.4),
+        leg: new THREE.CylinderGeometry(0.025, 0.025, 1.1, 5),
+        sandbagMaterial: new THREE.MeshLambertMaterial({ color: 0xa08a5a }),
+        legMaterial: new THREE.MeshLambertMaterial({ color: 0x2a2a2a })
+    };
+    return nestAssets;
+}
+
+/**
+ * Machine-Gun Nest
+ * Sandbag ring with a tripod gun that the player or a soldier can man. Positions are in
+ * world coordinates and yaw follows the soldier convention (0 faces +Z).
+ * Heat is kept on the nest, so a gun handed over hot stays hot.
+ */
+export class MachineGunNest {
+    constructor(parent, position, yaw, definition = getWeaponDefinition('MG42')) {
+        this.parent = parent;
+        this.position = new THREE.Vector3(position.x, 0, position.z);
+        this.yaw = yaw;
+        this.definition = definition;
+
+        // Traverse limits around the facing direction (radians)
+        this.yawArc = Math.PI / 3; // ±60 degrees
+        this.minPitch = -0.3;
+        this.maxPitch = 0.35;
+        this.pivotHeight = 1.05;
+
+        // Gunner stands behind the tripod
+        this.seatPosition = this.getForward(new THREE.Vector3()).multiplyScalar(-0.9).add(this.position);
+
+        const heat = definition.heat || {};
+        this.heatPerShot = heat.perShot ?? 0.025;
+        this.coolRate = heat.coolRate ?? 0.3;
+        this.recoverAt = heat.recoverAt ?? 0.35;
+        this.heat = 0;
+        this.overheated = false;
+
+        this.occupant = null; // The player controller or an Enemy
+        this.crewCooldownTime = 8.0; // Seconds before a soldier will man it again after it's left
+        this.crewCooldown = 0;
+
+        this.sandbags = []; // Collision objects (one per segment)
+        this.mesh = null; // Tripod and gun
+        this.gunPivot = null;
+        this.gunModel = null;
+        this.createMeshes();
+    }
+
+    createMeshes() {
+        const assets = getNestAssets();
+
+        // Sandbag wall wrapping around the front - separate segments keep the colliders tight
+        const segmentCount = 6;
+        const wallArc = Math.PI * 1.1;
+        for (let i = 0; i < segmentCount; i++) {
+            const angle = this.yaw - wallArc / 2 + (wallArc * i) / (segmentCount - 1);
+            const segment = new THREE.Group();
+            for (let layer = 0; layer < 3; layer++) {
+                const bag = new THREE.Mesh(assets.sandbag, assets.sandbagMaterial);
+                bag.position.set((layer % 2) * 0.08 - 0.04, 0.125 + layer * 0.25, 0);
+                bag.castShadow = true;
+                bag.receiveShadow = true;
+                segment.add(bag);
+            }
+            segment.position.set(
+                this.position.x + Math.sin(angle) * 1.3,
+                0,
+                this.position.z + Math.cos(angle) * 1.3
+            );
+            segment.rotation.y = angle;
+            // Untagged colliders stop rounds - sandbags are a hard stop
+            this.parent.add(segment);
+            this.sandbags.push(segment);
+        }
+
+        this.mesh = new THREE.Group();
+        this.mesh.position.copy(this.position);
+
+        // Tripod legs splay out from under the gun
+        for (let i = 0; i < 3; i++) {
+            const legGroup = new THREE.Group();
+            legGroup.rotation.y = this.yaw + Math.PI + (i - 1) * (Math.PI * 2 / 3);
+            const leg = new THREE.Mesh(assets.leg, assets.legMaterial);
+            leg.position.set(0, 0.5, 0.2);
+            leg.rotation.x = -0.4;
+            legGroup.add(leg);
+            this.mesh.add(legGroup);
+        }
+
+        // Gun model centred on the pivot; the builder points it along -Z
+        this.gunPivot = new THREE.Group();
+        this.gunPivot.position.y = this.pivotHeight;
+        this.gunPivot.rotation.order = 'YXZ';
+        if (this.definition.buildModel) {
+            this.gunModel = this.definition.buildModel();
+            _bounds.setFromObject(this.gunModel).getCenter(_center);
+            this.gunModel.position.sub(_center);
+            this.gunPivot.add(this.gunModel);
+        }
+        this.mesh.add(this.gunPivot);
+        this.aim(0, 0);
+
+        this.parent.add(this.mesh);
+    }
+
+    // Direction the nest faces (world space, horizontal)
+    getForward(out) {
+        return out.set(Math.sin(this.yaw), 0, Math.cos(this.yaw));
+    }
+
+    // Horizontal angle from the facing direction to a world point (radians, -PI to PI)
+    getRelativeYaw(worldPoint) {
+        const angle = Math.atan2(worldPoint.x - this.position.x, worldPoint.z - this.position.z);
+        return THREE.MathUtils.euclideanModulo(angle - this.yaw + Math.PI, Math.PI * 2) - Math.PI;
+    }
+
+    isInArc(worldPoint) {
+        return Math.abs(this.getRelativeYaw(worldPoint)) <= this.yawArc;
+    }
+
+    isFree() {
+        return !this.occupant;
+    }
+
+    canFire() {
+        return !this.overheated;
+    }
+
+    addHeat(shots = 1) {
+        this.heat = Math.min(1, this.heat + this.heatPerShot * shots);
+        if (this.heat >= 1) {
+            this.overheated = true;
+        }
+    }
+
+    /**
+     * Point the gun model within its traverse limits
+     * @param {number} yawOffset - Radians from the facing direction
+     * @param {number} pitch - Radians, positive is up
+     */
+    aim(yawOffset, pitch) {
+        const yaw = THREE.MathUtils.clamp(yawOffset, -this.yawArc, this.yawArc);
+        this.gunPivot.rotation.y = this.yaw + Math.PI + yaw;
+        this.gunPivot.rotation.x = THREE.MathUtils.clamp(pitch, this.minPitch, this.maxPitch);
+    }
+
+    // Point the gun model at a world point (soldier crews)
+    aimAt(worldPoint) {
+        const dx = worldPoint.x - this.position.x;
+        const dz = worldPoint.z - this.position.z;
+        const pitch = Math.atan2(worldPoint.y - this.pivotHeight, Math.sqrt(dx * dx + dz * dz));
+        this.aim(this.getRelativeYaw(worldPoint), pitch);
+    }
+
+    // The player's first-person gun replaces the world model while they're on it
+    setGunVisible(visible) {
+        if (this.gunPivot) {
+            this.gunPivot.visible = visible;
+        }
+    }
+
+    // Crew leaves - soldiers wait a moment before taking it again
+    release() {
+        this.occupant = null;
+        this.crewCooldown = this.crewCooldownTime;
+        this.setGunVisible(true);
+    }
+
+    update(deltaTime) {
+        if (this.crewCooldown > 0) {
+            this.crewCooldown = Math.max(0, this.crewCooldown - deltaTime);
+        }
+        if (this.heat > 0) {
+            this.heat = Math.max(0, this.heat - this.coolRate * deltaTime);
+            if (this.overheated && this.heat <= this.recoverAt) {
+                this.overheated = false;
+            }
+            setBarrelHeat(this.gunModel, this.heat);
+        }
+    }
+
+    dispose() {
+        // Sandbags are battlefield collision objects and are freed with them
+        if (this.mesh?.parent) {
+            this.mesh.parent.remove(this.mesh);
+        }
+        this.gunModel?.traverse(child => {
+            if (child.geometry) child.geometry.dispose();
+            if (child.material) child.material.dispose();
+        });
+        this.mesh = null;
+        this.gunPivot = null;
+        this.gunModel = null;
+        this.occupant = null;
+    }
+}
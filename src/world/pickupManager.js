@@ -0,0 +1,325 @@
+import * as THREE from 'three';
+
+// Shared pickup geometry/materials - created on first use
+let pickupAssets = null;
+
+const _bounds = new THREE.Box3();
+const _center = new THREE.Vector3();
+
+function getPickupAssets() {
+    if (pickupAssets) return pickupAssets;
+    pickupAssets = {
+        box: new THREE.BoxGeometry(0.45, 0.3, 0.3),
+        crossBar: new THREE.BoxGeometry(0.2, 0.06, 0.02),
+        lid: new THREE.BoxGeometry(0.6, 0.12, 0.6),
+        ammoMaterial: new THREE.MeshLambertMaterial({ color: 0x4b5320 }),
+        healthMaterial: new THREE.MeshLambertMaterial({ color: 0xeeeeee }),
+        crossMaterial: new THREE.MeshLambertMaterial({ color: 0xcc0000 }),
+        stationMaterial: new THREE.MeshLambertMaterial({ color: 0x2e7d32, emissive: 0x0b3d0e })
+    };
+    return pickupAssets;
+}
+
+/**
+ * Pickup Manager
+ * Ammo/health pickups and weapons dropped by dead soldiers, and resupply stations on some crates.
+ * Positions are in world coordinates; meshes live in the world group.
+ */
+export class PickupManager {
+    constructor(worldGroup) {
+        this.worldGroup = worldGroup;
+        this.player = null; // Will be set after player initialization
+        this.weaponManager = null; // Will be set after weapon manager initialization
+
+        this.pickups = [];
+        this.weaponPickups = [];
+        this.resupplyStations = [];
+
+        // Dropped pickups
+        this.ammoDropChance = 0.5;
+        this.healthDropChance = 0.25;
+        this.ammoMagazines = 1; // Magazines added to each firearm per ammo pickup
+        this.healthAmount = 25;
+        this.pickupRadius = 1.5;
+        this.pickupLifetime = 30.0; // seconds before an uncollected pickup disappears
+
+        // Dropped weapons (picked up with the interact key)
+        this.weaponPickupLifetime = 60.0;
+        this.maxWeaponPickups = 12; // Oldest weapon on the ground is removed past this
+
+        // Resupply stations
+        this.interactRadius = 2.5;
+        this.resupplyCooldown = 60.0;
+
+        this.handleKeyDown = (e) => {
+            // Interact with 'F' key
+            if (e.code === 'KeyF') {
+                e.preventDefault();
+                this.interact();
+            }
+        };
+        document.addEventListener('keydown', this.handleKeyDown);
+    }
+
+    /**
+     * Roll for ammo/health drops where a soldier died
+     * @param {THREE.Vector3} position - World position of the soldier
+     */
+    spawnDrop(position) {
+        if (Math.random() < this.ammoDropChance) {
+            this.addPickup('ammo', position, -0.4);
+        }
+        if (Math.random() < this.healthDropChance) {
+            this.addPickup('health', position, 0.4);
+        }
+    }
+
+    addPickup(type, position, offsetX = 0) {
+        const assets = getPickupAssets();
+        const mesh = new THREE.Group();
+        if (type === 'ammo') {
+            mesh.add(new THREE.Mesh(assets.box, assets.ammoMaterial));
+        } else {
+            mesh.add(new THREE.Mesh(assets.box, assets.healthMaterial));
+            const crossVertical = new THREE.Mesh(assets.crossBar, assets.crossMaterial);
+            crossVertical.rotation.z = Math.PI / 2;
+            crossVertical.position.z = 0.16;
+            const crossHorizontal = new THREE.Mesh(assets.crossBar, assets.crossMaterial);
+            crossHorizontal.position.z = 0.16;
+            mesh.add(crossVertical, crossHorizontal);
+        }
+        mesh.position.set(position.x + offsetX, 0.3, position.z);
+        this.worldGroup.add(mesh);
+
+        this.pickups.push({ type, mesh, lifetime: this.pickupLifetime, bobTime: Math.random() * Math.PI * 2 });
+    }
+
+    /**
+     * Leave a weapon on the ground for the player to swap into a slot
+     * @param {{ definition: Object, currentAmmo: number, reserveAmmo: number }|null} weapon
+     * @param {THREE.Vector3} position - World position (only x/z are used)
+     */
+    dropWeapon(weapon, position) {
+        if (!weapon?.definition?.buildModel) return;
+
+        // Centre the first-person model and lay it on its side
+        const model = weapon.definition.buildModel();
+        _bounds.setFromObject(model).getCenter(_center);
+        model.position.sub(_center);
+        const mesh = new THREE.Group();
+        mesh.add(model);
+        mesh.rotation.set(0, Math.random() * Math.PI * 2, Math.PI / 2);
+        mesh.position.set(position.x, 0.1, position.z + 0.4);
+        this.worldGroup.add(mesh);
+
+        this.weaponPickups.push({ weapon, mesh, lifetime: this.weaponPickupLifetime });
+        if (this.weaponPickups.length > this.maxWeaponPickups) {
+            this.removeWeaponPickup(this.weaponPickups.shift());
+        }
+    }
+
+    /**
+     * Turn a crate into a resupply station
+     * @param {THREE.Vector3} position - World position of the crate base
+     * @param {number} height - Crate height (marker sits on top)
+     */
+    addResupplyStation(position, height = 1.1) {
+        const assets = getPickupAssets();
+        const marker = new THREE.Mesh(assets.lid, assets.stationMaterial);
+        marker.position.set(position.x, height + 0.06, position.z);
+        this.worldGroup.add(marker);
+
+        this.resupplyStations.push({
+            position: new THREE.Vector3(position.x, 0, position.z),
+            marker,
+            cooldownRemaining: 0
+        });
+    }
+
+    getHorizontalDistance(position) {
+        const playerPosition = this.player.getPosition();
+        const dx = position.x - playerPosition.x;
+        const dz = position.z - playerPosition.z;
+        return Math.sqrt(dx * dx + dz * dz);
+    }
+
+    /**
+     * Closest station or dropped weapon within interact range - dropped weapons win ties
+     * @returns {{ station: Object }|{ weaponPickup: Object }|null}
+     */
+    getNearestInteractable() {
+        // Hands are busy on a mounted gun
+        if (!this.player || this.player.isDead() || this.player.mountedGun) return null;
+
+        let nearest = null;
+        let nearestDistance = this.interactRadius;
+        for (const weaponPickup of this.weaponPickups) {
+            const distance = this.getHorizontalDistance(weaponPickup.mesh.position);
+            if (distance <= nearestDistance) {
+                nearest = { weaponPickup };
+                nearestDistance = distance;
+            }
+        }
+        for (const station of this.resupplyStations) {
+            const distance = this.getHorizontalDistance(station.position);
+            if (distance < nearestDistance) {
+                nearest = { station };
+                nearestDistance = distance;
+            }
+        }
+        return nearest;
+    }
+
+    // Equipped weapon with the same name as a dropped one (picking it up only takes the ammo)
+    getMatchingWeapon(weapon) {
+        const equipped = this.weaponManager?.getWeaponInSlot(weapon.definition.category);
+        return equipped?.name === weapon.definition.name ? equipped : null;
+    }
+
+    /**
+     * Prompt for the HUD while the player stands at a resupply station or dropped weapon
+     * @returns {{ text: string, ready: boolean }|null}
+     */
+    getInteractPrompt() {
+        const nearest = this.getNearestInteractable();
+        if (!nearest) return null;
+
+        if (nearest.weaponPickup) {
+            const { weapon } = nearest.weaponPickup;
+            const rounds = weapon.currentAmmo + weapon.reserveAmmo;
+            if (this.getMatchingWeapon(weapon)) {
+                return { text: `Press F to take ${weapon.definition.name} ammo (${rounds})`, ready: true };
+            }
+            return { text: `Press F to pick up ${weapon.definition.name} (${rounds})`, ready: true };
+        }
+
+        const { station } = nearest;
+        if (station.cooldownRemaining > 0) {
+            return { text: `Resupply in ${Math.ceil(station.cooldownRemaining)}s`, ready: false };
+        }
+        return { text: 'Press F to resupply', ready: true };
+    }
+
+    interact() {
+        const nearest = this.getNearestInteractable();
+        if (!nearest || !this.weaponManager) return false;
+
+        if (nearest.weaponPickup) {
+            return this.pickUpWeapon(nearest.weaponPickup);
+        }
+
+        const { station } = nearest;
+        if (station.cooldownRemaining > 0) return false;
+        this.weaponManager.resupply();
+        station.cooldownRemaining = this.resupplyCooldown;
+        return true;
+    }
+
+    pickUpWeapon(weaponPickup) {
+        const { weapon } = weaponPickup;
+        const matching = this.getMatchingWeapon(weapon);
+        if (matching) {
+            // Same gun - strip its ammo and leave it if there's no room
+            const added = matching.addReserveAmmo(weapon.currentAmmo + weapon.reserveAmmo);
+            if (added === 0) return false;
+            this.weaponManager.showPickupNotice(`+${added}`);
+        } else {
+            // Swap - the weapon given up lands at the player's feet
+            const dropped = this.weaponManager.replaceWeapon(weapon.definition, weapon.currentAmmo, weapon.reserveAmmo);
+            this.dropWeapon(dropped, this.player.getPosition());
+        }
+
+        const index = this.weaponPickups.indexOf(weaponPickup);
+        if (index > -1) {
+            this.weaponPickups.splice(index, 1);
+        }
+        this.removeWeaponPickup(weaponPickup);
+        return true;
+    }
+
+    collect(pickup) {
+        if (pickup.type === 'ammo') {
+            return this.weaponManager ? this.weaponManager.addAmmoPickup(this.ammoMagazines) > 0 : false;
+        }
+        // Leave health for later if the player doesn't need it
+        if (this.player.getHealth() >= this.player.getMaxHealth()) {
+            return false;
+        }
+        this.player.heal(this.healthAmount);
+        this.weaponManager?.showPickupNotice(`+${this.healthAmount} HP`);
+        return true;
+    }
+
+    removePickup(pickup) {
+        if (pickup.mesh.parent) {
+            pickup.mesh.parent.remove(pickup.mesh);
+        }
+    }
+
+    removeWeaponPickup(weaponPickup) {
+        // Dropped weapon models are built per drop - free them
+        if (weaponPickup.mesh.parent) {
+            weaponPickup.mesh.parent.remove(weaponPickup.mesh);
+        }
+        weaponPickup.mesh.traverse(child => {
+            if (child.geometry) child.geometry.dispose();
+            if (child.material) child.material.dispose();
+        });
+    }
+
+    update(deltaTime) {
+        for (const station of this.resupplyStations) {
+            if (station.cooldownRemaining > 0) {
+                station.cooldownRemaining = Math.max(0, station.cooldownRemaining - deltaTime);
+                station.marker.visible = station.cooldownRemaining === 0;
+            }
+        }
+
+        const canCollect = this.player && !this.player.isDead();
+        this.pickups = this.pickups.filter(pickup => {
+            pickup.lifetime -= deltaTime;
+            const collected = canCollect &&
+                this.getHorizontalDistance(pickup.mesh.position) <= this.pickupRadius &&
+                this.collect(pickup);
+            if (collected || pickup.lifetime <= 0) {
+                this.removePickup(pickup);
+                return false;
+            }
+
+            // Bob and spin so pickups stand out
+            pickup.bobTime += deltaTime;
+            pickup.mesh.rotation.y += deltaTime * 1.5;
+            pickup.mesh.position.y = 0.3 + Math.sin(pickup.bobTime * 3) * 0.08;
+            return true;
+        });
+
+        this.weaponPickups = this.weaponPickups.filter(weaponPickup => {
+            weaponPickup.lifetime -= deltaTime;
+            if (weaponPickup.lifetime <= 0) {
+                this.removeWeaponPickup(weaponPickup);
+                return false;
+            }
+            return true;
+        });
+    }
+
+    dispose() {
+        document.removeEventListener('keydown', this.handleKeyDown);
+        for (const pickup of this.pickups) {
+            this.removePickup(pickup);
+        }
+        for (const weaponPickup of this.weaponPickups) {
+            this.removeWeaponPickup(weaponPickup);
+        }
+        for (const station of this.resupplyStations) {
+            if (station.marker.parent) {
+                station.marker.parent.remove(station.marker);
+            }
+        }
+        this.pickups = [];
+        this.weaponPickups = [];
+        this.resupplyStations = [];
+        this.player = null;
+        this.weaponManager = null;
+    }
+}